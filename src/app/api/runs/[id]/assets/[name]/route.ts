@@ -0,0 +1,36 @@
+import { getAsset, isValidAssetName, isValidRunId } from "@/lib/run-store";
+
+/**
+ * RUN HISTORY — Assets
+ *
+ * GET /api/runs/:id/assets/:name
+ * Serves a file the host pulled out of the sandbox during a run
+ * (currently PNG screenshots from the browser tools).
+ */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(_request: Request, { params }: { params: Promise<{ id: string; name: string }> }) {
+  const { id, name } = await params;
+
+  if (!isValidRunId(id) || !isValidAssetName(name)) {
+    return Response.json({ error: "Invalid asset" }, { status: 400 });
+  }
+
+  try {
+    const asset = getAsset(id, name);
+    if (!asset) {
+      return Response.json({ error: `Asset not found: ${id}/${name}` }, { status: 404 });
+    }
+    return new Response(new Uint8Array(asset), {
+      headers: {
+        "Content-Type": "image/png",
+        "Cache-Control": "private, max-age=31536000, immutable",
+      },
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+    return Response.json({ error: message }, { status: 500 });
+  }
+}
@@ -0,0 +1,31 @@
+import { getRun, isValidRunId } from "@/lib/run-store";
+
+/**
+ * RUN HISTORY — Detail
+ * 
+ * GET /api/runs/:id
+ * Returns the full run record plus its event stream, which the UI
+ * replays through the same timeline and raw log views as a live run.
+ */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(_request: Request, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params;
+
+  if (!isValidRunId(id)) {
+    return Response.json({ error: "Invalid run id" }, { status: 400 });
+  }
+
+  try {
+    const run = getRun(id);
+    if (!run) {
+      return Response.json({ error: `Run not found: ${id}` }, { status: 404 });
+    }
+    return Response.json(run);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+    return Response.json({ error: message }, { status: 500 });
+  }
+}
@@ -0,0 +1,21 @@
+import { listRuns } from "@/lib/run-store";
+
+/**
+ * RUN HISTORY — List
+ * 
+ * GET /api/runs
+ * Returns summaries of all persisted runs, newest first.
+ * Event streams, final state and diffs are only returned by /api/runs/:id.
+ */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    return Response.json({ runs: listRuns() });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+    return Response.json({ error: message }, { status: 500 });
+  }
+}
@@ -1,6 +1,16 @@
 "use client";
 
 import { useState, useRef, useEffect } from "react";
+import {
+  isSupportedContentType,
+  parseEvent,
+  type AgentEvent,
+  type ToolCatalogEntry,
+  type ToolSideEffect,
+  type VisualDiffEvent,
+} from "@/lib/agent-events";
+import { MAX_ATTACHMENT_BYTES, MAX_ATTACHMENTS } from "@/lib/attachments";
+import type { RunRecord, RunSummary } from "@/lib/run-store";
 
 /**
  * PORTFOLIO MAINTENANCE AGENT — UI
@@ -9,15 +19,17 @@ import { useState, useRef, useEffect } from "react";
  * 1. Timeline View - Structured cards for each agent step
  * 2. Raw Log View - Toggle to see full stdout stream
  * 3. Sandbox Lifecycle Indicator - Status, ID, duration
- * 4. Real-time parsing of agent output into structured data
+ * 4. Real-time agent state built from the typed event stream (NDJSON)
  * 5. Portfolio-specific task examples
+ * 6. Run History - Sidebar of persisted runs, replayed through the same views
+ * 7. Attachments - Images/PDFs sent with the run for the agent to add to the repo
  */
 
 // ================================================================
 // TYPES
 // ================================================================
 
-type SandboxStatus = "idle" | "creating" | "running" | "stopped" | "error";
+type SandboxStatus = "idle" | "creating" | "running" | "stopped" | "cancelled" | "error";
 type ViewMode = "timeline" | "raw";
 
 interface AgentStep {
@@ -31,6 +43,7 @@ interface AgentStep {
   } | null;
   isRepair: boolean;
   timestamp: string;
+  screenshots: { name: string; url: string | null }[];
 }
 
 interface SandboxInfo {
@@ -48,75 +61,6 @@ interface AgentSummary {
   finalResult: string | null;
 }
 
-// ================================================================
-// LOG PARSER
-// ================================================================
-
-function parseLogLine(line: string, currentStep: number): Partial<{
-  sandboxId: string;
-  stepNumber: number;
-  tool: string;
-  args: Record<string, unknown>;
-  result: unknown;
-  isRepair: boolean;
-  isDone: boolean;
-  doneResult: string;
-  summary: Partial<AgentSummary>;
-}> {
-  // Extract sandbox ID
-  const sandboxMatch = line.match(/Sandbox created: (sbx_[a-zA-Z0-9]+)/);
-  if (sandboxMatch) {
-    return { sandboxId: sandboxMatch[1] };
-  }
-
-  // Extract step number
-  const stepMatch = line.match(/STEP (\d+)\/\d+/);
-  if (stepMatch) {
-    return { stepNumber: parseInt(stepMatch[1]) };
-  }
-
-  // Extract tool call
-  const toolMatch = line.match(/\[LLM\] Tool call: (\w+)\((.+)\)/);
-  if (toolMatch) {
-    try {
-      const args = JSON.parse(toolMatch[2]);
-      return { tool: toolMatch[1], args };
-    } catch {
-      return { tool: toolMatch[1], args: {} };
-    }
-  }
-
-  // Detect repair
-  if (line.includes('[REPAIR]')) {
-    return { isRepair: true };
-  }
-
-  // Detect done
-  const doneMatch = line.match(/\[DONE\] Agent completed: (.+)/);
-  if (doneMatch) {
-    return { isDone: true, doneResult: doneMatch[1] };
-  }
-
-  // Extract summary values
-  if (line.includes('Steps executed:')) {
-    const match = line.match(/Steps executed: (\d+)/);
-    if (match) return { summary: { stepsExecuted: parseInt(match[1]) } };
-  }
-  if (line.includes('Errors repaired:')) {
-    const match = line.match(/Errors repaired: (\d+)/);
-    if (match) return { summary: { errorsRepaired: parseInt(match[1]) } };
-  }
-  if (line.includes('Completed normally:')) {
-    return { summary: { completedNormally: line.includes('true') } };
-  }
-  if (line.includes('Final result:')) {
-    const match = line.match(/Final result: (.+)/);
-    if (match) return { summary: { finalResult: match[1] } };
-  }
-
-  return {};
-}
-
 // ================================================================
 // COMPONENTS
 // ================================================================
@@ -127,6 +71,7 @@ function SandboxLifecycle({ info, duration }: { info: SandboxInfo; duration: num
     creating: { color: "#f59e0b", label: "Creating", icon: "🟡" },
     running: { color: "#22c55e", label: "Running", icon: "🟢" },
     stopped: { color: "#3b82f6", label: "Stopped", icon: "🔵" },
+    cancelled: { color: "#f59e0b", label: "Cancelled", icon: "🟠" },
     error: { color: "#ef4444", label: "Error", icon: "🔴" },
   };
 
@@ -153,7 +98,7 @@ function SandboxLifecycle({ info, duration }: { info: SandboxInfo; duration: num
         </div>
       )}
       
-      {(info.status === "running" || info.status === "stopped") && (
+      {(info.status === "running" || info.status === "stopped" || info.status === "cancelled") && (
         <div style={{ color: "#888", fontSize: "13px", marginLeft: "auto" }}>
           {duration < 1000 ? `${duration}ms` : `${(duration / 1000).toFixed(1)}s`}
         </div>
@@ -162,7 +107,14 @@ function SandboxLifecycle({ info, duration }: { info: SandboxInfo; duration: num
   );
 }
 
-function StepCard({ step }: { step: AgentStep }) {
+const SIDE_EFFECT_COLORS: Record<ToolSideEffect, string> = {
+  read: "#3b82f6",
+  write: "#f59e0b",
+  execute: "#a855f7",
+  external: "#ef4444",
+};
+
+function StepCard({ step, tool }: { step: AgentStep; tool?: ToolCatalogEntry }) {
   const getStatusColor = () => {
     if (step.isRepair) return "#f59e0b";
     if (step.result?.success === false) return "#ef4444";
@@ -199,7 +151,18 @@ function StepCard({ step }: { step: AgentStep }) {
           }}>
             Step {step.stepNumber}
           </span>
-          <span style={{ color: "#ededed", fontWeight: 500 }}>{step.tool}</span>
+          <span style={{ color: "#ededed", fontWeight: 500 }}>{tool?.label ?? step.tool}</span>
+          {tool && (
+            <span style={{
+              color: SIDE_EFFECT_COLORS[tool.sideEffect],
+              border: `1px solid ${SIDE_EFFECT_COLORS[tool.sideEffect]}55`,
+              padding: "0 6px",
+              borderRadius: "4px",
+              fontSize: "11px",
+            }}>
+              {tool.sideEffect}
+            </span>
+          )}
           {step.isRepair && (
             <span style={{ color: "#f59e0b", fontSize: "12px" }}>⚠️ Repair</span>
           )}
@@ -228,6 +191,107 @@ function StepCard({ step }: { step: AgentStep }) {
           {step.result.success ? "✓ Success" : `✗ ${step.result.error || "Failed"}`}
         </div>
       )}
+
+      {step.screenshots.length > 0 && (
+        <div style={{ display: "flex", gap: "8px", marginTop: "12px", flexWrap: "wrap" }}>
+          {step.screenshots.map(shot => shot.url ? (
+            <a key={shot.name} href={shot.url} target="_blank" rel="noreferrer" title={shot.name}>
+              <img
+                src={shot.url}
+                alt={shot.name}
+                style={{ width: "240px", borderRadius: "4px", border: "1px solid #333", display: "block" }}
+              />
+            </a>
+          ) : (
+            <span key={shot.name} style={{ color: "#666", fontSize: "12px" }}>📷 {shot.name} (not collected)</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function VisualDiffCard({ diff }: { diff: VisualDiffEvent }) {
+  const [position, setPosition] = useState(50);
+  const [showOverlay, setShowOverlay] = useState(false);
+  const { before, after, diff: overlay } = diff.images;
+  const percent = (diff.changedRatio * 100).toFixed(2);
+
+  return (
+    <div style={{
+      backgroundColor: "#1a1a1a",
+      border: "1px solid #333",
+      borderRadius: "8px",
+      padding: "16px",
+      marginTop: "16px",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+        <div style={{ fontWeight: 600 }}>
+          Visual diff <span style={{ fontFamily: "monospace", color: "#888" }}>{diff.route}</span>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: "12px", fontSize: "12px" }}>
+          <span style={{ color: diff.changedPixels > 0 ? "#f59e0b" : "#22c55e" }}>
+            {percent}% changed · {diff.regions.length} region{diff.regions.length === 1 ? "" : "s"}
+            {diff.sizeChanged && " · page size changed"}
+          </span>
+          {overlay.url && (
+            <label style={{ color: "#888", cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={showOverlay}
+                onChange={(e) => setShowOverlay(e.target.checked)}
+                style={{ marginRight: "4px" }}
+              />
+              Diff overlay
+            </label>
+          )}
+        </div>
+      </div>
+
+      {!before.url || !after.url ? (
+        <div style={{ color: "#666", fontSize: "12px" }}>Screenshots were not collected from the sandbox.</div>
+      ) : showOverlay && overlay.url ? (
+        <img src={overlay.url} alt={`Diff of ${diff.route}`} style={{ width: "100%", display: "block", borderRadius: "4px" }} />
+      ) : (
+        <>
+          {/* After image sets the size; the before image is clipped to the slider position on top of it */}
+          <div style={{ position: "relative", borderRadius: "4px", overflow: "hidden", backgroundColor: "#fff" }}>
+            <img src={after.url} alt={`${diff.route} after`} style={{ width: "100%", display: "block" }} />
+            <img
+              src={before.url}
+              alt={`${diff.route} before`}
+              style={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                width: "100%",
+                display: "block",
+                clipPath: `inset(0 ${100 - position}% 0 0)`,
+              }}
+            />
+            <div style={{
+              position: "absolute",
+              top: 0,
+              bottom: 0,
+              left: `${position}%`,
+              width: "2px",
+              backgroundColor: "#3b82f6",
+            }} />
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "8px", fontSize: "12px", color: "#888" }}>
+            <span>Before</span>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            <span>After</span>
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -274,6 +338,92 @@ function SummaryCard({ summary }: { summary: AgentSummary | null }) {
   );
 }
 
+function RunHistory({
+  runs,
+  selectedId,
+  disabled,
+  onSelect,
+  onRefresh,
+}: {
+  runs: RunSummary[];
+  selectedId: string | null;
+  disabled: boolean;
+  onSelect: (id: string) => void;
+  onRefresh: () => void;
+}) {
+  const statusIcon: Record<RunSummary["status"], string> = {
+    running: "🟢",
+    completed: "✅",
+    failed: "❌",
+    cancelled: "🟠",
+  };
+
+  return (
+    <aside style={{
+      width: "260px",
+      flexShrink: 0,
+      backgroundColor: "#111",
+      borderRadius: "8px",
+      padding: "12px",
+      alignSelf: "flex-start",
+      maxHeight: "calc(100vh - 40px)",
+      overflowY: "auto",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+        <strong style={{ fontSize: "14px" }}>Run History</strong>
+        <button
+          onClick={onRefresh}
+          style={{
+            padding: "2px 8px",
+            fontSize: "12px",
+            backgroundColor: "#222",
+            color: "#888",
+            border: "1px solid #333",
+            borderRadius: "4px",
+            cursor: "pointer",
+          }}
+        >
+          ↻
+        </button>
+      </div>
+
+      {runs.length === 0 && (
+        <div style={{ color: "#555", fontSize: "12px" }}>No runs yet</div>
+      )}
+
+      {runs.map((run) => (
+        <button
+          key={run.id}
+          onClick={() => onSelect(run.id)}
+          disabled={disabled}
+          style={{
+            display: "block",
+            width: "100%",
+            textAlign: "left",
+            padding: "8px",
+            marginBottom: "6px",
+            backgroundColor: run.id === selectedId ? "#1e3a8a" : "#1a1a1a",
+            color: "#ededed",
+            border: "1px solid #333",
+            borderRadius: "4px",
+            cursor: disabled ? "not-allowed" : "pointer",
+            fontSize: "12px",
+          }}
+        >
+          <div style={{ display: "flex", gap: "6px" }}>
+            <span>{statusIcon[run.status]}</span>
+            <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{run.goal}</span>
+          </div>
+          <div style={{ color: "#666", marginTop: "4px" }}>
+            {new Date(run.startedAt).toLocaleString()}
+            {run.durationMs !== null && ` · ${(run.durationMs / 1000).toFixed(0)}s`}
+          </div>
+        </button>
+      ))}
+    </aside>
+  );
+}
+
 // ================================================================
 // MAIN PAGE
 // ================================================================
@@ -282,6 +432,22 @@ const DEFAULT_TASK = `Add a new project entry to my portfolio with title "AI San
 
 const DEFAULT_REPO_URL = ""; // User provides their own repo URL
 
+/** File picked for the next run, sent base64-encoded (see src/lib/attachments.ts) */
+interface PendingAttachment {
+  name: string;
+  size: number;
+  data: string;
+}
+
+function readAsDataUrl(file: File): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
 const EXAMPLE_TASKS = [
   {
     label: "Add new project",
@@ -320,10 +486,15 @@ export default function Home() {
   const [steps, setSteps] = useState<AgentStep[]>([]);
   const [summary, setSummary] = useState<AgentSummary | null>(null);
   const [duration, setDuration] = useState(0);
+  const [history, setHistory] = useState<RunSummary[]>([]);
+  const [replayRunId, setReplayRunId] = useState<string | null>(null);
+  const [toolCatalog, setToolCatalog] = useState<Record<string, ToolCatalogEntry>>({});
+  const [visualDiffs, setVisualDiffs] = useState<VisualDiffEvent[]>([]);
+  const [attachments, setAttachments] = useState<PendingAttachment[]>([]);
   
   const logEndRef = useRef<HTMLDivElement>(null);
-  const currentStepRef = useRef<number>(0);
   const durationIntervalRef = useRef<NodeJS.Timeout | null>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
 
   // Duration timer
   useEffect(() => {
@@ -342,79 +513,155 @@ export default function Home() {
     };
   }, [sandboxInfo.status, sandboxInfo.startTime]);
 
-  // Process logs into structured data
-  const processLog = (line: string) => {
-    const parsed = parseLogLine(line, currentStepRef.current);
-    
-    if (parsed.sandboxId) {
-      setSandboxInfo(prev => ({ ...prev, id: parsed.sandboxId!, status: "running" }));
-    }
-    
-    if (parsed.stepNumber) {
-      currentStepRef.current = parsed.stepNumber;
-    }
-    
-    if (parsed.tool) {
-      const newStep: AgentStep = {
-        stepNumber: currentStepRef.current,
-        tool: parsed.tool,
-        args: parsed.args || {},
-        result: null,
-        isRepair: false,
-        timestamp: new Date().toLocaleTimeString(),
-      };
-      setSteps(prev => [...prev, newStep]);
+  // Load persisted runs for the history sidebar
+  const loadHistory = async () => {
+    try {
+      const response = await fetch("/api/runs");
+      if (!response.ok) return;
+      const data: { runs: RunSummary[] } = await response.json();
+      setHistory(data.runs);
+    } catch {
+      // History is best-effort; the live view works without it
     }
-    
-    if (parsed.isRepair) {
-      setSteps(prev => {
-        const updated = [...prev];
-        if (updated.length > 0) {
-          updated[updated.length - 1].isRepair = true;
-        }
-        return updated;
-      });
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  // Apply a typed event from the stream to UI state
+  const handleEvent = (event: AgentEvent) => {
+    switch (event.type) {
+      case "log":
+        setLogs(prev => [...prev, `[${event.source}] ${event.message}`]);
+        break;
+
+      case "sandbox":
+        setSandboxInfo(prev => event.status === "created"
+          ? { ...prev, id: event.sandboxId, status: "running" }
+          : { ...prev, id: event.sandboxId });
+        break;
+
+      case "run_started":
+        // Runs recorded before the tool registry carry no catalog
+        setToolCatalog(Object.fromEntries((event.tools ?? []).map(tool => [tool.name, tool])));
+        break;
+
+      case "tool_call":
+        setSteps(prev => [...prev, {
+          stepNumber: event.step,
+          tool: event.tool,
+          args: event.args,
+          result: null,
+          isRepair: false,
+          timestamp: new Date(event.ts).toLocaleTimeString(),
+          screenshots: [],
+        }]);
+        break;
+
+      case "output":
+        setLogs(prev => [...prev, `[${event.jobId ? `JOB ${event.jobId}` : "OUTPUT"}] ${event.line}`]);
+        break;
+
+      case "artifact":
+        setSteps(prev => prev.map(step =>
+          step.stepNumber === event.step && step.tool === event.tool
+            ? { ...step, screenshots: [...step.screenshots, { name: event.name, url: event.url ?? null }] }
+            : step
+        ));
+        break;
+
+      case "tool_result":
+        setSteps(prev => prev.map(step =>
+          step.stepNumber === event.step && step.tool === event.tool && !step.result
+            ? { ...step, result: { success: event.success, error: event.error ?? undefined } }
+            : step
+        ));
+        break;
+
+      case "visual_diff":
+        // Latest diff per route replaces an earlier one
+        setVisualDiffs(prev => [...prev.filter(diff => diff.route !== event.route), event]);
+        break;
+
+      case "repair":
+        setSteps(prev => prev.map(step =>
+          step.stepNumber === event.step ? { ...step, isRepair: true } : step
+        ));
+        break;
+
+      case "done":
+        setSummary({
+          stepsExecuted: event.steps,
+          maxSteps: event.maxSteps,
+          errorsRepaired: event.repairs,
+          completedNormally: event.completed,
+          finalResult: event.result,
+        });
+        break;
+
+      case "error":
+        setLogs(prev => [...prev, `[ERROR] ${event.message}`]);
+        break;
+
+      case "cancelled":
+        setLogs(prev => [...prev, `[LIFECYCLE] Run cancelled: ${event.reason}`]);
+        break;
     }
-    
-    // Check for success/failure in result lines
-    if (line.includes('"success": true')) {
-      setSteps(prev => {
-        const updated = [...prev];
-        if (updated.length > 0 && !updated[updated.length - 1].result) {
-          updated[updated.length - 1].result = { success: true };
-        }
-        return updated;
-      });
-    } else if (line.includes('"success": false')) {
-      setSteps(prev => {
-        const updated = [...prev];
-        if (updated.length > 0 && !updated[updated.length - 1].result) {
-          updated[updated.length - 1].result = { success: false };
-        }
-        return updated;
+  };
+
+  const resetRunView = () => {
+    setLogs([]);
+    setSteps([]);
+    setSummary(null);
+    setDuration(0);
+    setToolCatalog({});
+    setVisualDiffs([]);
+  };
+
+  // Replay a persisted run through the same handler as a live stream
+  const replayRun = async (id: string) => {
+    try {
+      const response = await fetch(`/api/runs/${id}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const { record, events }: { record: RunRecord; events: AgentEvent[] } = await response.json();
+
+      resetRunView();
+      setReplayRunId(id);
+      events.forEach(handleEvent);
+      setDuration(record.durationMs ?? 0);
+      setSandboxInfo({
+        id: record.sandboxId,
+        status: record.status === "cancelled" ? "cancelled" : "stopped",
+        startTime: record.startedAt,
+        endTime: record.endedAt,
       });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Unknown error";
+      setLogs((prev) => [...prev, `[ERROR] Failed to load run ${id}: ${message}`]);
     }
-    
-    if (parsed.summary) {
-      setSummary(prev => ({ 
-        stepsExecuted: 0, 
-        maxSteps: 5, 
-        errorsRepaired: 0, 
-        completedNormally: false, 
-        finalResult: null,
-        ...prev, 
-        ...parsed.summary 
-      }));
+  };
+
+  const addAttachments = async (files: FileList | null) => {
+    if (!files) return;
+    const picked = Array.from(files);
+    const tooLarge = picked.find((file) => file.size > MAX_ATTACHMENT_BYTES);
+    if (tooLarge) {
+      setLogs((prev) => [...prev, `[ERROR] ${tooLarge.name} is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`]);
+      return;
     }
+    const read = await Promise.all(
+      picked.map(async (file) => ({ name: file.name, size: file.size, data: await readAsDataUrl(file) }))
+    );
+    setAttachments((prev) => [...prev, ...read].slice(0, MAX_ATTACHMENTS));
   };
 
   const runSandbox = async () => {
     // Reset state
-    setLogs([]);
-    setSteps([]);
-    setSummary(null);
-    currentStepRef.current = 0;
-    setDuration(0);
+    resetRunView();
+    setReplayRunId(null);
     setSandboxInfo({
       id: null,
       status: "creating",
@@ -422,42 +669,58 @@ export default function Home() {
       endTime: null,
     });
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       const response = await fetch("/api/agent", {
         method: "POST",
+        signal: abortController.signal,
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ 
           task, 
           repoUrl: repoUrl || undefined,
+          attachments: attachments.length > 0 ? attachments.map(({ name, data }) => ({ name, data })) : undefined,
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const detail = await response.json().catch(() => null);
+        throw new Error(detail?.error ?? `HTTP ${response.status}: ${response.statusText}`);
       }
 
       if (!response.body) {
         throw new Error("No response body");
       }
 
+      if (!isSupportedContentType(response.headers.get("Content-Type"))) {
+        throw new Error(`Unsupported event stream: ${response.headers.get("Content-Type")}`);
+      }
+
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      // Network chunks can end mid-line; carry the remainder into the next read
+      let buffer = "";
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split("\n").filter((line) => line.trim());
+        buffer += decoder.decode(value, { stream: true });
+        const parts = buffer.split("\n");
+        buffer = parts.pop() ?? "";
         
-        for (const line of lines) {
-          setLogs((prev) => [...prev, line]);
-          processLog(line);
+        for (const line of parts) {
+          const event = parseEvent(line);
+          if (event) handleEvent(event);
         }
 
         logEndRef.current?.scrollIntoView({ behavior: "smooth" });
       }
 
+      const trailing = parseEvent(buffer);
+      if (trailing) handleEvent(trailing);
+
       setSandboxInfo(prev => ({
         ...prev,
         status: "stopped",
@@ -465,241 +728,344 @@ export default function Home() {
       }));
 
     } catch (error) {
+      if (abortController.signal.aborted) {
+        setLogs((prev) => [...prev, "[LIFECYCLE] Run cancelled - sandbox is being torn down"]);
+        setSandboxInfo(prev => ({ ...prev, status: "cancelled", endTime: Date.now() }));
+        return;
+      }
       const message = error instanceof Error ? error.message : "Unknown error";
       setLogs((prev) => [...prev, `[ERROR] ${message}`]);
       setSandboxInfo(prev => ({ ...prev, status: "error" }));
+    } finally {
+      abortControllerRef.current = null;
+      loadHistory();
     }
   };
 
+  // Aborting the fetch disconnects the route, which kills the agent and stops the sandbox
+  const stopSandbox = () => {
+    abortControllerRef.current?.abort();
+  };
+
   return (
-    <main style={{ maxWidth: "900px", margin: "0 auto", padding: "20px" }}>
-      <h1 style={{ marginBottom: "8px" }}>Portfolio Maintenance Agent</h1>
-      <p style={{ color: "#888", marginBottom: "8px" }}>
-        AI-powered portfolio updates with sandbox isolation
-      </p>
-      <p style={{ color: "#666", fontSize: "12px", marginBottom: "20px" }}>
-        ✨ Powered by <a href="https://openai.com" target="_blank" rel="noopener noreferrer" style={{ color: "#10a37f" }}>OpenAI GPT-4o</a> + <a href="https://sdk.vercel.ai/docs/ai-sdk-core/overview" target="_blank" rel="noopener noreferrer" style={{ color: "#0070f3" }}>Vercel Sandbox</a> 
-      </p>
-
-      {/* Repository URL input */}
-      <div style={{ marginBottom: "16px" }}>
-        <label style={{ display: "block", marginBottom: "8px", color: "#888" }}>
-          GitHub Repository URL:
-        </label>
-        <input
-          type="text"
-          value={repoUrl}
-          onChange={(e) => setRepoUrl(e.target.value)}
-          disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
-          style={{
-            width: "100%",
-            padding: "12px",
-            backgroundColor: "#1a1a1a",
-            border: "1px solid #333",
-            borderRadius: "6px",
-            color: "white",
-            fontFamily: "monospace",
-            fontSize: "14px",
-            opacity: sandboxInfo.status === "running" ? 0.5 : 1,
-          }}
-          placeholder="https://github.com/username/portfolio-repo.git"
-        />
+    <div style={{ display: "flex", gap: "20px", maxWidth: "1200px", margin: "0 auto" }}>
+      <RunHistory
+        runs={history}
+        selectedId={replayRunId}
+        disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
+        onSelect={replayRun}
+        onRefresh={loadHistory}
+      />
+
+      <main style={{ flex: 1, minWidth: 0, maxWidth: "900px", padding: "20px" }}>
+        <h1 style={{ marginBottom: "8px" }}>Portfolio Maintenance Agent</h1>
+        <p style={{ color: "#888", marginBottom: "8px" }}>
+          AI-powered portfolio updates with sandbox isolation
+        </p>
+        <p style={{ color: "#666", fontSize: "12px", marginBottom: "20px" }}>
+          ✨ Powered by <a href="https://openai.com" target="_blank" rel="noopener noreferrer" style={{ color: "#10a37f" }}>OpenAI GPT-4o</a> + <a href="https://sdk.vercel.ai/docs/ai-sdk-core/overview" target="_blank" rel="noopener noreferrer" style={{ color: "#0070f3" }}>Vercel Sandbox</a> 
+        </p>
+
+        {/* Repository URL input */}
+        <div style={{ marginBottom: "16px" }}>
+          <label style={{ display: "block", marginBottom: "8px", color: "#888" }}>
+            GitHub Repository URL:
+          </label>
+          <input
+            type="text"
+            value={repoUrl}
+            onChange={(e) => setRepoUrl(e.target.value)}
+            disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
+            style={{
+              width: "100%",
+              padding: "12px",
+              backgroundColor: "#1a1a1a",
+              border: "1px solid #333",
+              borderRadius: "6px",
+              color: "white",
+              fontFamily: "monospace",
+              fontSize: "14px",
+              opacity: sandboxInfo.status === "running" ? 0.5 : 1,
+            }}
+            placeholder="https://github.com/username/portfolio-repo.git"
+          />
         
-      </div>
+        </div>
 
-      {/* Task input */}
-      <div style={{ marginBottom: "16px" }}>
-        <label style={{ display: "block", marginBottom: "8px", color: "#888" }}>
-          Portfolio Goal:
-        </label>
-        <textarea
-          value={task}
-          onChange={(e) => setTask(e.target.value)}
-          disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
-          style={{
-            width: "100%",
-            height: "80px",
-            padding: "12px",
-            backgroundColor: "#1a1a1a",
-            border: "1px solid #333",
-            borderRadius: "6px",
-            color: "white",
-            fontFamily: "sans-serif",
-            fontSize: "14px",
-            resize: "vertical",
-            opacity: sandboxInfo.status === "running" ? 0.5 : 1,
-          }}
-          placeholder="Enter what you want to change in your portfolio..."
-        />
-      </div>
+        {/* Task input */}
+        <div style={{ marginBottom: "16px" }}>
+          <label style={{ display: "block", marginBottom: "8px", color: "#888" }}>
+            Portfolio Goal:
+          </label>
+          <textarea
+            value={task}
+            onChange={(e) => setTask(e.target.value)}
+            disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
+            style={{
+              width: "100%",
+              height: "80px",
+              padding: "12px",
+              backgroundColor: "#1a1a1a",
+              border: "1px solid #333",
+              borderRadius: "6px",
+              color: "white",
+              fontFamily: "sans-serif",
+              fontSize: "14px",
+              resize: "vertical",
+              opacity: sandboxInfo.status === "running" ? 0.5 : 1,
+            }}
+            placeholder="Enter what you want to change in your portfolio..."
+          />
+        </div>
 
-      {/* Example tasks */}
-      <div style={{ marginBottom: "16px" }}>
-        <label style={{ display: "block", marginBottom: "8px", color: "#666", fontSize: "12px" }}>
-          Quick Examples:
-        </label>
-        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
-          {EXAMPLE_TASKS.map((example, i) => (
-            <button
-              key={i}
-              onClick={() => setTask(example.task)}
-              disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
-              style={{
-                padding: "6px 12px",
-                fontSize: "12px",
-                backgroundColor: "#222",
-                color: "#888",
-                border: "1px solid #333",
-                borderRadius: "4px",
-                cursor: sandboxInfo.status === "running" ? "not-allowed" : "pointer",
-              }}
-            >
-              {example.label}
-            </button>
-          ))}
+        {/* Attachments */}
+        <div style={{ marginBottom: "16px" }}>
+          <label style={{ display: "block", marginBottom: "8px", color: "#888" }}>
+            Attachments (images, PDFs - up to {MAX_ATTACHMENTS}):
+          </label>
+          <input
+            type="file"
+            multiple
+            accept="image/png,image/jpeg,image/gif,image/webp,image/avif,image/svg+xml,application/pdf"
+            onChange={(e) => {
+              addAttachments(e.target.files);
+              e.target.value = "";
+            }}
+            disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating" || attachments.length >= MAX_ATTACHMENTS}
+            style={{ color: "#888", fontSize: "12px" }}
+          />
+          {attachments.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginTop: "8px" }}>
+              {attachments.map((attachment, i) => (
+                <span
+                  key={`${attachment.name}-${i}`}
+                  style={{
+                    display: "inline-flex",
+                    alignItems: "center",
+                    gap: "6px",
+                    padding: "4px 8px",
+                    fontSize: "12px",
+                    backgroundColor: "#222",
+                    color: "#ccc",
+                    border: "1px solid #333",
+                    borderRadius: "4px",
+                    fontFamily: "monospace",
+                  }}
+                >
+                  📎 {attachment.name} ({(attachment.size / 1024).toFixed(0)} KB)
+                  <button
+                    onClick={() => setAttachments((prev) => prev.filter((_, index) => index !== i))}
+                    disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
+                    style={{ background: "none", border: "none", color: "#888", cursor: "pointer", padding: 0 }}
+                    title="Remove"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
         </div>
-      </div>
 
-      {/* Run button */}
-      <button
-        onClick={runSandbox}
-        disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
-        style={{
-          padding: "12px 24px",
-          fontSize: "16px",
-          backgroundColor: sandboxInfo.status === "running" || sandboxInfo.status === "creating" ? "#333" : "#2563eb",
-          color: "white",
-          border: "none",
-          borderRadius: "6px",
-          cursor: sandboxInfo.status === "running" || sandboxInfo.status === "creating" ? "not-allowed" : "pointer",
-          marginBottom: "20px",
-        }}
-      >
-        {sandboxInfo.status === "creating" ? "Creating Sandbox..." : 
-         sandboxInfo.status === "running" ? "Updating Portfolio..." : 
-         "Run Agent"}
-      </button>
-
-      {/* Sandbox lifecycle indicator */}
-      <SandboxLifecycle info={sandboxInfo} duration={duration} />
-
-      {/* View mode toggle */}
-      <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}>
-        <button
-          onClick={() => setViewMode("timeline")}
-          style={{
-            padding: "8px 16px",
-            backgroundColor: viewMode === "timeline" ? "#2563eb" : "#333",
-            color: "white",
-            border: "none",
-            borderRadius: "4px",
-            cursor: "pointer",
-          }}
-        >
-          📊 Timeline
-        </button>
+        {/* Example tasks */}
+        <div style={{ marginBottom: "16px" }}>
+          <label style={{ display: "block", marginBottom: "8px", color: "#666", fontSize: "12px" }}>
+            Quick Examples:
+          </label>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+            {EXAMPLE_TASKS.map((example, i) => (
+              <button
+                key={i}
+                onClick={() => setTask(example.task)}
+                disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
+                style={{
+                  padding: "6px 12px",
+                  fontSize: "12px",
+                  backgroundColor: "#222",
+                  color: "#888",
+                  border: "1px solid #333",
+                  borderRadius: "4px",
+                  cursor: sandboxInfo.status === "running" ? "not-allowed" : "pointer",
+                }}
+              >
+                {example.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Run button */}
         <button
-          onClick={() => setViewMode("raw")}
+          onClick={runSandbox}
+          disabled={sandboxInfo.status === "running" || sandboxInfo.status === "creating"}
           style={{
-            padding: "8px 16px",
-            backgroundColor: viewMode === "raw" ? "#2563eb" : "#333",
+            padding: "12px 24px",
+            fontSize: "16px",
+            backgroundColor: sandboxInfo.status === "running" || sandboxInfo.status === "creating" ? "#333" : "#2563eb",
             color: "white",
             border: "none",
-            borderRadius: "4px",
-            cursor: "pointer",
+            borderRadius: "6px",
+            cursor: sandboxInfo.status === "running" || sandboxInfo.status === "creating" ? "not-allowed" : "pointer",
+            marginBottom: "20px",
           }}
         >
-          📜 Raw Logs
+          {sandboxInfo.status === "creating" ? "Creating Sandbox..." : 
+           sandboxInfo.status === "running" ? "Updating Portfolio..." : 
+           "Run Agent"}
         </button>
-      </div>
 
-      {/* Main content area */}
-      {viewMode === "timeline" ? (
-        <div style={{ minHeight: "400px" }}>
-          {steps.length === 0 && sandboxInfo.status === "idle" && (
-            <div style={{
-              padding: "40px",
-              textAlign: "center",
-              color: "#555",
-              backgroundColor: "#111",
-              borderRadius: "8px",
-            }}>
-              Enter a goal and click &quot;Run Agent&quot; to start
-            </div>
-          )}
-          
-          {steps.length === 0 && (sandboxInfo.status === "creating" || sandboxInfo.status === "running") && (
-            <div style={{
-              padding: "40px",
-              textAlign: "center",
-              color: "#888",
-              backgroundColor: "#111",
-              borderRadius: "8px",
-            }}>
-              <div style={{ fontSize: "24px", marginBottom: "8px" }}>⏳</div>
-              Waiting for agent steps...
-            </div>
-          )}
+        {/* Stop button */}
+        {(sandboxInfo.status === "running" || sandboxInfo.status === "creating") && (
+          <button
+            onClick={stopSandbox}
+            style={{
+              padding: "12px 24px",
+              fontSize: "16px",
+              backgroundColor: "#ef4444",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              marginBottom: "20px",
+              marginLeft: "8px",
+            }}
+          >
+            Stop
+          </button>
+        )}
 
-          {steps.map((step, i) => (
-            <StepCard key={i} step={step} />
-          ))}
+        {/* Replay indicator */}
+        {replayRunId && (
+          <div style={{ color: "#888", fontSize: "12px", marginBottom: "8px" }}>
+            Replaying recorded run <code>{replayRunId}</code>
+          </div>
+        )}
 
-          <SummaryCard summary={summary} />
+        {/* Sandbox lifecycle indicator */}
+        <SandboxLifecycle info={sandboxInfo} duration={duration} />
+
+        {/* View mode toggle */}
+        <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}>
+          <button
+            onClick={() => setViewMode("timeline")}
+            style={{
+              padding: "8px 16px",
+              backgroundColor: viewMode === "timeline" ? "#2563eb" : "#333",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+            }}
+          >
+            📊 Timeline
+          </button>
+          <button
+            onClick={() => setViewMode("raw")}
+            style={{
+              padding: "8px 16px",
+              backgroundColor: viewMode === "raw" ? "#2563eb" : "#333",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+            }}
+          >
+            📜 Raw Logs
+          </button>
         </div>
-      ) : (
-        <div
-          style={{
-            backgroundColor: "#111",
-            border: "1px solid #333",
-            borderRadius: "8px",
-            padding: "16px",
-            height: "400px",
-            overflowY: "auto",
-            fontFamily: "monospace",
-            fontSize: "12px",
-            lineHeight: "1.5",
-          }}
-        >
-          {logs.length === 0 ? (
-            <span style={{ color: "#555" }}>Logs will appear here...</span>
-          ) : (
-            logs.map((log, i) => (
-              <div
-                key={i}
-                style={{
-                  color: log.startsWith("[ERROR]") || log.includes("FAILED")
-                    ? "#ef4444"
-                    : log.includes("[REPAIR]")
-                    ? "#f59e0b"
-                    : log.startsWith("[LIFECYCLE]")
-                    ? "#3b82f6"
-                    : log.includes("[LLM]")
-                    ? "#a855f7"
-                    : log.includes("[DONE]") || log.includes("COMPLETE")
-                    ? "#22c55e"
-                    : "#888",
-                }}
-              >
-                {log}
+
+        {/* Main content area */}
+        {viewMode === "timeline" ? (
+          <div style={{ minHeight: "400px" }}>
+            {steps.length === 0 && sandboxInfo.status === "idle" && (
+              <div style={{
+                padding: "40px",
+                textAlign: "center",
+                color: "#555",
+                backgroundColor: "#111",
+                borderRadius: "8px",
+              }}>
+                Enter a goal and click &quot;Run Agent&quot; to start
               </div>
-            ))
-          )}
-          <div ref={logEndRef} />
-        </div>
-      )}
+            )}
+          
+            {steps.length === 0 && (sandboxInfo.status === "creating" || sandboxInfo.status === "running") && (
+              <div style={{
+                padding: "40px",
+                textAlign: "center",
+                color: "#888",
+                backgroundColor: "#111",
+                borderRadius: "8px",
+              }}>
+                <div style={{ fontSize: "24px", marginBottom: "8px" }}>⏳</div>
+                Waiting for agent steps...
+              </div>
+            )}
 
-      {/* Architecture note */}
-      <div style={{ marginTop: "24px", padding: "16px", backgroundColor: "#1a1a1a", borderRadius: "8px", fontSize: "13px" }}>
-        <strong>How It Works:</strong>
-        <ul style={{ margin: "8px 0 0 0", paddingLeft: "20px", color: "#888" }}>
-          <li><strong>Sandbox Isolation:</strong> Agent runs in ephemeral Vercel Sandbox (Firecracker MicroVM)</li>
-          <li><strong>Portfolio Loading:</strong> Clones or initializes portfolio codebase</li>
-          <li><strong>Modification:</strong> Makes changes based on your goal using AI</li>
-          <li><strong>Build Validation:</strong> Runs <code>npm run build</code> and fixes errors</li>
-          <li><strong>Git Integration:</strong> Optional commit and push of changes</li>
-        </ul>
-      </div>
-    </main>
+            {steps.map((step, i) => (
+              <StepCard key={i} step={step} tool={toolCatalog[step.tool]} />
+            ))}
+
+            {visualDiffs.map(diff => (
+              <VisualDiffCard key={diff.route} diff={diff} />
+            ))}
+
+            <SummaryCard summary={summary} />
+          </div>
+        ) : (
+          <div
+            style={{
+              backgroundColor: "#111",
+              border: "1px solid #333",
+              borderRadius: "8px",
+              padding: "16px",
+              height: "400px",
+              overflowY: "auto",
+              fontFamily: "monospace",
+              fontSize: "12px",
+              lineHeight: "1.5",
+            }}
+          >
+            {logs.length === 0 ? (
+              <span style={{ color: "#555" }}>Logs will appear here...</span>
+            ) : (
+              logs.map((log, i) => (
+                <div
+                  key={i}
+                  style={{
+                    color: log.startsWith("[ERROR]") || log.includes("FAILED")
+                      ? "#ef4444"
+                      : log.includes("[REPAIR]")
+                      ? "#f59e0b"
+                      : log.startsWith("[LIFECYCLE]")
+                      ? "#3b82f6"
+                      : log.includes("[LLM]")
+                      ? "#a855f7"
+                      : log.includes("[DONE]") || log.includes("COMPLETE")
+                      ? "#22c55e"
+                      : "#888",
+                  }}
+                >
+                  {log}
+                </div>
+              ))
+            )}
+            <div ref={logEndRef} />
+          </div>
+        )}
+
+        {/* Architecture note */}
+        <div style={{ marginTop: "24px", padding: "16px", backgroundColor: "#1a1a1a", borderRadius: "8px", fontSize: "13px" }}>
+          <strong>How It Works:</strong>
+          <ul style={{ margin: "8px 0 0 0", paddingLeft: "20px", color: "#888" }}>
+            <li><strong>Sandbox Isolation:</strong> Agent runs in ephemeral Vercel Sandbox (Firecracker MicroVM)</li>
+            <li><strong>Portfolio Loading:</strong> Clones or initializes portfolio codebase</li>
+            <li><strong>Modification:</strong> Makes changes based on your goal using AI</li>
+            <li><strong>Build Validation:</strong> Runs <code>npm run build</code> and fixes errors</li>
+            <li><strong>Git Integration:</strong> Optional commit and push of changes</li>
+          </ul>
+        </div>
+      </main>
+    </div>
   );
 }
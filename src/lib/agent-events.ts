@@ -0,0 +1,251 @@
+/**
+ * AGENT EVENT PROTOCOL (v1)
+ *
+ * Shared between the host route (/api/agent) and the UI.
+ *
+ * The agent inside the sandbox writes typed events to stdout as NDJSON,
+ * each line prefixed with the ASCII record separator (see
+ * src/sandbox-files/agent/events.js). The host forwards those events
+ * untouched and wraps every other line (host lifecycle messages and the
+ * agent's plain console output) in a "log" event, so the response body
+ * is a single NDJSON stream of AgentEvent objects.
+ */
+
+export const EVENT_PROTOCOL_VERSION = 1;
+
+/** Prefix marking an event line in the agent's stdout */
+export const EVENT_MARKER = "\x1e";
+
+/** Content type of the /api/agent response body */
+export const AGENT_EVENTS_CONTENT_TYPE = `application/x-ndjson; charset=utf-8; profile="agent-events"; version=${EVENT_PROTOCOL_VERSION}`;
+
+// ================================================================
+// EVENT TYPES
+// ================================================================
+
+interface BaseEvent {
+  v: typeof EVENT_PROTOCOL_VERSION;
+  ts: number;
+}
+
+// Emitted by the agent
+
+/** How a tool affects the world, declared by its descriptor (tools/index.js) */
+export type ToolSideEffect = "read" | "write" | "execute" | "external";
+
+export interface ToolCatalogEntry {
+  name: string;
+  label: string;
+  category: string;
+  sideEffect: ToolSideEffect;
+}
+
+export interface RunStartedEvent extends BaseEvent {
+  type: "run_started";
+  goal: string;
+  maxSteps: number;
+  tools: ToolCatalogEntry[];
+  pid: number;
+  node: string;
+}
+
+export interface PlanEvent extends BaseEvent {
+  type: "plan";
+  steps: string[];
+}
+
+export interface StepStartedEvent extends BaseEvent {
+  type: "step_started";
+  step: number;
+  maxSteps: number;
+}
+
+export interface ToolCallEvent extends BaseEvent {
+  type: "tool_call";
+  step: number;
+  tool: string;
+  args: Record<string, unknown>;
+}
+
+export interface ToolResultEvent extends BaseEvent {
+  type: "tool_result";
+  step: number;
+  tool: string;
+  success: boolean;
+  error: string | null;
+  exitCode: number | null;
+  preview: string | null;
+}
+
+/** One line of output from a command while it runs (build, tests, git, run_command, background jobs) */
+export interface OutputEvent extends BaseEvent {
+  type: "output";
+  step: number;
+  command: string;
+  /** Set for background jobs (run_command with background: true) */
+  jobId: number | null;
+  stream: "stdout" | "stderr";
+  line: string;
+}
+
+/** Allow/deny decision of the run_command policy (the audit trail) */
+export interface CommandPolicyEvent extends BaseEvent {
+  type: "command_policy";
+  step: number;
+  command: string;
+  args: string[];
+  allowed: boolean;
+  reason: string | null;
+  /** Command or subcommand whose rule decided, e.g. "npm install" */
+  rule: string | null;
+}
+
+export interface ArtifactEvent extends BaseEvent {
+  type: "artifact";
+  step: number;
+  tool: string;
+  kind: "screenshot";
+  name: string;
+  /** Absolute path inside the sandbox */
+  path: string;
+  /** Set by the host once the file is copied into the run store */
+  url?: string | null;
+}
+
+export interface VisualDiffImage {
+  name: string;
+  /** Absolute path inside the sandbox */
+  path: string;
+  /** Set by the host once the file is copied into the run store */
+  url?: string | null;
+}
+
+export interface VisualRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface VisualDiffEvent extends BaseEvent {
+  type: "visual_diff";
+  step: number;
+  route: string;
+  changedPixels: number;
+  /** Changed pixels / total pixels, 0-1 */
+  changedRatio: number;
+  sizeChanged: boolean;
+  width: number;
+  height: number;
+  regions: VisualRegion[];
+  images: { before: VisualDiffImage; after: VisualDiffImage; diff: VisualDiffImage };
+}
+
+export interface RepairEvent extends BaseEvent {
+  type: "repair";
+  step: number;
+  tool: string | null;
+  error: string;
+  repairs: number;
+}
+
+export interface StateSnapshotEvent extends BaseEvent {
+  type: "state_snapshot";
+  state: Record<string, unknown>;
+}
+
+/** File operation recorded by the agent's state (agent/state.js) */
+export type FileChangeKind = "write" | "edit" | "move" | "copy" | "delete" | "mkdir";
+
+export interface ChangedFile {
+  path: string;
+  kind: FileChangeKind;
+  /** Source path of a move or copy */
+  from?: string;
+}
+
+export interface DoneEvent extends BaseEvent {
+  type: "done";
+  completed: boolean;
+  result: string | null;
+  steps: number;
+  maxSteps: number;
+  repairs: number;
+  changedFiles: ChangedFile[];
+}
+
+export interface ErrorEvent extends BaseEvent {
+  type: "error";
+  message: string;
+  fatal: boolean;
+}
+
+// Emitted by the host
+
+export interface LogEvent extends BaseEvent {
+  type: "log";
+  source: string;
+  message: string;
+}
+
+export interface SandboxEvent extends BaseEvent {
+  type: "sandbox";
+  status: "created" | "stopped";
+  sandboxId: string;
+}
+
+export interface CancelledEvent extends BaseEvent {
+  type: "cancelled";
+  reason: string;
+  sandboxId: string | null;
+}
+
+export type AgentEvent =
+  | RunStartedEvent
+  | PlanEvent
+  | StepStartedEvent
+  | ToolCallEvent
+  | ToolResultEvent
+  | OutputEvent
+  | CommandPolicyEvent
+  | ArtifactEvent
+  | VisualDiffEvent
+  | RepairEvent
+  | StateSnapshotEvent
+  | DoneEvent
+  | ErrorEvent
+  | LogEvent
+  | SandboxEvent
+  | CancelledEvent;
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Parse one NDJSON line into an event.
+ * Returns null for blank lines, invalid JSON, or a different protocol version.
+ */
+export function parseEvent(line: string): AgentEvent | null {
+  const trimmed = line.startsWith(EVENT_MARKER) ? line.slice(EVENT_MARKER.length) : line;
+  if (!trimmed.trim()) return null;
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (parsed && parsed.v === EVENT_PROTOCOL_VERSION && typeof parsed.type === "string") {
+      return parsed as AgentEvent;
+    }
+  } catch {
+    // Not an event
+  }
+  return null;
+}
+
+/**
+ * Check a response's Content-Type against the protocol version this build understands
+ */
+export function isSupportedContentType(contentType: string | null): boolean {
+  if (!contentType) return false;
+  const [mediaType, ...params] = contentType.split(";").map((part) => part.trim());
+  return mediaType === "application/x-ndjson" && params.includes(`version=${EVENT_PROTOCOL_VERSION}`);
+}
@@ -0,0 +1,119 @@
+/**
+ * ATTACHMENTS
+ *
+ * Files sent with a run request (images, PDFs) that the host writes into
+ * the sandbox under ATTACHMENTS_DIR before the agent starts. The agent
+ * lists them with list_attachments and copies them into the project with
+ * import_attachment (src/sandbox-files/tools/assets.js).
+ *
+ * REQUEST FORMAT (/api/agent JSON body):
+ *   attachments: [{ name: "cover.png", data: "<base64>" }]
+ *
+ * The MIME type is sniffed from the content, never taken from the client,
+ * and names are reduced to a safe file name with an extension matching
+ * that type.
+ */
+
+/** Staging directory inside the sandbox, relative to the project root */
+export const ATTACHMENTS_DIR = ".agent-uploads";
+
+export const MAX_ATTACHMENTS = 10;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_TOTAL_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Accepted types and the extension a staged file gets
+const EXTENSIONS: Record<string, string> = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/svg+xml": ".svg",
+  "application/pdf": ".pdf",
+};
+
+export interface AttachmentSummary {
+  name: string;
+  mimeType: string;
+  size: number;
+}
+
+export interface Attachment extends AttachmentSummary {
+  content: Buffer;
+}
+
+/**
+ * Detect an accepted file type from its first bytes
+ */
+export function sniffMimeType(content: Buffer): string | null {
+  const ascii = (start: number, end: number) => content.subarray(start, end).toString("latin1");
+
+  if (content.length >= 8 && content.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (content.length >= 3 && content[0] === 0xff && content[1] === 0xd8 && content[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && /^avi[fs]$/.test(ascii(8, 12))) return "image/avif";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+
+  const head = content.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if ((head.startsWith("<?xml") || head.startsWith("<svg") || head.startsWith("<!--")) && head.includes("<svg")) {
+    return "image/svg+xml";
+  }
+  return null;
+}
+
+/**
+ * Reduce a client-supplied name to a plain file name with the right extension
+ */
+function stagedName(name: string, mimeType: string): string {
+  const extension = EXTENSIONS[mimeType];
+  const base = (name.split(/[\\/]/).pop() ?? "")
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[.-]+|-+$/g, "")
+    .slice(0, 80);
+  return `${base || "attachment"}${extension}`;
+}
+
+/**
+ * Validate the attachments field of a run request
+ */
+export function parseAttachments(value: unknown): { attachments: Attachment[] } | { error: string } {
+  if (value === undefined || value === null) return { attachments: [] };
+  if (!Array.isArray(value)) return { error: "attachments must be an array" };
+  if (value.length > MAX_ATTACHMENTS) return { error: `At most ${MAX_ATTACHMENTS} attachments per run` };
+
+  const attachments: Attachment[] = [];
+  let total = 0;
+
+  for (const [index, item] of value.entries()) {
+    const { name, data } = (item ?? {}) as { name?: unknown; data?: unknown };
+    if (typeof name !== "string" || !name.trim() || typeof data !== "string") {
+      return { error: `attachments[${index}] needs a name and base64 data` };
+    }
+
+    const content = Buffer.from(data.replace(/^data:[^,]*,/, ""), "base64");
+    if (content.length === 0) return { error: `${name} is empty` };
+    if (content.length > MAX_ATTACHMENT_BYTES) {
+      return { error: `${name} is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB` };
+    }
+    total += content.length;
+    if (total > MAX_TOTAL_ATTACHMENT_BYTES) {
+      return { error: `Attachments exceed ${MAX_TOTAL_ATTACHMENT_BYTES / (1024 * 1024)} MB in total` };
+    }
+
+    const mimeType = sniffMimeType(content);
+    if (!mimeType) return { error: `${name} is not a supported image or PDF` };
+
+    // Two uploads with the same name get -2, -3... suffixes
+    let staged = stagedName(name, mimeType);
+    const stem = staged.slice(0, -EXTENSIONS[mimeType].length);
+    for (let n = 2; attachments.some((attachment) => attachment.name === staged); n++) {
+      staged = `${stem}-${n}${EXTENSIONS[mimeType]}`;
+    }
+
+    attachments.push({ name: staged, mimeType, size: content.length, content });
+  }
+
+  return { attachments };
+}
@@ -0,0 +1,201 @@
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { randomUUID } from "crypto";
+import { join } from "path";
+import type { AgentEvent, ChangedFile, VisualRegion } from "@/lib/agent-events";
+import type { AttachmentSummary } from "@/lib/attachments";
+
+/**
+ * RUN STORE
+ *
+ * Persists every agent run on the host's local disk so it can be
+ * audited and replayed after the fact.
+ *
+ * LAYOUT (one pair of files per run):
+ * - <dir>/<id>.json          Run record (metadata, final state, diff, PR URL)
+ * - <dir>/<id>.events.ndjson Full event stream, appended as events arrive
+ * - <dir>/<id>.assets/       Files pulled out of the sandbox (screenshots, visual diffs)
+ *
+ * Events are appended immediately so a crashed host still leaves a
+ * replayable partial run; the record is rewritten when the run ends.
+ *
+ * Directory defaults to ./.runs and can be changed with RUN_STORE_DIR.
+ */
+
+export type RunStatus = "running" | "completed" | "failed" | "cancelled";
+
+/** Latest before/after comparison of one route; image fields are asset URLs */
+export interface VisualDiffRecord {
+  route: string;
+  changedRatio: number;
+  sizeChanged: boolean;
+  regions: VisualRegion[];
+  before: string | null;
+  after: string | null;
+  diff: string | null;
+}
+
+export interface RunRecord {
+  id: string;
+  goal: string;
+  repoUrl: string | null;
+  sandboxId: string | null;
+  status: RunStatus;
+  startedAt: number;
+  endedAt: number | null;
+  durationMs: number | null;
+  exitCode: number | null;
+  result: string | null;
+  finalState: Record<string, unknown> | null;
+  changedFiles: ChangedFile[];
+  diff: string | null;
+  prUrl: string | null;
+  visualDiffs: VisualDiffRecord[];
+  attachments: AttachmentSummary[];
+}
+
+/** Record without the heavy fields, for listing */
+export type RunSummary = Omit<RunRecord, "finalState" | "diff">;
+
+// Run ids double as file names - keep them to a safe alphabet
+const RUN_ID_PATTERN = /^run_[a-z0-9_]+$/;
+
+// Asset names come from the sandbox - same treatment
+const ASSET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*\.png$/;
+
+function storeDir(): string {
+  const dir = process.env.RUN_STORE_DIR || join(process.cwd(), ".runs");
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function recordPath(id: string): string {
+  return join(storeDir(), `${id}.json`);
+}
+
+function eventsPath(id: string): string {
+  return join(storeDir(), `${id}.events.ndjson`);
+}
+
+function assetPath(id: string, name: string): string {
+  return join(storeDir(), `${id}.assets`, name);
+}
+
+export function isValidRunId(id: string): boolean {
+  return RUN_ID_PATTERN.test(id);
+}
+
+export function isValidAssetName(name: string): boolean {
+  return ASSET_NAME_PATTERN.test(name);
+}
+
+/**
+ * Create a new run record in "running" state
+ */
+export function createRun(goal: string, repoUrl: string | null, attachments: AttachmentSummary[] = []): RunRecord {
+  const record: RunRecord = {
+    id: `run_${Date.now()}_${randomUUID().slice(0, 8)}`,
+    goal,
+    repoUrl,
+    sandboxId: null,
+    status: "running",
+    startedAt: Date.now(),
+    endedAt: null,
+    durationMs: null,
+    exitCode: null,
+    result: null,
+    finalState: null,
+    changedFiles: [],
+    diff: null,
+    prUrl: null,
+    visualDiffs: [],
+    attachments,
+  };
+  writeFileSync(recordPath(record.id), JSON.stringify(record, null, 2));
+  writeFileSync(eventsPath(record.id), "");
+  return record;
+}
+
+/**
+ * Append one event to a run's event stream
+ */
+export function appendEvent(id: string, event: AgentEvent): void {
+  appendFileSync(eventsPath(id), `${JSON.stringify(event)}\n`);
+}
+
+/**
+ * Store a file produced during a run (e.g. a screenshot)
+ */
+export function saveAsset(id: string, name: string, content: Buffer): void {
+  if (!isValidRunId(id) || !isValidAssetName(name)) {
+    throw new Error(`Invalid asset: ${id}/${name}`);
+  }
+  mkdirSync(join(storeDir(), `${id}.assets`), { recursive: true });
+  writeFileSync(assetPath(id, name), content);
+}
+
+/**
+ * Load a stored asset (null if missing)
+ */
+export function getAsset(id: string, name: string): Buffer | null {
+  if (!isValidRunId(id) || !isValidAssetName(name) || !existsSync(assetPath(id, name))) {
+    return null;
+  }
+  return readFileSync(assetPath(id, name));
+}
+
+/**
+ * Write the final record when a run ends
+ */
+export function finishRun(record: RunRecord, status: Exclude<RunStatus, "running">): RunRecord {
+  record.status = status;
+  record.endedAt = Date.now();
+  record.durationMs = record.endedAt - record.startedAt;
+  writeFileSync(recordPath(record.id), JSON.stringify(record, null, 2));
+  return record;
+}
+
+/**
+ * List all runs, newest first
+ */
+export function listRuns(): RunSummary[] {
+  const runs: RunSummary[] = [];
+
+  for (const file of readdirSync(storeDir())) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const { finalState, diff, ...summary } = JSON.parse(readFileSync(join(storeDir(), file), "utf8")) as RunRecord;
+      runs.push(summary);
+    } catch {
+      // Skip corrupt or half-written records
+    }
+  }
+
+  return runs.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Load a run record and its full event stream
+ */
+export function getRun(id: string): { record: RunRecord; events: AgentEvent[] } | null {
+  if (!isValidRunId(id) || !existsSync(recordPath(id))) {
+    return null;
+  }
+
+  const record = JSON.parse(readFileSync(recordPath(id), "utf8")) as RunRecord;
+  const events: AgentEvent[] = [];
+
+  if (existsSync(eventsPath(id))) {
+    for (const line of readFileSync(eventsPath(id), "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line) as AgentEvent);
+      } catch {
+        // Last line may be partial if the host died mid-write
+      }
+    }
+  }
+
+  return { record, events };
+}
@@ -0,0 +1,48 @@
+import { existsSync, readdirSync } from "fs";
+import { join } from "path";
+
+/**
+ * SKILL PACKS
+ *
+ * Markdown skills shipped with the agent (src/sandbox-files/agent/skills)
+ * that a run request can select:
+ *   skills: ["react-best-practices", "cinema-portfolio"]
+ *
+ * The selection reaches the agent as AGENT_SKILL_PACKS. Without a "skills"
+ * field the agent picks its defaults; an empty array selects none.
+ * Repository skills (.agent/skills in the target repo) always load.
+ */
+
+/** Skill pack directory, relative to the project root */
+export const SKILL_PACKS_DIR = "src/sandbox-files/agent/skills";
+
+/**
+ * Names of the available packs (file names without .md)
+ */
+export function listSkillPacks(): string[] {
+  const dir = join(process.cwd(), SKILL_PACKS_DIR);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".md"))
+    .map((file) => file.slice(0, -3))
+    .sort();
+}
+
+/**
+ * Validate the skills field of a run request
+ * packs is null when the request does not select any (agent defaults apply)
+ */
+export function parseSkillPacks(value: unknown): { packs: string[] | null } | { error: string } {
+  if (value === undefined || value === null) return { packs: null };
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    return { error: "skills must be an array of skill pack names" };
+  }
+
+  const available = listSkillPacks();
+  const unknown = value.filter((name) => !available.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown skill pack(s): ${unknown.join(", ")} (available: ${available.join(", ") || "none"})` };
+  }
+
+  return { packs: [...new Set(value as string[])] };
+}
@@ -0,0 +1,60 @@
+/**
+ * VALIDATION POLICY
+ *
+ * How the agent validates its changes (see src/sandbox-files/agent/validation.js):
+ *   validation: { mode: "fast", buildTimeoutMs: 300000, typecheckTimeoutMs: 120000, testTimeoutMs: 180000 }
+ *
+ * - mode "fast" (agent default): run_typecheck while iterating, full build before commit
+ * - mode "full": full build after every change
+ *
+ * Every field is optional; omitted fields keep the agent defaults. The
+ * policy reaches the agent as AGENT_VALIDATION_MODE and AGENT_*_TIMEOUT_MS.
+ */
+
+export const VALIDATION_MODES = ["fast", "full"] as const;
+
+// Upper bound for a single validation command
+const MAX_TIMEOUT_MS = 30 * 60 * 1000;
+
+const TIMEOUT_FIELDS: Record<string, string> = {
+  buildTimeoutMs: "AGENT_BUILD_TIMEOUT_MS",
+  typecheckTimeoutMs: "AGENT_TYPECHECK_TIMEOUT_MS",
+  testTimeoutMs: "AGENT_TEST_TIMEOUT_MS",
+};
+
+/**
+ * Validate the validation field of a run request
+ * env holds the agent environment variables for the fields that were set
+ */
+export function parseValidationPolicy(value: unknown): { env: Record<string, string> } | { error: string } {
+  if (value === undefined || value === null) return { env: {} };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { error: "validation must be an object" };
+  }
+
+  const policy = value as Record<string, unknown>;
+  const env: Record<string, string> = {};
+
+  const unknown = Object.keys(policy).filter((key) => key !== "mode" && !(key in TIMEOUT_FIELDS));
+  if (unknown.length > 0) {
+    return { error: `Unknown validation field(s): ${unknown.join(", ")}` };
+  }
+
+  if (policy.mode !== undefined) {
+    if (!VALIDATION_MODES.includes(policy.mode as (typeof VALIDATION_MODES)[number])) {
+      return { error: `validation.mode must be one of: ${VALIDATION_MODES.join(", ")}` };
+    }
+    env.AGENT_VALIDATION_MODE = policy.mode as string;
+  }
+
+  for (const [field, envName] of Object.entries(TIMEOUT_FIELDS)) {
+    const ms = policy[field];
+    if (ms === undefined) continue;
+    if (typeof ms !== "number" || !Number.isInteger(ms) || ms <= 0 || ms > MAX_TIMEOUT_MS) {
+      return { error: `validation.${field} must be a whole number of milliseconds between 1 and ${MAX_TIMEOUT_MS}` };
+    }
+    env[envName] = String(ms);
+  }
+
+  return { env };
+}
@@ -0,0 +1,140 @@
+/**
+ * EVENT CHANNEL
+ *
+ * Typed events emitted by the agent for the host route and UI.
+ * Human-readable console.log output stays as-is for the raw log view;
+ * these events are the machine-readable channel the UI builds its state from.
+ *
+ * WIRE FORMAT:
+ * - One JSON object per line on stdout (NDJSON)
+ * - Each line is prefixed with the ASCII record separator (0x1E),
+ *   as in RFC 7464 JSON text sequences, so the host can tell events
+ *   apart from ordinary log lines without guessing at their wording
+ * - Every event carries the protocol version `v`, a `type` and a timestamp
+ *
+ * EVENT TYPES:
+ * run_started, plan, step_started, tool_call, tool_result, output,
+ * command_policy, artifact, visual_diff, repair, state_snapshot, done, error
+ */
+
+const EVENT_PROTOCOL_VERSION = 1;
+const EVENT_MARKER = "\x1e";
+
+// Tool result payloads can be whole files - cap what goes on the wire
+const MAX_PREVIEW_LENGTH = 500;
+
+/**
+ * Write a single event to the event channel
+ */
+function emit(type, payload = {}) {
+  const event = {
+    v: EVENT_PROTOCOL_VERSION,
+    type,
+    ts: Date.now(),
+    ...payload,
+  };
+  process.stdout.write(`${EVENT_MARKER}${JSON.stringify(event)}\n`);
+  return event;
+}
+
+/**
+ * Truncated JSON preview of a tool result's data
+ */
+function preview(data) {
+  if (data === undefined) return null;
+  const str = JSON.stringify(data);
+  return str.length > MAX_PREVIEW_LENGTH ? `${str.substring(0, MAX_PREVIEW_LENGTH)}...` : str;
+}
+
+function runStarted(goal, maxSteps, tools) {
+  return emit("run_started", { goal, maxSteps, tools, pid: process.pid, node: process.version });
+}
+
+function plan(steps) {
+  return emit("plan", { steps });
+}
+
+function stepStarted(step, maxSteps) {
+  return emit("step_started", { step, maxSteps });
+}
+
+function toolCall(step, tool, args) {
+  return emit("tool_call", { step, tool, args });
+}
+
+function toolResult(step, tool, result) {
+  return emit("tool_result", {
+    step,
+    tool,
+    success: result.success,
+    error: result.error || null,
+    exitCode: result.data?.exitCode ?? null,
+    preview: preview(result.data),
+  });
+}
+
+/**
+ * One line of output from a running command (see tools/jobs.js)
+ * jobId is set for background jobs
+ */
+function output(step, { command, jobId, stream, line }) {
+  return emit("output", { step, command, jobId, stream, line });
+}
+
+/**
+ * run_command policy decision (see tools/command-policy.js) - the audit trail
+ */
+function commandPolicy(step, { command, args, allowed, reason, rule }) {
+  return emit("command_policy", { step, command, args, allowed, reason, rule });
+}
+
+/**
+ * A file produced by a tool (e.g. a screenshot) for the host to collect
+ * artifact: { kind, name, path } - path is absolute inside the sandbox
+ */
+function artifact(step, tool, { kind, name, path }) {
+  return emit("artifact", { step, tool, kind, name, path });
+}
+
+/**
+ * Before/after pixel diff of one route (see tools/visual.js)
+ * Image paths are absolute inside the sandbox; the host collects the files
+ */
+function visualDiff(step, { route, changedPixels, changedRatio, sizeChanged, width, height, regions, images }) {
+  return emit("visual_diff", { step, route, changedPixels, changedRatio, sizeChanged, width, height, regions, images });
+}
+
+function repair(step, tool, error, repairs) {
+  return emit("repair", { step, tool, error, repairs });
+}
+
+function stateSnapshot(snapshot) {
+  return emit("state_snapshot", { state: snapshot });
+}
+
+function done(summary) {
+  return emit("done", summary);
+}
+
+function error(message, fatal = false) {
+  return emit("error", { message, fatal });
+}
+
+module.exports = {
+  EVENT_PROTOCOL_VERSION,
+  EVENT_MARKER,
+  emit,
+  runStarted,
+  plan,
+  stepStarted,
+  toolCall,
+  toolResult,
+  output,
+  commandPolicy,
+  artifact,
+  visualDiff,
+  repair,
+  stateSnapshot,
+  done,
+  error,
+};
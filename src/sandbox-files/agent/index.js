@@ -11,13 +11,22 @@
  * 
  * RUNS ENTIRELY INSIDE SANDBOX
  * Host only injects files and runs `node agent/index.js`
+ * 
+ * Progress is reported twice: human-readable console logs,
+ * and typed NDJSON events (see events.js) that the UI consumes.
  */
 
 const fs = require("fs");
 const path = require("path");
 const tools = require("../tools/index.js");
 const llm = require("./llm.js");
+const profile = require("./profile.js");
+const skills = require("./skills.js");
+const validationPolicy = require("./validation.js");
 const state = require("./state.js");
+const events = require("./events.js");
+const redaction = require("./redact.js");
+const { validateToolCall } = require("../tools/validate.js");
 
 // ================================================================
 // CONFIGURATION
@@ -26,197 +35,44 @@ const state = require("./state.js");
 const MAX_STEPS = 15;  // Higher limit for portfolio tasks
 const GOAL_FILE = "goal.txt";
 
-// Get API key from environment
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Everything the model can call: control tools (plan/finish) + agent tools
+const TOOL_DEFINITIONS = [...llm.CONTROL_TOOLS, ...tools.getToolDefinitions()];
+
+// Scrub secrets from stdout/stderr before anything is logged
+const REDACTED_SECRETS = redaction.install();
 
 // ================================================================
 // TOOL DISPATCHER
 // ================================================================
 
-async function executeTool(toolName, args) {
-  console.log(`\n[EXEC] ${toolName}(${JSON.stringify(args)})`);
-  
-  const allTools = tools.getAllTools();
-  
-  if (!allTools[toolName]) {
-    return { success: false, error: `Unknown tool: ${toolName}` };
-  }
-  
-  // Track file changes
-  if (toolName === "write_file" && args.path) {
-    state.addChangedFile(args.path);
-  }
-  
-  // Execute tool (some are async)
-  const tool = allTools[toolName];
-  const result = await Promise.resolve(tool(args.path || args.dir || args.url || args.query || args.command || args.message || args.files || args.file || args.port || args.branch || args.count || args.targetDir, 
-    args.content || args.args || args.path || args.port || args.targetDir));
-  
-  // Update state based on results
-  if (toolName === "run_build") {
-    state.setBuildStatus(result.success, result.data?.errors || [], result.data?.stdout);
-  }
-  if (toolName === "start_dev_server" && result.success) {
-    state.setDevServerStatus(true, result.data?.port, result.data?.pid);
-  }
-  if (toolName === "stop_dev_server") {
-    state.setDevServerStatus(false);
-  }
-  if (toolName === "check_dev_server") {
-    state.setVerificationStatus(result.success, [{ path: args.path, success: result.success }]);
-  }
-  if (toolName === "git_commit" && result.success) {
-    state.setGitStatus(true, false, result.data?.commit_hash);
-  }
-  if (toolName === "git_push" && result.success) {
-    state.setGitStatus(true, true, state.get().git.commit_hash);
-  }
-  
-  return result;
-}
-
 /**
- * Better tool argument handling
+ * Run a tool through its descriptor (see tools/index.js)
+ * Arguments are validated by the caller; the descriptor's handler maps
+ * them onto the tool function and its updateState records the outcome.
  */
 async function executeToolWithArgs(toolName, args) {
   console.log(`\n[EXEC] ${toolName}(${JSON.stringify(args)})`);
-  
-  const allTools = tools.getAllTools();
-  
-  if (!allTools[toolName]) {
+
+  const descriptor = tools.getDescriptor(toolName);
+
+  if (!descriptor) {
     return { success: false, error: `Unknown tool: ${toolName}` };
   }
-  
-  // Track file changes
-  if (toolName === "write_file" && args.path) {
-    state.addChangedFile(args.path);
-  }
-  
+
   let result;
-  
-  // Call tool with proper arguments
-  switch (toolName) {
-    // Filesystem
-    case "write_file":
-      result = allTools[toolName](args.path, args.content);
-      break;
-    case "read_file":
-      result = allTools[toolName](args.path);
-      break;
-    case "list_files":
-      result = allTools[toolName](args.dir || args.path || ".");
-      break;
-    case "search_files":
-      result = allTools[toolName](args.query, args.path || ".");
-      break;
-      
-    // Git
-    case "git_clone":
-      result = allTools[toolName](args.url, args.targetDir || ".");
-      break;
-    case "git_status":
-      result = allTools[toolName]();
-      break;
-    case "git_diff":
-      result = allTools[toolName](args.file);
-      break;
-    case "git_add":
-      result = allTools[toolName](args.files || ".");
-      break;
-    case "git_commit":
-      result = allTools[toolName](args.message);
-      break;
-    case "git_push":
-      result = allTools[toolName](args.branch || "main");
-      break;
-    case "git_create_pr":
-      result = await allTools[toolName](args.title, args.body || "");
-      break;
-    case "git_stash_backup":
-      result = allTools[toolName]();
-      break;
-    case "git_restore_backup":
-      result = allTools[toolName]();
-      break;
-    case "git_clear_backup":
-      result = allTools[toolName]();
-      break;
-    case "git_log":
-      result = allTools[toolName](args.count || 5);
-      break;
-      
-    // Build
-    case "npm_install":
-      result = allTools[toolName]();
-      break;
-    case "run_build":
-      result = allTools[toolName]();
-      break;
-    case "run_lint":
-      result = allTools[toolName]();
-      break;
-    case "start_dev_server":
-      result = await allTools[toolName](args.port || 3000);
-      break;
-    case "stop_dev_server":
-      result = allTools[toolName]();
-      break;
-    case "check_dev_server":
-      result = await allTools[toolName](args.path || "/");
-      break;
-    case "check_build_output":
-      result = allTools[toolName]();
-      break;
-      
-    // Command
-    case "run_command":
-      result = allTools[toolName](args.command, args.args || []);
-      break;
-      
-    // Browser/Verification
-    case "take_screenshot":
-      result = await allTools[toolName](args);
-      break;
-    case "verify_deployment":
-      result = await allTools[toolName](args);
-      break;
-    case "wait_for_dev_server":
-      result = await allTools[toolName](args);
-      break;
-    case "extract_page_content":
-      result = await allTools[toolName](args);
-      break;
-      
-    default:
-      result = { success: false, error: `Unhandled tool: ${toolName}` };
-  }
-  
-  // Await if promise
-  result = await Promise.resolve(result);
-  
-  // Update state based on results
-  if (toolName === "run_build") {
-    state.setBuildStatus(result.success, result.data?.errors || [], result.data?.stdout);
-  }
-  if (toolName === "start_dev_server" && result.success) {
-    state.setDevServerStatus(true, result.data?.port, result.data?.pid);
-  }
-  if (toolName === "stop_dev_server") {
-    state.setDevServerStatus(false);
-  }
-  if (toolName === "check_dev_server") {
-    state.setVerificationStatus(result.success, [{ path: args.path || "/", success: result.success }]);
-  }
-  if (toolName === "git_commit" && result.success) {
-    state.setGitStatus(true, false, result.data?.commit_hash);
-  }
-  if (toolName === "git_push" && result.success) {
-    state.setGitStatus(true, true, state.get().git.commit_hash, result.data?.branch);
+  try {
+    result = await Promise.resolve(descriptor.handler(args));
+  } catch (err) {
+    result = { success: false, error: `${toolName} threw: ${err.message}` };
   }
-  if (toolName === "git_create_pr" && result.success) {
-    state.setGitStatus(true, true, state.get().git.commit_hash, result.data?.branch, result.data?.pr_url);
+
+  // Output of commands and file reads can contain tokens
+  result = redaction.redactValue(result);
+
+  if (descriptor.updateState) {
+    descriptor.updateState(state, result, args);
   }
-  
+
   return result;
 }
 
@@ -234,21 +90,54 @@ async function main() {
   console.log("[ENV] Working directory:", process.cwd());
   console.log("[ENV] Node version:", process.version);
   console.log("[ENV] MAX_STEPS:", MAX_STEPS);
-  console.log("[ENV] API Key present:", OPENAI_API_KEY ? "Yes" : "NO!");
+  console.log("[ENV] Redacted secrets:", REDACTED_SECRETS.join(", ") || "none");
 
-  if (!OPENAI_API_KEY) {
-    console.log("\n[FATAL] OPENAI_API_KEY not found!");
+  // Select LLM provider (see providers/index.js)
+  let llmConfig;
+  try {
+    llmConfig = llm.initialize({ definitions: TOOL_DEFINITIONS, overview: tools.getToolSchema() });
+  } catch (err) {
+    console.log(`\n[FATAL] Invalid LLM configuration: ${err.message}`);
+    events.error(`Invalid LLM configuration: ${err.message}`, true);
     process.exit(1);
   }
 
+  console.log("[ENV] LLM provider:", llmConfig.name);
+  console.log("[ENV] LLM model:", llmConfig.model);
+
+  if (llmConfig.requiresApiKey) {
+    console.log("[ENV] API Key present:", llmConfig.apiKey ? "Yes" : "NO!");
+    if (!llmConfig.apiKey) {
+      console.log(`\n[FATAL] ${llmConfig.apiKeyEnv} not found!`);
+      events.error(`${llmConfig.apiKeyEnv} not found`, true);
+      process.exit(1);
+    }
+  }
+
   // Initialize tools with current directory as project root
   const projectRoot = process.cwd();
   tools.initializeAll(projectRoot);
+  // Command output is streamed while it runs, tagged with the current step
+  tools.jobs.setOutputListener((line) => events.output(state.get().iteration.count, line));
+  tools.commandPolicy.setDecisionListener((decision) => events.commandPolicy(state.get().iteration.count, decision));
+  // The token comes from the credential helper; a clone URL may still carry one
+  if (await tools.git.removeRemoteCredentials()) {
+    console.log("[GIT] Removed credentials from the origin URL");
+  }
 
   // Reset state
   state.reset();
   state.update({ iteration: { max: MAX_STEPS } });
 
+  // Validation policy: fast checks while iterating, full build before commit
+  const policy = validationPolicy.resolvePolicy();
+  tools.build.configure({ timeouts: { build: policy.timeouts.build, typecheck: policy.timeouts.typecheck } });
+  tools.tests.configure({ timeout: policy.timeouts.tests });
+  state.setValidationMode(policy.mode);
+  llm.setValidationPolicy(validationPolicy.formatPolicy(policy));
+  const timeoutOverrides = Object.entries(policy.timeouts).filter(([, ms]) => ms !== undefined);
+  console.log(`[VALIDATION] Mode: ${policy.mode}${timeoutOverrides.length > 0 ? ` (timeouts: ${timeoutOverrides.map(([name, ms]) => `${name}=${ms}ms`).join(", ")})` : ""}`);
+
   // ============================================================
   // Read goal from goal.txt
   // ============================================================
@@ -266,11 +155,13 @@ async function main() {
     }
   } catch (err) {
     console.log(`[ERROR] Failed to read goal: ${err.message}`);
+    events.error(`Failed to read goal: ${err.message}`, true);
     process.exit(1);
   }
 
   console.log(`[GOAL] ${goal}`);
   state.setGoal(goal);
+  events.runStarted(goal, MAX_STEPS, tools.getToolCatalog());
 
   // Check if this is a project directory (repo was cloned via sandbox source option)
   // The Vercel Sandbox `source` option clones the repo at sandbox creation time
@@ -284,12 +175,48 @@ async function main() {
     console.log(`[INIT] Installing dependencies...`);
     const installResult = await executeToolWithArgs("npm_install", {});
     if (installResult.success) {
-      console.log(`[INIT] Dependencies installed successfully`);
+      console.log(`[INIT] ${installResult.data.message}`);
     } else {
-      console.log(`[INIT] Warning: npm install failed: ${installResult.error}`);
+      console.log(`[INIT] Warning: dependency install failed: ${installResult.error}`);
     }
   }
 
+  // Index the repository so the prompt describes the files actually on disk
+  try {
+    const repoProfile = profile.detectProfile(projectRoot);
+    const summary = profile.summarizeProfile(repoProfile);
+    if (summary) {
+      console.log(`[INIT] Repository profile: ${summary.name} - ${summary.framework || "no framework detected"}, ${summary.packageManager}${summary.routers.length > 0 ? `, ${summary.routers.join(", ")}` : ""}`);
+    } else {
+      console.log(`[INIT] Repository profile: no package.json, agent will explore the tree`);
+    }
+    state.setRepoProfile(summary);
+    llm.setRepositoryProfile(profile.formatProfile(repoProfile));
+  } catch (err) {
+    console.log(`[INIT] Warning: repository profile detection failed: ${err.message}`);
+  }
+
+  // Skills: .agent/skills in the repo plus the packs selected for this run
+  try {
+    const requestedPacks = process.env.AGENT_SKILL_PACKS === undefined
+      ? null
+      : process.env.AGENT_SKILL_PACKS.split(",").map((pack) => pack.trim()).filter(Boolean);
+    const loaded = skills.loadSkills(projectRoot, {
+      requestedPacks,
+      defaultPacks: state.get().repo.profile?.react ? ["react-best-practices"] : [],
+    });
+    for (const skill of loaded) {
+      console.log(`[SKILLS] Loaded "${skill.name}" from ${skill.file} (${skill.globs.length > 0 ? `applies to ${skill.globs.join(", ")}` : "always"})`);
+    }
+    if (loaded.length === 0) {
+      console.log("[SKILLS] No skills loaded");
+    }
+    state.setSkills(loaded.map((skill) => skill.file));
+    llm.setSkills(skills.formatSkills());
+  } catch (err) {
+    console.log(`[INIT] Warning: loading skills failed: ${err.message}`);
+  }
+
   // ============================================================
   // Agent Loop
   // ============================================================
@@ -297,7 +224,11 @@ async function main() {
   console.log("STARTING AGENT LOOP");
   console.log("=".repeat(60));
 
-  const messages = [llm.formatGoal(goal)];
+  const attachments = tools.assets.listStaged();
+  if (attachments.length > 0) {
+    console.log(`[INIT] Attachments: ${attachments.map((a) => a.name).join(", ")}`);
+  }
+  const messages = [llm.formatGoal(goal, attachments)];
   let done = false;
   let finalResult = null;
 
@@ -310,47 +241,93 @@ async function main() {
     console.log(`STEP ${step}/${MAX_STEPS}`);
     console.log(`[STATE] ${JSON.stringify(state.getSummary())}`);
     console.log("─".repeat(60));
+    events.stepStarted(step, MAX_STEPS);
 
     // Call LLM
     console.log("[LLM] Requesting next action...");
-    const response = await llm.callLLM(OPENAI_API_KEY, messages);
+    const response = await llm.callLLM(messages);
 
     if (!response.success) {
       console.log(`[ERROR] LLM call failed: ${response.error}`);
       state.addIterationError(response.error);
+      events.error(`LLM call failed: ${response.error}`);
       break;
     }
 
-    const action = response.data;
+    const { call, message } = response.data;
+    messages.push(message);
 
-    // Handle plan response
-    if (action.plan) {
-      console.log(`[PLAN] ${action.plan.length} steps:`);
-      action.plan.forEach((s, i) => console.log(`  ${i + 1}. ${s}`));
-      state.setPlan(action.plan);
+    // Model replied without calling a tool - nudge it back on protocol
+    if (!call) {
+      console.log("[REPAIR] ⚠️ No tool call in response");
+      state.addIterationError("LLM response had no tool call");
+      events.repair(step, null, "LLM response had no tool call", state.get().iteration.repairs);
+      messages.push({ role: "user", content: "You must respond by calling exactly one of the provided tools." });
+      continue;
+    }
+
+    // Validate arguments before anything runs
+    const validation = call.argsError
+      ? { valid: false, errors: [{ path: "args", message: call.argsError }] }
+      : validateToolCall(TOOL_DEFINITIONS, call.name, call.args);
+    const args = call.args || {};
+
+    // Handle plan
+    if (call.name === "submit_plan" && validation.valid) {
+      console.log(`[PLAN] ${args.steps.length} steps:`);
+      args.steps.forEach((s, i) => console.log(`  ${i + 1}. ${s}`));
+      state.setPlan(args.steps);
+      events.plan(args.steps);
       
-      messages.push({ role: "assistant", content: JSON.stringify(action) });
-      messages.push({ role: "user", content: "Execute the plan step by step. Start with step 1." });
+      messages.push(llm.formatToolResult(call, {
+        success: true,
+        data: { message: "Plan recorded. Execute the plan step by step. Start with step 1." },
+      }));
       continue;
     }
 
-    // Handle done response
-    if (action.done) {
-      console.log(`[DONE] ${action.result}`);
+    // Handle done
+    if (call.name === "finish" && validation.valid) {
+      console.log(`[DONE] ${args.result}`);
       done = true;
-      finalResult = action.result;
+      finalResult = args.result;
       break;
     }
 
     // Handle tool call
-    if (!action.tool) {
-      console.log("[ERROR] Invalid response - no tool specified");
-      state.addIterationError("Invalid LLM response");
-      break;
+    events.toolCall(step, call.name, args);
+    const changedBefore = state.get().changed_files.length;
+    const commitBlocker = call.name === "git_commit" ? validationPolicy.commitBlocker(state.get(), { buildScript: tools.build.hasBuildScript() }) : null;
+    let toolResult;
+    let treeChanged = false;
+    if (!validation.valid) {
+      toolResult = {
+        success: false,
+        error: `Invalid arguments for ${call.name}`,
+        data: { validationErrors: validation.errors },
+      };
+    } else if (commitBlocker) {
+      console.log(`[VALIDATION] Commit refused: ${commitBlocker}`);
+      toolResult = { success: false, error: commitBlocker };
+    } else if (validationPolicy.checksWorkingTree(call.name)) {
+      const treeBefore = await tools.git.worktreeFingerprint();
+      toolResult = await executeToolWithArgs(call.name, args);
+      treeChanged = treeBefore !== null && (await tools.git.worktreeFingerprint()) !== treeBefore;
+      if (treeChanged) console.log(`[VALIDATION] ${call.name} changed the working tree - build is stale`);
+    } else {
+      toolResult = await executeToolWithArgs(call.name, args);
+    }
+    if (treeChanged || validationPolicy.isFileChange(tools.getDescriptor(call.name), toolResult)) {
+      state.recordFileChange();
     }
-
-    const toolResult = await executeToolWithArgs(action.tool, action.args || {});
     console.log(`[RESULT] success=${toolResult.success}`);
+    events.toolResult(step, call.name, toolResult);
+    for (const artifact of toolResult.data?.artifacts || []) {
+      events.artifact(step, call.name, artifact);
+    }
+    for (const diff of toolResult.data?.visualDiffs || []) {
+      events.visualDiff(step, diff);
+    }
     
     if (toolResult.data) {
       // Truncate large outputs for logging
@@ -363,13 +340,21 @@ async function main() {
       (toolResult.data?.exitCode !== undefined && toolResult.data.exitCode !== 0);
     
     if (isError) {
-      state.addIterationError(toolResult.error || `${action.tool} failed`);
+      state.addIterationError(toolResult.error || `${call.name} failed`);
       console.log(`[REPAIR] ⚠️ Error detected (repair #${state.get().iteration.repairs})`);
+      events.repair(step, call.name, toolResult.error || `${call.name} failed`, state.get().iteration.repairs);
     }
 
     // Add to context
-    messages.push({ role: "assistant", content: JSON.stringify(action) });
-    messages.push(llm.formatToolResult(action.tool, toolResult));
+    messages.push(llm.formatToolResult(call, toolResult));
+
+    // File-specific skills for the files this call read or changed
+    const touched = [args.path, args.from, args.to, ...state.get().changed_files.slice(changedBefore).map((f) => f.path)];
+    const activated = validation.valid ? skills.activateForPaths(touched) : [];
+    if (activated.length > 0) {
+      activated.forEach(({ skill, path: matched }) => console.log(`[SKILLS] Activated "${skill.name}" for ${matched}`));
+      messages.push(skills.formatActivatedSkills(activated));
+    }
 
     // Add state summary periodically
     if (step % 3 === 0) {
@@ -377,6 +362,7 @@ async function main() {
     }
 
     console.log(`[CONTEXT] ${messages.length} messages`);
+    events.stateSnapshot(state.get());
   }
 
   // ============================================================
@@ -392,6 +378,12 @@ async function main() {
     await executeToolWithArgs("stop_dev_server", {});
   }
 
+  // Stop background jobs still running
+  const stoppedJobs = await tools.jobs.stopAllJobs();
+  if (stoppedJobs.length > 0) {
+    console.log(`[CLEANUP] Stopped background job(s): ${stoppedJobs.join(", ")}`);
+  }
+
   // ============================================================
   // Summary
   // ============================================================
@@ -404,7 +396,9 @@ async function main() {
   console.log(`  Goal: ${finalState.goal?.substring(0, 50)}...`);
   console.log(`  Steps: ${finalState.iteration.count}/${MAX_STEPS}`);
   console.log(`  Files changed: ${finalState.changed_files.length}`);
+  console.log(`  Type check: ${finalState.typecheck.success === null ? "not run" : finalState.typecheck.success ? "✓ passed" : `✗ ${finalState.typecheck.errors.length} errors`}`);
   console.log(`  Build: ${finalState.build.success === null ? "not run" : finalState.build.success ? "✓ passed" : "✗ failed"}`);
+  console.log(`  Tests: ${finalState.tests.success === null ? "not run" : finalState.tests.success ? `✓ ${finalState.tests.passed} passed` : `✗ ${finalState.tests.failed} failed`}`);
   console.log(`  Verification: ${finalState.verification.success === null ? "not run" : finalState.verification.success ? "✓ passed" : "✗ failed"}`);
   console.log(`  Git: ${finalState.git.pushed ? "pushed" : finalState.git.committed ? "committed" : "uncommitted"}`);
   console.log(`  Repairs: ${finalState.iteration.repairs}`);
@@ -414,17 +408,47 @@ async function main() {
   // List files changed
   if (finalState.changed_files.length > 0) {
     console.log(`\n[FILES CHANGED]`);
-    finalState.changed_files.forEach(f => console.log(`  📄 ${f}`));
+    finalState.changed_files.forEach(f => console.log(`  📄 ${f.path} (${f.kind}${f.from ? ` from ${f.from}` : ""})`));
   }
 
+  events.stateSnapshot(finalState);
+  events.done({
+    completed: done,
+    result: finalResult,
+    steps: finalState.iteration.count,
+    maxSteps: MAX_STEPS,
+    repairs: finalState.iteration.repairs,
+    changedFiles: finalState.changed_files,
+  });
+
   console.log("\n" + "=".repeat(60));
   console.log("AGENT FINISHED");
   console.log("=".repeat(60));
 }
 
+// ================================================================
+// CANCELLATION
+// ================================================================
+
+// Host sends SIGTERM when the client cancels the run.
+// Stop anything we started before the sandbox is torn down.
+process.on("SIGTERM", async () => {
+  console.log("\n[CANCEL] Received SIGTERM - cleaning up");
+  try {
+    if (state.get().dev_server.running) {
+      console.log("[CLEANUP] Stopping dev server...");
+      await executeToolWithArgs("stop_dev_server", {});
+    }
+    await tools.jobs.stopAllJobs();
+  } finally {
+    process.exit(143);
+  }
+});
+
 // Run
 main().catch((err) => {
   console.error("[FATAL]", err.message);
   console.error(err.stack);
+  events.error(err.message, true);
   process.exit(1);
 });
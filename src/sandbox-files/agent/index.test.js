@@ -0,0 +1,90 @@
+/**
+ * AGENT LOOP TESTS
+ *
+ * Runs agent/index.js end to end with the replay provider against a
+ * throwaway project and checks the emitted NDJSON events.
+ * Fixtures live in agent/fixtures/ (format: see providers/replay.js).
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const AGENT = path.join(__dirname, "index.js");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Events are "\x1e" + JSON lines between the console logs (see events.js)
+function parseEvents(stdout) {
+  return stdout
+    .split("\n")
+    .filter((line) => line.startsWith("\x1e"))
+    .map((line) => JSON.parse(line.slice(1)));
+}
+
+/**
+ * Create a project, run the agent on it with a fixture
+ * Returns { status, stdout, events, root }
+ */
+function runAgent(fixture, goal) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "agent-loop-test-"));
+  fs.mkdirSync(path.join(root, "src"));
+  fs.writeFileSync(path.join(root, "package.json"), JSON.stringify({ name: "replay-project", private: true, scripts: { build: "node src/greeting.js" } }, null, 2));
+  fs.writeFileSync(path.join(root, "src", "greeting.js"), 'console.log("Hello");\n');
+  fs.writeFileSync(path.join(root, "goal.txt"), goal);
+  const git = (...args) => spawnSync("git", args, { cwd: root, encoding: "utf8" });
+  git("init", "-q");
+  git("add", "-A");
+  git("-c", "user.email=test@example.com", "-c", "user.name=test", "commit", "-qm", "init");
+
+  const result = spawnSync(process.execPath, [AGENT], {
+    cwd: root,
+    encoding: "utf8",
+    timeout: 120000,
+    maxBuffer: 20 * 1024 * 1024,
+    env: {
+      ...process.env,
+      LLM_PROVIDER: "replay",
+      LLM_REPLAY_FILE: path.join(FIXTURES, fixture),
+      AGENT_COMMAND_AUDIT_LOG: path.join(root, ".audit.jsonl"),
+      FORCE_COLOR: "0",
+    },
+  });
+  return { status: result.status, stdout: result.stdout, events: parseEvents(result.stdout), root };
+}
+
+test("replays a fixture through the agent loop to finish", { timeout: 150000 }, (t) => {
+  const run = runAgent("edit-and-build.json", "Change the greeting to Hello, world");
+  t.after(() => fs.rmSync(run.root, { recursive: true, force: true }));
+
+  assert.strictEqual(run.status, 0, run.stdout.slice(-2000));
+
+  // Command output can be streamed before the run starts (startup git commands)
+  const types = run.events.map((event) => event.type).filter((type) => type !== "output");
+  assert.strictEqual(types[0], "run_started");
+  assert.strictEqual(types[types.length - 1], "done");
+
+  const started = run.events.find((event) => event.type === "run_started");
+  assert.strictEqual(started.goal, "Change the greeting to Hello, world");
+
+  const plan = run.events.find((event) => event.type === "plan");
+  assert.deepStrictEqual(plan.steps, ["Read the greeting", "Update the greeting", "Build"]);
+
+  const calls = run.events.filter((event) => event.type === "tool_call").map((event) => event.tool);
+  for (const tool of ["read_file", "edit_file", "run_build"]) {
+    assert.ok(calls.includes(tool), `${tool} was not called (calls: ${calls.join(", ")})`);
+  }
+  const results = run.events.filter((event) => event.type === "tool_result");
+  for (const result of results.filter((event) => ["read_file", "edit_file", "run_build"].includes(event.tool))) {
+    assert.strictEqual(result.success, true, `${result.tool} failed: ${result.error}`);
+  }
+
+  const done = run.events[run.events.length - 1];
+  assert.strictEqual(done.completed, true);
+  assert.strictEqual(done.result, "Updated the greeting");
+  assert.ok(done.changedFiles.some((file) => file.path === "src/greeting.js"));
+
+  assert.strictEqual(fs.readFileSync(path.join(run.root, "src", "greeting.js"), "utf8"), 'console.log("Hello, world");\n');
+});
@@ -1,313 +1,133 @@
 /**
  * LLM INTEGRATION
  * 
- * OpenAI API calls with portfolio maintenance agent system prompt.
- * Uses strict JSON output for structured tool calling.
- * Includes Vercel React Best Practices skill.
+ * Model calls with portfolio maintenance agent system prompt.
+ * Uses the provider's native tool calling: every reply is exactly one
+ * tool call, including planning (submit_plan) and completion (finish).
+ * The repository profile (agent/profile.js) and skills (agent/skills.js)
+ * are injected at startup.
  * 
- * MODELS:
- * - gpt-4o: Fast, capable model for agentic coding tasks
- * - gpt-4o-mini: Cheaper alternative for simpler tasks
+ * PROVIDERS:
+ * The backend (OpenAI, Anthropic, OpenAI-compatible, replay) is chosen
+ * via LLM_PROVIDER - see providers/index.js. This module owns the prompt,
+ * retries, model fallback and response parsing; providers only move bytes.
  */
 
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
+const providers = require("./providers/index.js");
+const { redact, redactValue } = require("./redact.js");
 
-// Use gpt-4o by default (fast and capable)
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-const FALLBACK_MODEL = "gpt-4o-mini";
+// Set by initialize()
+let CONFIG = null;
+let PROVIDER = null;
+let TOOLS = [];
+let SYSTEM = null;
+let OVERVIEW = null;
+let PROFILE = null; // Set by setRepositoryProfile()
+let SKILLS = null; // Set by setSkills()
+let POLICY = null; // Set by setValidationPolicy()
+
+const MAX_TOKENS = 16384; // Increased for large file writes
 
 /**
- * Vercel React Best Practices Skill (from vercel-labs/agent-skills)
- * 57 rules across 8 categories for React/Next.js performance optimization
+ * Agent control tools
+ * Planning and completion are tool calls too, so every model turn
+ * has the same shape and no free-form JSON needs to be parsed.
  */
-const REACT_BEST_PRACTICES_SKILL = `
-=== VERCEL REACT BEST PRACTICES SKILL ===
-Apply these guidelines when writing, reviewing, or modifying React/Next.js code.
-
-RULE CATEGORIES BY PRIORITY:
-1. Eliminating Waterfalls (CRITICAL)
-   - async-defer-await: Move await into branches where actually used
-   - async-parallel: Use Promise.all() for independent operations
-   - async-suspense-boundaries: Use Suspense to stream content
-
-2. Bundle Size Optimization (CRITICAL)
-   - bundle-barrel-imports: Import directly, avoid barrel files (import { Button } from './Button' not from './components')
-   - bundle-dynamic-imports: Use next/dynamic for heavy components
-   - bundle-defer-third-party: Load analytics/logging after hydration
-   - bundle-conditional: Load modules only when feature is activated
-   - bundle-preload: Preload on hover/focus for perceived speed
-
-3. Server-Side Performance (HIGH)
-   - server-cache-react: Use React.cache() for per-request deduplication
-   - server-serialization: Minimize data passed to client components
-   - server-parallel-fetching: Restructure components to parallelize fetches
-   - server-after-nonblocking: Use after() for non-blocking operations
-
-4. Client-Side Data Fetching (MEDIUM-HIGH)
-   - client-swr-dedup: Use SWR for automatic request deduplication
-   - client-passive-event-listeners: Use passive listeners for scroll
-
-5. Re-render Optimization (MEDIUM)
-   - rerender-memo: Extract expensive work into memoized components
-   - rerender-derived-state: Subscribe to derived booleans, not raw values
-   - rerender-functional-setstate: Use functional setState for stable callbacks
-   - rerender-lazy-state-init: Pass function to useState for expensive values
-   - rerender-transitions: Use startTransition for non-urgent updates
-
-6. Rendering Performance (MEDIUM)
-   - rendering-content-visibility: Use content-visibility for long lists
-   - rendering-hoist-jsx: Extract static JSX outside components
-   - rendering-conditional-render: Use ternary, not && for conditionals
-   - rendering-usetransition-loading: Prefer useTransition for loading state
-
-7. JavaScript Performance (LOW-MEDIUM)
-   - js-early-exit: Return early from functions
-   - js-set-map-lookups: Use Set/Map for O(1) lookups
-   - js-combine-iterations: Combine multiple filter/map into one loop
-
-APPLY THESE PATTERNS when generating or modifying React/Next.js code.
-`;
+const CONTROL_TOOLS = [
+  {
+    name: "submit_plan",
+    description: "Submit your plan before executing any other tool. Call once at the start.",
+    parameters: {
+      type: "object",
+      properties: {
+        steps: { type: "array", items: { type: "string" }, minItems: 1, description: "Concrete steps in order" },
+      },
+      required: ["steps"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "finish",
+    description: "Finish the task. Only call after the build and tests pass (or when reporting that you are stuck).",
+    parameters: {
+      type: "object",
+      properties: {
+        result: { type: "string", minLength: 1, description: "Summary of the changes, including the PR URL if one was created" },
+      },
+      required: ["result"],
+      additionalProperties: false,
+    },
+  },
+];
 
 /**
- * Cinema Portfolio Knowledge Skill
- * Comprehensive knowledge about ashwinrameshkannan.com portfolio structure
+ * Prompt section used when no repository profile could be detected
  */
-const CINEMA_PORTFOLIO_SKILL = `
-=== CINEMA PORTFOLIO KNOWLEDGE ===
-
-This is Ashwin Ramesh Kannan's portfolio website (ashwinrameshkannan.com).
-Tech stack: Next.js 16 + React 19 + TypeScript + Tailwind CSS v4 + Framer Motion
-
-## FILE MAP (CRITICAL - Use these exact paths)
-
-### Data Files
-- PROJECTS: src/lib/chapters.ts (Chapter interface, chapters array)
-- CONSTANTS: src/lib/constants.ts (navItems, proofItems, footerLinks, siteConfig)
-- MDX UTILS: src/lib/mdx.ts (PostFrontmatter type, getAllPosts, getPostBySlug)
-
-### Pages (Next.js App Router)
-- HOMEPAGE: src/app/page.tsx
-- ABOUT: src/app/about/page.tsx
-- CHAPTERS LIST: src/app/chapters/page.tsx
-- CHAPTER DETAIL: src/app/chapters/[slug]/page.tsx
-- JOURNAL LIST: src/app/journal/page.tsx
-- JOURNAL POST: src/app/journal/[slug]/page.tsx
-- RESUME: src/app/resume/page.tsx
-- LAYOUT: src/app/layout.tsx
-- STYLES: src/app/globals.css
-
-### Components
-- HERO: src/components/home/HeroSection.tsx
-- PROOF STRIP: src/components/home/ProofStrip.tsx (uses proofItems from constants)
-- FEATURED: src/components/home/FeaturedChapters.tsx
-- FOOTER: src/components/layout/Footer.tsx
-- NAV: src/components/layout/Navigation.tsx
-- ABOUT CONTENT: src/components/about/AboutContent.tsx
-- CHAPTER HEADER: src/components/chapters/ChapterHeader.tsx
-- CHAPTER CONTENT: src/components/chapters/ChapterContent.tsx
-- JOURNAL LIST: src/components/journal/JournalList.tsx
-- UI BUTTON: src/components/ui/Button.tsx
-- UI CARD: src/components/ui/Card.tsx
-- UI TAG: src/components/ui/Tag.tsx
-
-### Content
-- JOURNAL POSTS: content/journal/*.mdx (MDX files with frontmatter)
-
-## DATA STRUCTURES
-
-### Chapter (Project) Interface
-\`\`\`ts
-interface Chapter {
-  slug: string;           // URL-safe identifier
-  title: string;          // Project name
-  subtitle: string;       // Short tagline
-  description: string;    // Summary paragraph
-  date: string;           // "YYYY-MM" format
-  tags: string[];         // ["ai", "backend", "full-stack", etc.]
-  coverImage?: string;    // Optional image path
-  featured?: boolean;     // Show on homepage
-  context: string;        // Problem/background
-  whatIBuilt: string;     // Solution description
-  keyDecisions: string[]; // Technical choices made
-  challenges: string[];   // Problems overcome
-  outcomes: string[];     // Results/metrics
-  techStack: string[];    // Technologies used
-  links?: {
-    live?: string;
-    github?: string;
-    demo?: string;
-  };
-}
-\`\`\`
-
-### PostFrontmatter (Journal)
-\`\`\`ts
-interface PostFrontmatter {
-  title: string;
-  description: string;
-  date: string;           // "YYYY-MM-DD" format
-  tags: string[];
-  draft?: boolean;        // true = hidden
-  coverImage?: string;
-}
-\`\`\`
-
-### Constants Structure (src/lib/constants.ts)
-\`\`\`ts
-export const siteConfig = { name, description, url, author };
-export const navItems = [{ label, href }];
-export const proofItems = [{ label, icon }];  // Homepage highlights
-export const footerLinks = { social: [...], pages: [...] };
-export const allTags = ["ai", "backend", "full-stack", ...];
-\`\`\`
-
-## COMMON TASKS - EXACT STEPS
-
-### Add a New Project
-1. Read: src/lib/chapters.ts
-2. Add new Chapter object to chapters array
-3. Set featured: true if it should appear on homepage
-4. Run build to verify
-
-### Add Journal Post
-1. Create: content/journal/[slug].mdx
-2. Add frontmatter (title, description, date, tags)
-3. Write MDX content
-4. Run build to verify
-
-### Edit Homepage Hero
-1. Edit: src/components/home/HeroSection.tsx
-2. Modify text/layout as needed
-3. Run build to verify
-
-### Add Proof Strip Item
-1. Edit: src/lib/constants.ts
-2. Add to proofItems array: { label: "Text", icon: "emoji" }
-3. Run build to verify
-
-### Edit Footer
-1. Edit: src/components/layout/Footer.tsx
-2. Or edit footerLinks in src/lib/constants.ts
-3. Run build to verify
-
-### Edit Navigation
-1. Edit navItems in src/lib/constants.ts
-2. Run build to verify
-
-### Add New Tag Color
-1. Edit: src/app/globals.css
-2. Add .tag-[name] class with gradient
-3. Update getTagColor() in src/lib/utils.ts
-
-## STYLING RULES
-
-- Dark mode ONLY (no light mode)
-- Use Tailwind CSS v4 classes
-- CSS variables defined in globals.css:
-  - --color-bg, --color-text-primary, --color-border
-  - --color-highlight, --color-accent-*
-- Tag colors: .tag-ai, .tag-backend, .tag-web, .tag-vr, .tag-creative
-- Containers: container-narrow (prose), container-wide (full)
-- Animations: framer-motion variants in src/lib/motion.ts
-
-## TYPESCRIPT REQUIREMENTS
-
-- All components use TypeScript
-- Import types from their source files
-- Use proper React 19 patterns
-- Next.js 16 app router conventions
-
-## VALID TAGS
-ai, backend, full-stack, python, typescript, web, vr, creative, productivity, engineering
-`;
+const NO_PROFILE = `
+=== REPOSITORY PROFILE ===
+Not detected. Map the repository with list_files({"tree": true}) before planning.`;
 
 /**
  * System prompt for portfolio maintenance agent
+ * The repository-specific part (REPOSITORY PROFILE) is generated at startup
+ * by agent/profile.js and added in buildSystemPrompt().
  */
-const SYSTEM_PROMPT = `You are the Cinema Portfolio Agent - specialized for maintaining ashwinrameshkannan.com.
+const SYSTEM_PROMPT = `You are the Portfolio Maintenance Agent - you make precise modifications to web projects (Next.js, Vite and similar).
 
 YOUR MISSION:
-Make precise modifications to the cinema-portfolio repository. You have deep knowledge of this specific codebase.
-
-${CINEMA_PORTFOLIO_SKILL}
-
-${REACT_BEST_PRACTICES_SKILL}
+Make precise modifications to the repository described in the REPOSITORY PROFILE below. The profile is generated from the files on disk: rely on the paths it lists, and confirm any other path with list_files or search_files before reading or editing it. Never guess file locations.
 
 SAFE WORKFLOW (CRITICAL - FOLLOW THIS ORDER):
 1. BACKUP: Call git_stash_backup() BEFORE any file modifications
-2. MODIFY: Make targeted changes with write_file()
-3. BUILD: Run npm build - this validates your changes
-4. IF BUILD FAILS: Call git_restore_backup() to rollback, then fix and retry
-5. IF BUILD PASSES: Call git_clear_backup()
-6. COMMIT: git_add(), git_commit() with descriptive message
-7. PUSH: git_push() - This automatically creates a feature branch (never pushes to main)
-8. PR: git_create_pr(title, body) to create a pull request for review
-9. DONE: Report success with PR URL
-
-AVAILABLE TOOLS:
-
-=== FILESYSTEM ===
-- write_file(path, content): Write/update a file
-- read_file(path): Read file contents
-- list_files(dir): List directory (default ".")
-- search_files(query, path): Search files (rarely needed - you know the structure!)
-
-=== GIT (SAFE WORKFLOW) ===
-- git_stash_backup(): Create backup BEFORE modifications (ALWAYS call first!)
-- git_restore_backup(): Rollback all changes if build fails
-- git_clear_backup(): Clear backup after successful build
-- git_status(): Check working directory status
-- git_diff(file?): View changes
-- git_add(files): Stage files (default ".")
-- git_commit(message): Commit changes
-- git_push(branch): Push to feature branch (NEVER pushes to main directly)
-- git_create_pr(title, body?): Create pull request from feature branch to main
-- git_clone(url, targetDir): Clone repository
-- git_log(count): View recent commits
-
-=== BUILD ===
-- npm_install(): Install dependencies
-- run_build(): Run npm build (PRIMARY verification)
-- run_lint(): Run linter
-- check_build_output(): Check .next directory exists
-
-=== COMMAND ===
-- run_command(command, args): Run whitelisted commands
-
-RESPONSE FORMAT (JSON only):
-
-Plan: {"plan": ["Step 1", "Step 2", ...]}
-Tool: {"tool": "tool_name", "args": {...}}
-Done: {"done": true, "result": "Summary of changes"}
+   UI changes: also start_dev_server() and visual_baseline() on the affected routes before editing
+2. MODIFY: Make targeted changes with edit_file() (or apply_patch() for multi-hunk changes); use write_file() only for new files
+3. VALIDATE: Follow the VALIDATION POLICY below - run_typecheck() for fast checks, run_build() for the full build
+   (build script through the project's package manager). If the repository has tests (see the profile), call run_tests() too -
+   pass files to run only the affected tests while iterating
+4. IF BUILD OR TESTS FAIL: Call git_restore_backup() to rollback, then fix and retry
+5. IF BUILD AND TESTS PASS: Call git_clear_backup()
+6. VERIFY (page content changes): start_dev_server() if not running, then assert_page() on the changed route (checks the rendered DOM and fails on client-side errors) and visual_diff() if you captured a baseline, then stop_dev_server()
+7. COMMIT: git_add(), git_commit() with descriptive message
+8. PUSH: git_push() - This automatically creates a feature branch (never pushes to main)
+9. PR: git_create_pr(title, body) to create a pull request for review
+10. DONE: Call finish() with a summary and the PR URL
+
+TOOLS:
+Call the provided tools - their descriptions and argument schemas are attached to every request.
+Start by calling submit_plan with your steps. End by calling finish with a summary.
+If the profile does not cover what the goal touches, map that part first with list_files({"tree": true}), then use search_files to find code instead of reading whole files.
+Invalid arguments are rejected before the tool runs; read the error and call again with corrected arguments.
 
 RULES:
 1. ONE tool call at a time
-2. ALWAYS call git_stash_backup() before any write_file()
-3. ALWAYS call git_restore_backup() if build fails
+2. ALWAYS call git_stash_backup() before modifying any file
+3. ALWAYS call git_restore_backup() if build or tests fail
 4. ALWAYS create PR instead of pushing to main
-5. Build MUST pass before marking done
+5. Build and tests MUST pass before marking done
 6. Match existing code style exactly
+7. [REDACTED:...] marks a secret removed from tool output - never write it into files; edit around it
 
 ERROR HANDLING:
-- Build fails? Call git_restore_backup(), fix the issue, create new backup, retry
+- Build or tests fail? Call git_restore_backup(), fix the issue, create new backup, retry
 - Max 3 retries per error
 - Report failure if stuck
 
-EXAMPLE WORKFLOW:
+EXAMPLE WORKFLOW (one tool call per turn; paths come from the profile or a search):
 
 Goal: "Add proof item '10+ Projects 🚀'"
-{"plan": ["Backup state", "Read constants", "Modify proofItems", "Build", "Commit and PR"]}
-{"tool": "git_stash_backup", "args": {}}
-{"tool": "read_file", "args": {"path": "src/lib/constants.ts"}}
-{"tool": "write_file", "args": {"path": "src/lib/constants.ts", "content": "..."}}
-{"tool": "run_build", "args": {}}
+submit_plan({"steps": ["Backup state", "Find proofItems", "Modify proofItems", "Build", "Commit and PR"]})
+git_stash_backup({})
+search_files({"query": "proofItems", "mode": "symbol"})
+read_file({"path": "src/lib/constants.ts", "startLine": 20, "endLine": 40})
+edit_file({"path": "src/lib/constants.ts", "oldText": "export const proofItems = [", "newText": "export const proofItems = [\\n  { label: \\"10+ Projects\\", icon: \\"🚀\\" },"})
+run_build({})
 // If build passes:
-{"tool": "git_clear_backup", "args": {}}
-{"tool": "git_add", "args": {"files": "."}}
-{"tool": "git_commit", "args": {"message": "feat: add '10+ Projects' to proof strip"}}
-{"tool": "git_push", "args": {}}
-{"tool": "git_create_pr", "args": {"title": "Add 10+ Projects highlight", "body": "Adds new proof item to homepage"}}
-{"done": true, "result": "Added '10+ Projects 🚀' - PR created at [url]"}`;
+git_clear_backup({})
+git_add({"files": "."})
+git_commit({"message": "feat: add '10+ Projects' to proof strip"})
+git_push({})
+git_create_pr({"title": "Add 10+ Projects highlight", "body": "Adds new proof item to homepage"})
+finish({"result": "Added '10+ Projects 🚀' - PR created at [url]"})`;
 
 /**
  * Sleep helper for retry delays
@@ -317,21 +137,81 @@ function sleep(ms) {
 }
 
 /**
- * Call OpenAI API with strict JSON output and retry logic for rate limits
- * Tries Codex model first, falls back to gpt-4o if not available
+ * Resolve provider config from environment and create the provider
+ * tools.definitions: the definitions sent with every request (control tools + agent tools)
+ * tools.overview: tool overview appended to the system prompt (tools/index.js getToolSchema)
+ * Throws on invalid config (unknown provider, missing base URL or fixture)
+ */
+function initialize({ definitions, overview }, env = process.env) {
+  CONFIG = providers.resolveConfig(env);
+  PROVIDER = providers.createProvider(CONFIG);
+  TOOLS = definitions;
+  OVERVIEW = overview || null;
+  SYSTEM = buildSystemPrompt();
+  return CONFIG;
+}
+
+/**
+ * Assemble the system prompt: instructions, validation policy,
+ * repository profile, skills and tool overview
+ */
+function buildSystemPrompt() {
+  return [SYSTEM_PROMPT, POLICY, PROFILE || NO_PROFILE, SKILLS, OVERVIEW]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Replace the repository profile section of the system prompt
+ * text: formatted profile (profile.formatProfile)
+ */
+function setRepositoryProfile(text) {
+  PROFILE = text;
+  SYSTEM = buildSystemPrompt();
+}
+
+/**
+ * Replace the skills section of the system prompt
+ * text: formatted skills (skills.formatSkills), null for none
+ */
+function setSkills(text) {
+  SKILLS = text;
+  SYSTEM = buildSystemPrompt();
+}
+
+/**
+ * Replace the validation policy section of the system prompt
+ * text: formatted policy (validation.formatPolicy)
+ */
+function setValidationPolicy(text) {
+  POLICY = text;
+  SYSTEM = buildSystemPrompt();
+}
+
+/**
+ * Call the configured provider with native tool calling and retry logic for rate limits
+ * Tries the configured model first, falls back if it is not available
  */
-async function callLLM(apiKey, messages, model = DEFAULT_MODEL, maxRetries = 3) {
-  console.log(`[LLM] Calling ${model} with ${messages.length} messages...`);
+async function callLLM(messages, model = CONFIG?.model, maxRetries = 3) {
+  if (!PROVIDER) {
+    return { success: false, error: "LLM provider not initialized" };
+  }
+
+  console.log(`[LLM] Calling ${PROVIDER.name}:${model} with ${messages.length} messages...`);
   
-  if (!apiKey) {
-    return { success: false, error: "OPENAI_API_KEY not provided" };
+  if (CONFIG.requiresApiKey && !CONFIG.apiKey) {
+    return { success: false, error: `${CONFIG.apiKeyEnv} not provided` };
   }
 
+  // Nothing reaches the provider unredacted - tool results may echo tokens
+  const redactedMessages = redactValue(messages);
+
   // Try the requested model, then fallback
-  const modelsToTry = model === FALLBACK_MODEL ? [model] : [model, FALLBACK_MODEL];
+  const fallback = CONFIG.fallbackModel;
+  const modelsToTry = !fallback || model === fallback ? [model] : [model, fallback];
   
   for (const currentModel of modelsToTry) {
-    const result = await tryModel(apiKey, messages, currentModel, maxRetries);
+    const result = await tryModel(redactedMessages, currentModel, maxRetries);
     if (result.success || !result.modelNotFound) {
       return result;
     }
@@ -344,118 +224,74 @@ async function callLLM(apiKey, messages, model = DEFAULT_MODEL, maxRetries = 3)
 /**
  * Try a specific model with retries
  */
-async function tryModel(apiKey, messages, model, maxRetries) {
-  const requestBody = {
-    model: model,
-    messages: [
-      { role: "system", content: SYSTEM_PROMPT },
-      ...messages,
-    ],
-    response_format: { type: "json_object" },
-    temperature: 0,
-    max_tokens: 16384, // Increased for large file writes
-  };
-
+async function tryModel(messages, model, maxRetries) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`[LLM] Request: model=${model}, messages=${messages.length}, temp=0 (attempt ${attempt}/${maxRetries})`);
-
-      const response = await fetch(OPENAI_API_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify(requestBody),
+      console.log(`[LLM] Request: provider=${PROVIDER.name}, model=${model}, messages=${messages.length}, temp=0 (attempt ${attempt}/${maxRetries})`);
+
+      const response = await PROVIDER.complete({
+        model,
+        system: redact(SYSTEM),
+        messages,
+        tools: TOOLS,
+        maxTokens: MAX_TOKENS,
+        temperature: 0,
       });
 
-      if (response.status === 404) {
-        // Model not found - signal to try fallback
-        console.log(`[LLM] Model ${model} not found (404)`);
-        return { success: false, modelNotFound: true, error: `Model ${model} not found` };
-      }
+      if (!response.success) {
+        if (response.modelNotFound) {
+          // Model not found - signal to try fallback
+          console.log(`[LLM] ${response.error}`);
+          return { success: false, modelNotFound: true, error: response.error };
+        }
 
-      if (response.status === 429) {
-        // Rate limited - extract wait time and retry
-        const errorText = await response.text();
-        const waitMatch = errorText.match(/try again in (\d+\.?\d*)s/i);
-        const waitTime = waitMatch ? Math.ceil(parseFloat(waitMatch[1]) * 1000) : 20000;
-        console.log(`[LLM] Rate limited. Waiting ${waitTime/1000}s before retry...`);
-        
-        if (attempt < maxRetries) {
-          await sleep(waitTime + 1000); // Add 1s buffer
+        if (response.rateLimited && attempt < maxRetries) {
+          // Rate limited - wait the suggested time and retry
+          console.log(`[LLM] Rate limited. Waiting ${response.retryAfterMs/1000}s before retry...`);
+          await sleep(response.retryAfterMs + 1000); // Add 1s buffer
           continue;
         }
-      }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.log(`[LLM] HTTP Error: ${response.status}`);
-        
-        // Check if model doesn't exist
-        if (errorText.includes("does not exist") || errorText.includes("model_not_found")) {
-          return { success: false, modelNotFound: true, error: `Model ${model} not available` };
-        }
-        
-        return { 
-          success: false, 
-          error: `OpenAI API error: ${response.status} - ${errorText}` 
-        };
+        console.log(`[LLM] Provider error: ${response.error}`);
+        return { success: false, error: response.error };
       }
 
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content;
-      const finishReason = data.choices?.[0]?.finish_reason;
-      
-      if (!content) {
-        return { success: false, error: "No content in OpenAI response" };
-      }
+      const { content, toolCalls, finishReason } = response.data;
 
-      // Check if response was truncated
+      // Check if response was truncated (tool arguments cut off mid-way)
       if (finishReason === "length") {
         console.log(`[LLM] WARNING: Response truncated (hit max_tokens limit)`);
         return { 
           success: false, 
-          error: "Response truncated - file content too large. Try making smaller, targeted changes." 
+          error: "Response truncated - output too large. Use edit_file or apply_patch instead of rewriting whole files." 
         };
       }
 
-      console.log(`[LLM] Raw response: ${content.substring(0, 200)}...`);
-
-      let parsed;
-      try {
-        parsed = JSON.parse(content);
-      } catch (parseError) {
-        // Check if it looks like truncated JSON
-        if (content.length > 1000 && !content.trim().endsWith('}')) {
-          return { 
-            success: false, 
-            error: "Response appears truncated - file content too large. Try making smaller changes." 
-          };
-        }
-        return { 
-          success: false, 
-          error: `Failed to parse LLM response as JSON: ${content.substring(0, 500)}...` 
-        };
+      if (content) {
+        console.log(`[LLM] Text: ${content.substring(0, 200)}${content.length > 200 ? "..." : ""}`);
+      }
+
+      // One tool call per turn - only the first is kept in the conversation
+      const call = toolCalls?.[0] || null;
+      if (toolCalls?.length > 1) {
+        console.log(`[LLM] ${toolCalls.length} tool calls returned, using the first`);
       }
 
-      // Handle different response types
-      if (parsed.done !== undefined) {
-        console.log(`[LLM] Agent signaled done: ${parsed.result}`);
-        return { success: true, data: { done: true, result: parsed.result, summary: parsed.summary } };
-      } else if (parsed.plan) {
-        console.log(`[LLM] Agent provided plan: ${parsed.plan.length} steps`);
-        return { success: true, data: { plan: parsed.plan } };
-      } else if (parsed.tool && parsed.args !== undefined) {
-        console.log(`[LLM] Tool call: ${parsed.tool}(${JSON.stringify(parsed.args)})`);
-        return { success: true, data: { tool: parsed.tool, args: parsed.args } };
+      if (call) {
+        console.log(`[LLM] Tool call: ${call.name}(${call.argsError ? "<invalid JSON>" : JSON.stringify(call.args)})`);
       } else {
-        return { 
-          success: false, 
-          error: `Invalid response structure: ${content}` 
-        };
+        console.log(`[LLM] No tool call in response`);
       }
 
+      return {
+        success: true,
+        data: {
+          call,
+          text: content || null,
+          message: { role: "assistant", content: content || null, toolCalls: call ? [call] : undefined },
+        },
+      };
+
     } catch (err) {
       console.log(`[LLM] Error on attempt ${attempt}: ${err.message}`);
       if (attempt === maxRetries) {
@@ -470,20 +306,26 @@ async function tryModel(apiKey, messages, model, maxRetries) {
 }
 
 /**
- * Format tool result for LLM context
+ * Format tool result for LLM context, answering the given tool call
  */
-function formatToolResult(toolName, result) {
+function formatToolResult(call, result) {
+  const toolName = call.name;
   const isError = !result.success || 
     (result.data?.exitCode !== undefined && result.data.exitCode !== 0);
   
   let content;
   if (isError && result.data?.exitCode !== undefined) {
     content = `⚠️ COMMAND FAILED (exitCode=${result.data.exitCode})
-Command: ${result.data.command || toolName}
+Command: ${result.data.command || toolName}${formatDiagnostics(result.data)}${formatTestFailures(result.data)}
 Stdout: ${result.data.stdout || "(empty)"}
 Stderr: ${result.data.stderr || "(empty)"}
 
 You MUST fix the error before marking done.`;
+  } else if (result.data?.validationErrors) {
+    content = `⚠️ INVALID ARGUMENTS for "${toolName}" - the tool was not run.
+${JSON.stringify({ error: result.error, validationErrors: result.data.validationErrors }, null, 2)}
+
+Call the tool again with arguments that match its schema.`;
   } else if (!result.success) {
     content = `⚠️ TOOL ERROR: ${result.error}
 You may need to try a different approach.`;
@@ -492,20 +334,57 @@ You may need to try a different approach.`;
   }
   
   return {
-    role: "user",
+    role: "tool",
+    toolCallId: call.id,
+    name: toolName,
     content
   };
 }
 
+/**
+ * Diagnostics section of a failed build/lint result (tools/diagnostics.js)
+ * Locations first, with source snippets - fix these before reading the raw log
+ */
+function formatDiagnostics(data) {
+  const diagnostics = data.diagnostics || [];
+  if (diagnostics.length === 0) return "";
+
+  const entries = diagnostics.map((d, index) => {
+    const location = d.file ? `${d.file}${d.line ? `:${d.line}${d.column ? `:${d.column}` : ""}` : ""}` : "(no location)";
+    const head = `${index + 1}. [${d.severity}] ${location}${d.code ? ` ${d.code}` : ""}: ${d.message}`;
+    return d.snippet ? `${head}\n${d.snippet.map((line) => `     ${line}`).join("\n")}` : head;
+  });
+  const more = data.diagnosticsTotal ? `\n... ${data.diagnosticsTotal - diagnostics.length} more` : "";
+  return `\nDiagnostics (${data.diagnosticsTotal || diagnostics.length}):\n${entries.join("\n")}${more}\n`;
+}
+
+/**
+ * Failing tests section of a failed run_tests result (tools/tests.js)
+ */
+function formatTestFailures(data) {
+  if (!data.failures) return "";
+
+  const entries = data.failures.map((f, index) =>
+    `${index + 1}. ${f.name}${f.location ? ` (${f.location})` : f.file ? ` (${f.file})` : ""}\n${f.message.split("\n").map((line) => `     ${line}`).join("\n")}`
+  );
+  const more = data.failuresOmitted ? `\n... ${data.failuresOmitted} more` : "";
+  return `\nTests: ${data.summary}${entries.length > 0 ? `\nFailing tests:\n${entries.join("\n")}${more}` : ""}\n`;
+}
+
 /**
  * Format initial goal for LLM
  */
-function formatGoal(goal) {
+function formatGoal(goal, attachments = []) {
+  const attachmentList = attachments.length === 0 ? "" : `
+
+ATTACHMENTS (staged in ${attachments[0].path.split("/")[0]}/ - copy them into the project with import_attachment):
+${attachments.map((a) => `- ${a.name} (${a.mimeType}, ${a.size} bytes${a.width ? `, ${a.width}x${a.height}` : ""}${a.pages ? `, ${a.pages} pages` : ""})`).join("\n")}`;
+
   return {
     role: "user", 
-    content: `GOAL: ${goal}
+    content: `GOAL: ${goal}${attachmentList}
 
-First, provide a plan with concrete steps. Then execute each step.`
+First, call submit_plan with concrete steps. Then execute each step.`
   };
 }
 
@@ -516,8 +395,10 @@ function formatStateSummary(state) {
   return {
     role: "user",
     content: `CURRENT STATE:
-- Files changed: ${state.changed_files.join(", ") || "none"}
-- Build: ${state.build.success === null ? "not run" : state.build.success ? "passed" : "failed"}
+- Files changed: ${state.changed_files.map((f) => `${f.path} (${f.kind})`).join(", ") || "none"}
+- Type check: ${state.typecheck.success === null ? "not run" : state.typecheck.success ? "passed" : `failed (${state.typecheck.errors.length} errors)`}
+- Build: ${state.build.success === null ? "not run" : state.build.success ? "passed" : "failed"}${state.validation.changes > 0 && state.validation.built_at !== state.validation.changes ? " (files changed since - run_build required before commit)" : ""}
+- Tests: ${state.tests.success === null ? "not run" : state.tests.success ? `passed (${state.tests.passed})` : `failed (${state.tests.failed} failing${state.tests.failures.length > 0 ? `: ${state.tests.failures.slice(0, 3).map((f) => f.name).join(", ")}` : ""})`}
 - Verification: ${state.verification.success === null ? "not run" : state.verification.success ? "passed" : "failed"}
 - Iteration: ${state.iteration.count}/${state.iteration.max}
 - Repairs: ${state.iteration.repairs}`
@@ -525,7 +406,12 @@ function formatStateSummary(state) {
 }
 
 module.exports = {
+  initialize,
+  setRepositoryProfile,
+  setSkills,
+  setValidationPolicy,
   callLLM,
+  CONTROL_TOOLS,
   formatToolResult,
   formatGoal,
   formatStateSummary,
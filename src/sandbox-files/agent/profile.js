@@ -0,0 +1,324 @@
+/**
+ * REPOSITORY PROFILE
+ *
+ * Detects what kind of project the agent is working on, so the prompt
+ * describes the repository actually on disk instead of assuming one.
+ *
+ * Runs once at startup, after the package.json check in main(), and is
+ * injected into the system prompt (llm.setRepositoryProfile). Everything
+ * is derived from package.json, lockfiles, tsconfig and the file list
+ * (same .gitignore rules as search_files) - nothing is executed.
+ *
+ * DETECTS:
+ * - Framework (Next.js, Vite, Remix, Astro, SvelteKit, Nuxt, Gatsby, CRA)
+ *   and UI library, language, styling
+ * - Package manager (tools/build.js detectPackageManager) and test runner
+ *   (tools/tests.js detectTestRunner)
+ * - Next.js router type and routes; layout, global styles, entry points
+ * - Scripts and tsconfig path aliases
+ * - Data files (with their exports), content collections, components,
+ *   public assets
+ */
+
+const fs = require("fs");
+const path = require("path");
+const tools = require("../tools/index.js");
+
+// Caps keep the profile a few hundred tokens even on large repos
+const MAX_ROUTES = 40;
+const MAX_DATA_FILES = 20;
+const MAX_COMPONENT_DIRS = 20;
+const MAX_NAMES_PER_DIR = 12;
+
+// First match wins - meta-frameworks before the bundlers they are built on
+const FRAMEWORKS = [
+  ["next", "Next.js"],
+  ["@remix-run/react", "Remix"],
+  ["astro", "Astro"],
+  ["@sveltejs/kit", "SvelteKit"],
+  ["nuxt", "Nuxt"],
+  ["gatsby", "Gatsby"],
+  ["react-scripts", "Create React App"],
+  ["vite", "Vite"],
+];
+
+const UI_LIBRARIES = [
+  ["react", "React"],
+  ["vue", "Vue"],
+  ["svelte", "Svelte"],
+  ["solid-js", "Solid"],
+  ["preact", "Preact"],
+];
+
+const STYLING = [
+  ["tailwindcss", "Tailwind CSS"],
+  ["styled-components", "styled-components"],
+  ["@emotion/react", "Emotion"],
+  ["sass", "Sass"],
+  ["@vanilla-extract/css", "vanilla-extract"],
+];
+
+const SOURCE_EXTENSIONS = /\.(tsx?|jsx?|mjs|cjs)$/;
+const PAGE_FILE = /^page\.(tsx?|jsx?|mdx?)$/;
+const DATA_DIRS = /(^|\/)(data|lib|constants|config|content)\//;
+const DATA_NAMES = /(data|constants|config|content|projects|posts|chapters|site|nav)/i;
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function versionOf(dependencies, name) {
+  const range = dependencies[name];
+  if (!range) return null;
+  const match = range.match(/\d+(\.\d+)*/);
+  return match ? match[0].split(".")[0] : range;
+}
+
+function pick(dependencies, table) {
+  return table
+    .filter(([pkg]) => dependencies[pkg])
+    .map(([pkg, label]) => ({ name: label, version: versionOf(dependencies, pkg) }));
+}
+
+function fileLabel(count) {
+  return `${count} file${count === 1 ? "" : "s"}`;
+}
+
+function label({ name, version }) {
+  return version && /^\d+$/.test(version) ? `${name} ${version}` : name;
+}
+
+/**
+ * Exported declaration names of a JS/TS file
+ */
+function exportsOf(root, relativePath) {
+  try {
+    const lines = fs.readFileSync(path.join(root, relativePath), "utf8").split(/\r?\n/);
+    return lines
+      .map((line) => tools.filesystem.matchDeclaration(line))
+      .filter((declaration) => declaration?.exported && declaration.kind !== "export")
+      .map((declaration) => declaration.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Route path for a Next.js app router page file (route groups dropped)
+ */
+function appRoute(appDir, file) {
+  const segments = path.posix.dirname(file.slice(appDir.length + 1)).split("/")
+    .filter((segment) => segment !== "." && !/^\(.*\)$/.test(segment) && !segment.startsWith("@"));
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Route path for a Next.js pages router file
+ */
+function pagesRoute(pagesDir, file) {
+  const route = file.slice(pagesDir.length).replace(SOURCE_EXTENSIONS, "").replace(/\.mdx?$/, "").replace(/\/index$/, "");
+  return route || "/";
+}
+
+// ================================================================
+// DETECTION
+// ================================================================
+
+/**
+ * List the project's files (relative, "/"-separated), .gitignore respected
+ */
+function listProjectFiles(root) {
+  const files = [];
+  tools.search.walkFiles(root, {}, (absolute, relative) => files.push(relative));
+  return files;
+}
+
+/**
+ * Detect the repository profile. Returns null when there is no package.json.
+ */
+function detectProfile(root) {
+  const pkg = readJson(path.join(root, "package.json"));
+  if (!pkg) return null;
+
+  const dependencies = { ...pkg.peerDependencies, ...pkg.devDependencies, ...pkg.dependencies };
+  const files = listProjectFiles(root);
+  const has = (file) => files.includes(file);
+
+  // Stack
+  const framework = pick(dependencies, FRAMEWORKS)[0] || null;
+  const uiLibraries = pick(dependencies, UI_LIBRARIES);
+  const styling = pick(dependencies, STYLING);
+  if (files.some((file) => /\.module\.(css|scss)$/.test(file))) styling.push({ name: "CSS Modules", version: null });
+  const typescript = has("tsconfig.json") || Boolean(dependencies.typescript);
+  const testRunner = tools.tests.detectTestRunner(root);
+
+  // Package manager: explicit field first, then lockfile (same rules as the build tools)
+  const packageManager = tools.build.detectPackageManager(root);
+
+  // Next.js routers
+  const appDir = ["src/app", "app"].find((dir) => files.some((file) => file.startsWith(`${dir}/`) && PAGE_FILE.test(path.posix.basename(file))));
+  const pagesDir = ["src/pages", "pages"].find((dir) => files.some((file) => file.startsWith(`${dir}/`)));
+  const routers = [];
+  const routes = [];
+  if (framework?.name === "Next.js") {
+    if (appDir) {
+      routers.push(`App Router (${appDir})`);
+      files
+        .filter((file) => file.startsWith(`${appDir}/`) && PAGE_FILE.test(path.posix.basename(file)))
+        .forEach((file) => routes.push({ route: appRoute(appDir, file), file }));
+    }
+    if (pagesDir) {
+      routers.push(`Pages Router (${pagesDir})`);
+      files
+        .filter((file) => file.startsWith(`${pagesDir}/`) && (SOURCE_EXTENSIONS.test(file) || /\.mdx?$/.test(file)))
+        .filter((file) => !/\/(_app|_document|_error)\.|\/api\//.test(file))
+        .forEach((file) => routes.push({ route: pagesRoute(pagesDir, file), file }));
+    }
+  }
+  routes.sort((a, b) => a.route.localeCompare(b.route));
+
+  // Layout, global styles and entry points
+  const entryPoints = files.filter((file) =>
+    (appDir && new RegExp(`^${appDir}/(layout|not-found|error)\\.(tsx?|jsx?)$`).test(file)) ||
+    /^(src\/)?pages\/_(app|document)\.(tsx?|jsx?)$/.test(file) ||
+    /^(src\/)?(main|index|App)\.(tsx?|jsx?)$/.test(file) ||
+    file === "index.html" ||
+    /(^|\/)(globals?|index|app|main)\.(css|scss)$/.test(file) ||
+    /^(tailwind|vite|next|astro|svelte|nuxt)\.config\.(js|cjs|mjs|ts)$/.test(file)
+  );
+
+  // Data files: source/JSON files in data-ish directories, or with data-ish names
+  const dataFiles = files
+    .filter((file) => /\.(tsx?|jsx?|json)$/.test(file) && !file.endsWith(".d.ts"))
+    .filter((file) => !/(^|\/)(\.[^/]+|components|app|pages|hooks|test|tests|__tests__)\//.test(file))
+    .filter((file) => !/(package(-lock)?|tsconfig|jsconfig|components)\.json$|\.config\./.test(file))
+    .filter((file) => DATA_DIRS.test(file) || DATA_NAMES.test(path.posix.basename(file)))
+    .slice(0, MAX_DATA_FILES)
+    .map((file) => ({ file, exports: /\.json$/.test(file) ? [] : exportsOf(root, file).slice(0, MAX_NAMES_PER_DIR) }));
+
+  // Content collections: directories of Markdown/MDX
+  const contentCounts = {};
+  for (const file of files) {
+    const match = file.match(/^(.*)\/[^/]+\.(mdx?)$/);
+    if (match && !/^(docs?|\.github)(\/|$)/.test(match[1])) {
+      const key = `${match[1]}/*.${match[2]}`;
+      contentCounts[key] = (contentCounts[key] || 0) + 1;
+    }
+  }
+  const content = Object.entries(contentCounts).map(([pattern, count]) => ({ pattern, count }));
+
+  // Components, grouped by directory
+  const componentDirs = {};
+  for (const file of files) {
+    if (!/(^|\/)components\//.test(file) || !/\.(tsx|jsx|vue|svelte|astro)$/.test(file)) continue;
+    const dir = path.posix.dirname(file);
+    (componentDirs[dir] = componentDirs[dir] || []).push(path.posix.basename(file).replace(/\.[^.]+$/, ""));
+  }
+  const components = Object.entries(componentDirs)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .slice(0, MAX_COMPONENT_DIRS)
+    .map(([dir, names]) => ({ dir, count: names.length, names: names.slice(0, MAX_NAMES_PER_DIR) }));
+
+  // tsconfig path aliases
+  const tsconfig = tools.build.readJsonc(path.join(root, "tsconfig.json")) || tools.build.readJsonc(path.join(root, "jsconfig.json"));
+  const aliases = Object.entries(tsconfig?.compilerOptions?.paths || {})
+    .map(([alias, targets]) => `${alias} -> ${[].concat(targets).join(", ")}`);
+
+  const publicFiles = files.filter((file) => file.startsWith("public/")).length;
+
+  return {
+    name: pkg.name || path.basename(root),
+    framework,
+    uiLibraries,
+    typescript,
+    styling,
+    packageManager,
+    testRunner,
+    routers,
+    scripts: pkg.scripts || {},
+    aliases,
+    routes,
+    entryPoints,
+    dataFiles,
+    content,
+    components,
+    publicFiles,
+    fileCount: files.length,
+  };
+}
+
+// ================================================================
+// PROMPT
+// ================================================================
+
+/**
+ * Render the profile as the prompt section that replaces a hand-written file map
+ */
+function formatProfile(profile) {
+  if (!profile) {
+    return `=== REPOSITORY PROFILE ===
+No package.json found - this is not a Node.js project, or the repository was not cloned.
+Explore it with list_files({"tree": true}) before planning.`;
+  }
+
+  const stack = [
+    profile.framework && label(profile.framework),
+    ...profile.uiLibraries.filter((lib) => lib.name !== profile.framework?.name).map(label),
+    profile.typescript ? "TypeScript" : "JavaScript",
+    ...profile.styling.map(label),
+  ].filter(Boolean);
+
+  const sections = [
+    `=== REPOSITORY PROFILE (auto-detected from the files on disk) ===
+Project: ${profile.name} (${fileLabel(profile.fileCount)})
+Stack: ${stack.join(" + ")}${profile.routers.length > 0 ? `\nRouter: ${profile.routers.join(", ")}` : ""}
+Package manager: ${profile.packageManager.name} (${profile.packageManager.source === "default" ? "no lockfile" : profile.packageManager.source})
+Tests: ${profile.testRunner ? `${profile.testRunner} (run_tests)` : "none detected"}
+Scripts: ${Object.entries(profile.scripts).map(([name, command]) => `${name}: ${command}`).join(" | ") || "none"}${profile.aliases.length > 0 ? `\nImport aliases: ${profile.aliases.join("; ")}` : ""}`,
+  ];
+
+  const list = (title, items) => {
+    if (items.length > 0) sections.push(`## ${title}\n${items.map((item) => `- ${item}`).join("\n")}`);
+  };
+
+  const routes = profile.routes.slice(0, MAX_ROUTES).map(({ route, file }) => `${route} -> ${file}`);
+  if (profile.routes.length > MAX_ROUTES) routes.push(`... ${profile.routes.length - MAX_ROUTES} more`);
+  list("ROUTES", routes);
+  list("LAYOUT, STYLES AND ENTRY POINTS", profile.entryPoints);
+  list("DATA FILES", profile.dataFiles.map(({ file, exports }) => (exports.length > 0 ? `${file} (exports: ${exports.join(", ")})` : file)));
+  list("CONTENT", profile.content.map(({ pattern, count }) => `${pattern} (${fileLabel(count)})`));
+  list("COMPONENTS", profile.components.map(({ dir, count, names }) => `${dir}: ${names.join(", ")}${count > names.length ? `, ... ${count - names.length} more` : ""}`));
+  if (profile.publicFiles > 0) list("STATIC ASSETS", [`public/ (${fileLabel(profile.publicFiles)}, served from the site root)`]);
+
+  sections.push("Paths above exist on disk. Anything else: find it with search_files or list_files before reading or editing.");
+  return sections.join("\n\n");
+}
+
+/**
+ * Stack summary for logs and agent state
+ */
+function summarizeProfile(profile) {
+  if (!profile) return null;
+  return {
+    name: profile.name,
+    framework: profile.framework ? label(profile.framework) : null,
+    packageManager: profile.packageManager.name,
+    routers: profile.routers,
+    typescript: profile.typescript,
+    react: profile.uiLibraries.some((lib) => lib.name === "React" || lib.name === "Preact"),
+  };
+}
+
+module.exports = {
+  detectProfile,
+  formatProfile,
+  summarizeProfile,
+};
@@ -0,0 +1,124 @@
+/**
+ * ANTHROPIC PROVIDER
+ * 
+ * Messages API adapter using native tool use. The system prompt goes in
+ * its own field, tool results travel as user content blocks, and roles
+ * must alternate, so consecutive same-role messages are merged.
+ */
+
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+/**
+ * Convert one provider-neutral message to a role plus content blocks
+ */
+function toBlocks(message) {
+  if (message.role === "tool") {
+    return {
+      role: "user",
+      blocks: [{ type: "tool_result", tool_use_id: message.toolCallId, content: message.content }],
+    };
+  }
+
+  const blocks = message.content ? [{ type: "text", text: message.content }] : [];
+  for (const call of message.toolCalls || []) {
+    blocks.push({ type: "tool_use", id: call.id, name: call.name, input: call.args ?? {} });
+  }
+  return { role: message.role, blocks };
+}
+
+/**
+ * Convert messages, merging consecutive same-role messages (Messages API requires alternation)
+ */
+function toAnthropicMessages(messages) {
+  const merged = [];
+  for (const message of messages) {
+    const { role, blocks } = toBlocks(message);
+    const last = merged[merged.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      merged.push({ role, content: blocks });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Create an Anthropic provider
+ */
+function createProvider({ apiKey, baseUrl = ANTHROPIC_BASE_URL }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/messages`;
+
+  async function complete({ model, system, messages, tools, maxTokens, temperature = 0 }) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify({
+        model,
+        system,
+        messages: toAnthropicMessages(messages),
+        tools: tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters,
+        })),
+        tool_choice: { type: "any", disable_parallel_tool_use: true },
+        temperature,
+        max_tokens: maxTokens,
+      }),
+    });
+
+    if (response.status === 404) {
+      return { success: false, modelNotFound: true, error: `Model ${model} not found` };
+    }
+
+    if (response.status === 429 || response.status === 529) {
+      const retryAfter = parseFloat(response.headers.get("retry-after") || "");
+      return {
+        success: false,
+        rateLimited: true,
+        retryAfterMs: Number.isFinite(retryAfter) ? Math.ceil(retryAfter * 1000) : 20000,
+        error: `Rate limited: ${await response.text()}`,
+      };
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (errorText.includes("not_found_error")) {
+        return { success: false, modelNotFound: true, error: `Model ${model} not available` };
+      }
+      return { success: false, error: `Anthropic API error: ${response.status} - ${errorText}` };
+    }
+
+    const data = await response.json();
+    const blocks = data.content || [];
+    const content = blocks
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    const toolCalls = blocks
+      .filter((block) => block.type === "tool_use")
+      .map((block) => ({ id: block.id, name: block.name, args: block.input }));
+
+    return {
+      success: true,
+      data: {
+        content: content || null,
+        toolCalls,
+        finishReason: data.stop_reason === "max_tokens" ? "length" : "stop",
+      },
+    };
+  }
+
+  return { name: "anthropic", url, complete };
+}
+
+module.exports = {
+  ANTHROPIC_BASE_URL,
+  createProvider,
+};
@@ -0,0 +1,126 @@
+/**
+ * LLM PROVIDERS
+ *
+ * Selects the model backend behind callLLM from environment config.
+ *
+ * PROVIDERS (LLM_PROVIDER):
+ * - openai (default): OpenAI Chat Completions
+ * - anthropic: Anthropic Messages API
+ * - openai-compatible: Any OpenAI-style server (Ollama, vLLM, LM Studio) at LLM_BASE_URL
+ * - replay: Canned responses from LLM_REPLAY_FILE, no network
+ *
+ * CONFIG:
+ * - LLM_MODEL / LLM_FALLBACK_MODEL: Override the provider's default models
+ * - LLM_API_KEY: Overrides the provider-specific key variable
+ * - LLM_BASE_URL: API base URL (required for openai-compatible)
+ *
+ * Every provider implements the same interface:
+ *   complete({ model, system, messages, tools, maxTokens, temperature })
+ *     -> { success: true, data: { content, toolCalls, finishReason: "stop" | "length" } }
+ *     -> { success: false, error, modelNotFound?, rateLimited?, retryAfterMs? }
+ *
+ * tools: [{ name, description, parameters (JSON Schema) }]
+ * toolCalls: [{ id, name, args, argsError? }]
+ *
+ * MESSAGES (provider-neutral, converted by each adapter):
+ * - { role: "user", content }
+ * - { role: "assistant", content, toolCalls }
+ * - { role: "tool", toolCallId, name, content }
+ */
+
+const openai = require("./openai.js");
+const anthropic = require("./anthropic.js");
+const replay = require("./replay.js");
+
+/**
+ * Defaults per provider
+ */
+const PROVIDER_DEFAULTS = {
+  openai: {
+    model: "gpt-4o",
+    fallbackModel: "gpt-4o-mini",
+    apiKeyEnv: "OPENAI_API_KEY",
+    requiresApiKey: true,
+  },
+  anthropic: {
+    model: "claude-sonnet-4-5",
+    fallbackModel: "claude-haiku-4-5",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    requiresApiKey: true,
+  },
+  "openai-compatible": {
+    model: "llama3.1",
+    fallbackModel: null,
+    apiKeyEnv: null,
+    requiresApiKey: false,
+  },
+  replay: {
+    model: "replay",
+    fallbackModel: null,
+    apiKeyEnv: null,
+    requiresApiKey: false,
+  },
+};
+
+/**
+ * Resolve provider configuration from environment
+ */
+function resolveConfig(env = process.env) {
+  const name = (env.LLM_PROVIDER || "openai").toLowerCase();
+  const defaults = PROVIDER_DEFAULTS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected: ${Object.keys(PROVIDER_DEFAULTS).join(", ")})`);
+  }
+
+  // OPENAI_MODEL predates LLM_MODEL and is still honoured for the openai provider
+  const legacyModel = name === "openai" ? env.OPENAI_MODEL : null;
+
+  return {
+    name,
+    model: env.LLM_MODEL || legacyModel || defaults.model,
+    fallbackModel: env.LLM_FALLBACK_MODEL || defaults.fallbackModel,
+    apiKey: env.LLM_API_KEY || (defaults.apiKeyEnv ? env[defaults.apiKeyEnv] : null) || null,
+    apiKeyEnv: env.LLM_API_KEY ? "LLM_API_KEY" : defaults.apiKeyEnv,
+    requiresApiKey: defaults.requiresApiKey,
+    baseUrl: env.LLM_BASE_URL || null,
+    replayFile: env.LLM_REPLAY_FILE || null,
+  };
+}
+
+/**
+ * Create the provider described by a resolved config
+ */
+function createProvider(config) {
+  switch (config.name) {
+    case "openai":
+      return openai.createProvider({
+        apiKey: config.apiKey,
+        baseUrl: config.baseUrl || undefined,
+      });
+    case "openai-compatible":
+      if (!config.baseUrl) {
+        throw new Error("LLM_BASE_URL is required for the openai-compatible provider");
+      }
+      return openai.createProvider({
+        name: "openai-compatible",
+        apiKey: config.apiKey,
+        baseUrl: config.baseUrl,
+      });
+    case "anthropic":
+      return anthropic.createProvider({
+        apiKey: config.apiKey,
+        baseUrl: config.baseUrl || undefined,
+      });
+    case "replay":
+      return replay.createProvider({ replayFile: config.replayFile });
+    default:
+      throw new Error(`Unknown LLM provider: ${config.name}`);
+  }
+}
+
+module.exports = {
+  PROVIDER_DEFAULTS,
+  resolveConfig,
+  createProvider,
+};
@@ -0,0 +1,124 @@
+/**
+ * OPENAI PROVIDER
+ * 
+ * Chat Completions adapter using native function calling. Also serves any
+ * OpenAI-compatible server (Ollama, vLLM, LM Studio) by pointing baseUrl at it.
+ */
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Convert provider-neutral messages to Chat Completions messages
+ */
+function toOpenAIMessages(system, messages) {
+  const converted = [{ role: "system", content: system }];
+
+  for (const message of messages) {
+    if (message.role === "assistant" && message.toolCalls) {
+      converted.push({
+        role: "assistant",
+        content: message.content || null,
+        tool_calls: message.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.args ?? {}) },
+        })),
+      });
+    } else if (message.role === "tool") {
+      converted.push({ role: "tool", tool_call_id: message.toolCallId, content: message.content });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Parse function calls from a Chat Completions message
+ * Arguments that are not valid JSON are reported via argsError, not thrown
+ */
+function parseToolCalls(message) {
+  return (message?.tool_calls || []).map((call) => {
+    try {
+      return { id: call.id, name: call.function.name, args: JSON.parse(call.function.arguments || "{}") };
+    } catch (err) {
+      return { id: call.id, name: call.function.name, args: null, argsError: `Arguments are not valid JSON: ${err.message}` };
+    }
+  });
+}
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ */
+function createProvider({ name = "openai", apiKey, baseUrl = OPENAI_BASE_URL }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function complete({ model, system, messages, tools, maxTokens, temperature = 0 }) {
+    const headers = { "Content-Type": "application/json" };
+    // Local servers usually run without auth
+    if (apiKey) {
+      headers["Authorization"] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: toOpenAIMessages(system, messages),
+        tools: tools.map((tool) => ({
+          type: "function",
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+        })),
+        tool_choice: "required",
+        // Not every compatible server understands this flag
+        ...(name === "openai" ? { parallel_tool_calls: false } : {}),
+        temperature,
+        max_tokens: maxTokens,
+      }),
+    });
+
+    if (response.status === 404) {
+      return { success: false, modelNotFound: true, error: `Model ${model} not found` };
+    }
+
+    if (response.status === 429) {
+      const errorText = await response.text();
+      const waitMatch = errorText.match(/try again in (\d+\.?\d*)s/i);
+      return {
+        success: false,
+        rateLimited: true,
+        retryAfterMs: waitMatch ? Math.ceil(parseFloat(waitMatch[1]) * 1000) : 20000,
+        error: `Rate limited: ${errorText}`,
+      };
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (errorText.includes("does not exist") || errorText.includes("model_not_found")) {
+        return { success: false, modelNotFound: true, error: `Model ${model} not available` };
+      }
+      return { success: false, error: `${name} API error: ${response.status} - ${errorText}` };
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+
+    return {
+      success: true,
+      data: {
+        content: choice?.message?.content || null,
+        toolCalls: parseToolCalls(choice?.message),
+        finishReason: choice?.finish_reason === "length" ? "length" : "stop",
+      },
+    };
+  }
+
+  return { name, url, complete };
+}
+
+module.exports = {
+  OPENAI_BASE_URL,
+  createProvider,
+};
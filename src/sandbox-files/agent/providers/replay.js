@@ -0,0 +1,78 @@
+/**
+ * REPLAY PROVIDER
+ * 
+ * Returns canned responses from a fixture file instead of calling a model,
+ * so the whole agent loop can run offline and deterministically.
+ * 
+ * FIXTURE FORMAT (JSON array, consumed in order, one entry per LLM call):
+ * [
+ *   {"plan": ["Read constants", "Build"]},
+ *   {"tool": "read_file", "args": {"path": "src/lib/constants.ts"}},
+ *   {"done": true, "result": "Nothing to change"}
+ * ]
+ * 
+ * Entries become native tool calls: "plan" maps to submit_plan, "done"
+ * to finish, and "tool" to the named tool. Raw strings are returned as
+ * plain text with no tool call (useful for exercising the repair paths).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Convert a fixture entry into a tool call
+ */
+function toToolCall(entry, id) {
+  if (entry.plan) {
+    return { id, name: "submit_plan", args: { steps: entry.plan } };
+  }
+  if (entry.done !== undefined) {
+    return { id, name: "finish", args: { result: entry.result } };
+  }
+  return { id, name: entry.tool, args: entry.args ?? {} };
+}
+
+/**
+ * Create a replay provider from a fixture file
+ */
+function createProvider({ replayFile }) {
+  if (!replayFile) {
+    throw new Error("LLM_REPLAY_FILE is required for the replay provider");
+  }
+
+  const fixturePath = path.resolve(replayFile);
+  const responses = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+  if (!Array.isArray(responses)) {
+    throw new Error(`Replay fixture must be a JSON array: ${fixturePath}`);
+  }
+
+  let cursor = 0;
+
+  async function complete() {
+    if (cursor >= responses.length) {
+      return { success: false, error: `Replay fixture exhausted after ${responses.length} responses` };
+    }
+
+    const entry = responses[cursor++];
+    console.log(`[LLM] Replay response ${cursor}/${responses.length}`);
+
+    if (typeof entry === "string") {
+      return { success: true, data: { content: entry, toolCalls: [], finishReason: "stop" } };
+    }
+
+    return {
+      success: true,
+      data: {
+        content: null,
+        toolCalls: [toToolCall(entry, `replay_${cursor}`)],
+        finishReason: "stop",
+      },
+    };
+  }
+
+  return { name: "replay", url: fixturePath, complete };
+}
+
+module.exports = {
+  createProvider,
+};
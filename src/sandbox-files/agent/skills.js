@@ -0,0 +1,238 @@
+/**
+ * SKILLS
+ *
+ * Markdown instructions that teach the agent a repository's conventions,
+ * loaded at startup instead of being compiled into the prompt.
+ *
+ * SOURCES:
+ * - Repository skills: .agent/skills/*.md in the target repo, so owners
+ *   can describe their conventions without changing this project
+ * - Skill packs: agent/skills/*.md shipped with the agent. Packs are
+ *   selected per request (AGENT_SKILL_PACKS, set by the host from the
+ *   request's "skills" field); without a selection the defaults apply
+ *   (react-best-practices for React projects). A repo can add packs
+ *   through .agent/config.json.
+ *
+ * SKILL FILE:
+ *   ---
+ *   name: Components
+ *   description: How components are structured
+ *   globs: src/components/**, *.tsx
+ *   ---
+ *   Markdown body...
+ *
+ * RULES:
+ * - A skill without globs always applies: its body goes into the system prompt
+ * - A skill with globs is listed in the prompt and its body is added to the
+ *   conversation the first time the agent reads or changes a matching file
+ *
+ * .agent/config.json (all fields optional):
+ *   {
+ *     "packs": ["react-best-practices"],
+ *     "skills": { "components": { "globs": ["src/components/**"], "enabled": true } }
+ *   }
+ * "skills" overrides the frontmatter of repository skills by file name.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createGlobMatcher } = require("../tools/ignore.js");
+
+const REPO_SKILLS_DIR = ".agent/skills";
+const REPO_CONFIG_FILE = ".agent/config.json";
+const PACKS_DIR = path.join(__dirname, "skills");
+
+const MAX_SKILLS = 20;
+const MAX_SKILL_BYTES = 16 * 1024;
+
+// Loaded skills and the glob skills already added to the conversation
+let SKILLS = [];
+const ACTIVATED = new Set();
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Split "---" frontmatter (key: value lines) from the markdown body
+ * globs accepts "a, b" or "[a, b]"
+ */
+function parseSkillFile(content) {
+  const text = content.replace(/^\uFEFF/, "");
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const field = line.match(/^(\w+):\s*(.*)$/);
+      if (field) meta[field[1]] = field[2].trim();
+    }
+  }
+
+  const globs = (meta.globs || "")
+    .replace(/^\[|\]$/g, "")
+    .split(",")
+    .map((glob) => glob.trim().replace(/^["']|["']$/g, ""))
+    .filter(Boolean);
+
+  return {
+    name: meta.name || null,
+    description: meta.description || "",
+    globs,
+    body: (match ? text.slice(match[0].length) : text).trim(),
+  };
+}
+
+/**
+ * Read the .md files in a directory as skills
+ */
+function readSkillDir(dir, source) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".md"))
+    .sort()
+    .map((file) => {
+      const id = file.slice(0, -3);
+      const parsed = parseSkillFile(fs.readFileSync(path.join(dir, file), "utf8"));
+      let body = parsed.body;
+      if (Buffer.byteLength(body) > MAX_SKILL_BYTES) {
+        body = `${Buffer.from(body).subarray(0, MAX_SKILL_BYTES).toString("utf8")}\n... [truncated at ${MAX_SKILL_BYTES / 1024}KB]`;
+      }
+      return {
+        id,
+        name: parsed.name || id,
+        description: parsed.description,
+        globs: parsed.globs,
+        source,
+        file: path.posix.join(source === "repo" ? REPO_SKILLS_DIR : "agent/skills", file),
+        body,
+      };
+    });
+}
+
+function readRepoConfig(root) {
+  const configPath = path.join(root, REPO_CONFIG_FILE);
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    console.log(`[SKILLS] Warning: ignoring ${REPO_CONFIG_FILE}: ${err.message}`);
+    return {};
+  }
+}
+
+function normalizePath(filePath) {
+  return path.posix.normalize(String(filePath).split(path.sep).join("/")).replace(/^\.\//, "").replace(/^\//, "");
+}
+
+// ================================================================
+// LOADING
+// ================================================================
+
+/**
+ * Load repository skills and the selected packs
+ * requestedPacks: packs chosen for this run (null = use defaultPacks)
+ * Returns the loaded skills.
+ */
+function loadSkills(root, { requestedPacks = null, defaultPacks = [] } = {}) {
+  ACTIVATED.clear();
+  const config = readRepoConfig(root);
+  const overrides = config.skills && typeof config.skills === "object" ? config.skills : {};
+
+  // Packs: this run's selection (or the defaults) plus the repo's own
+  const wanted = [...new Set([...(requestedPacks ?? defaultPacks), ...(Array.isArray(config.packs) ? config.packs : [])])];
+  const available = readSkillDir(PACKS_DIR, "pack");
+  const packs = [];
+  for (const id of wanted) {
+    const pack = available.find((skill) => skill.id === id);
+    if (pack) {
+      packs.push(pack);
+    } else {
+      console.log(`[SKILLS] Warning: unknown skill pack "${id}" (available: ${available.map((skill) => skill.id).join(", ") || "none"})`);
+    }
+  }
+
+  // Repository skills, with config.json overrides by file name
+  const repoSkills = readSkillDir(path.join(root, REPO_SKILLS_DIR), "repo")
+    .map((skill) => {
+      const override = overrides[skill.id] || {};
+      if (override.enabled === false) return null;
+      return {
+        ...skill,
+        ...(typeof override.description === "string" ? { description: override.description } : {}),
+        ...(override.globs !== undefined ? { globs: [].concat(override.globs) } : {}),
+      };
+    })
+    .filter(Boolean);
+
+  SKILLS = [...repoSkills, ...packs].slice(0, MAX_SKILLS);
+  return SKILLS;
+}
+
+// ================================================================
+// APPLYING
+// ================================================================
+
+/**
+ * Prompt section: always-on skill bodies and an index of file-specific skills
+ * Returns null when no skills are loaded.
+ */
+function formatSkills() {
+  if (SKILLS.length === 0) return null;
+
+  const always = SKILLS.filter((skill) => skill.globs.length === 0);
+  const scoped = SKILLS.filter((skill) => skill.globs.length > 0);
+  const sections = ["=== SKILLS ==="];
+
+  for (const skill of always) {
+    sections.push(`## SKILL: ${skill.name} (${skill.file})\n${skill.body}`);
+  }
+  if (scoped.length > 0) {
+    sections.push(`## FILE-SPECIFIC SKILLS (added automatically the first time you read or change a matching file)\n${scoped
+      .map((skill) => `- ${skill.name}${skill.description ? `: ${skill.description}` : ""} [${skill.globs.join(", ")}]`)
+      .join("\n")}`);
+  }
+  sections.push("Repository skills (.agent/skills) describe this repo's conventions and take precedence over generic skill packs.");
+
+  return sections.join("\n\n");
+}
+
+/**
+ * File-specific skills that match one of the paths and were not added yet
+ * Marks them as added. Returns [{ skill, path }].
+ */
+function activateForPaths(paths) {
+  const activated = [];
+  const relativePaths = paths.filter(Boolean).map(normalizePath);
+
+  for (const skill of SKILLS) {
+    if (skill.globs.length === 0 || ACTIVATED.has(skill.file)) continue;
+    const matches = createGlobMatcher(skill.globs);
+    const matched = relativePaths.find((relativePath) => matches(relativePath));
+    if (matched) {
+      ACTIVATED.add(skill.file);
+      activated.push({ skill, path: matched });
+    }
+  }
+
+  return activated;
+}
+
+/**
+ * Conversation message carrying newly activated skills
+ */
+function formatActivatedSkills(activated) {
+  return {
+    role: "user",
+    content: activated
+      .map(({ skill, path: matched }) => `SKILL LOADED: ${skill.name} (${skill.file}) - applies to ${skill.globs.join(", ")}, matched ${matched}\n\n${skill.body}`)
+      .join("\n\n"),
+  };
+}
+
+module.exports = {
+  loadSkills,
+  formatSkills,
+  activateForPaths,
+  formatActivatedSkills,
+};
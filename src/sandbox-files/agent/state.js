@@ -17,9 +17,16 @@ const initialState = {
     url: null,
     path: null,
     initialized: false,
+    // Stack summary from agent/profile.js (framework, package manager, routers)
+    profile: null,
+    // Skill files loaded at startup (agent/skills.js)
+    skills: [],
+    // Package manager used by the build tools: { name, version, source, lockfile, command }
+    package_manager: null,
   },
   
-  // Files modified in this session
+  // Files modified in this session: { path, kind, from? }
+  // kind: "write" | "edit" | "move" | "copy" | "delete" | "mkdir"
   changed_files: [],
   
   // Build status
@@ -30,6 +37,35 @@ const initialState = {
     output: null,
   },
   
+  // Type check status (run_typecheck)
+  typecheck: {
+    ran: false,
+    success: null,
+    errors: [],
+  },
+  
+  // Validation policy (agent/validation.js)
+  // changes: file-changing tool calls so far; built_at: value of changes
+  // when run_build last passed (null = never); checked_at: the same for
+  // run_typecheck or run_tests
+  validation: {
+    mode: null,
+    changes: 0,
+    built_at: null,
+    checked_at: null,
+  },
+  
+  // Test status (run_tests)
+  tests: {
+    ran: false,
+    success: null,
+    runner: null,
+    passed: 0,
+    failed: 0,
+    skipped: 0,
+    failures: [],
+  },
+  
   // Dev server status
   dev_server: {
     running: false,
@@ -107,6 +143,7 @@ function setGoal(goal) {
  */
 function setRepoInitialized(url, path) {
   state.repo = {
+    ...state.repo,
     url,
     path,
     initialized: true,
@@ -115,11 +152,41 @@ function setRepoInitialized(url, path) {
 }
 
 /**
- * Add a changed file
+ * Record the detected repository profile summary
+ */
+function setRepoProfile(profile) {
+  state.repo.profile = profile;
+  return state;
+}
+
+/**
+ * Record the package manager the build tools use
+ */
+function setPackageManager(packageManager) {
+  state.repo.package_manager = packageManager;
+  return state;
+}
+
+/**
+ * Record the skill files loaded for this run
  */
-function addChangedFile(filePath) {
-  if (!state.changed_files.includes(filePath)) {
-    state.changed_files.push(filePath);
+function setSkills(files) {
+  state.repo.skills = files;
+  return state;
+}
+
+/**
+ * Record a file operation
+ * One entry per path: the first operation wins (a copied file that is later
+ * edited stays a copy), except delete, which replaces whatever came before.
+ */
+function addChangedFile(filePath, kind = "edit", from = null) {
+  const entry = from ? { path: filePath, kind, from } : { path: filePath, kind };
+  const index = state.changed_files.findIndex((file) => file.path === filePath);
+  if (index === -1) {
+    state.changed_files.push(entry);
+  } else if (kind === "delete") {
+    state.changed_files[index] = entry;
   }
   return state;
 }
@@ -134,6 +201,59 @@ function setBuildStatus(success, errors = [], output = null) {
     errors,
     output,
   };
+  if (success) {
+    state.validation.built_at = state.validation.changes;
+  }
+  return state;
+}
+
+/**
+ * Update type check status
+ */
+function setTypecheckStatus(success, errors = []) {
+  state.typecheck = {
+    ran: true,
+    success,
+    errors,
+  };
+  if (success) {
+    state.validation.checked_at = state.validation.changes;
+  }
+  return state;
+}
+
+/**
+ * Set the validation mode for this run
+ */
+function setValidationMode(mode) {
+  state.validation.mode = mode;
+  return state;
+}
+
+/**
+ * Count a file-changing tool call (makes the last build stale)
+ */
+function recordFileChange() {
+  state.validation.changes++;
+  return state;
+}
+
+/**
+ * Update test status
+ */
+function setTestStatus(success, { runner = null, passed = 0, failed = 0, skipped = 0, failures = [] } = {}) {
+  state.tests = {
+    ran: true,
+    success,
+    runner,
+    passed,
+    failed,
+    skipped,
+    failures,
+  };
+  if (success) {
+    state.validation.checked_at = state.validation.changes;
+  }
   return state;
 }
 
@@ -161,6 +281,16 @@ function setVerificationStatus(success, checks = []) {
   return state;
 }
 
+/**
+ * Record one verification check, replacing any earlier check of the same target
+ * (a re-check after a fix supersedes the failure). Passes only if every check passed.
+ */
+function addVerificationCheck(check) {
+  const target = (c) => c.path ?? c.url;
+  const checks = [...state.verification.checks.filter((c) => target(c) !== target(check)), check];
+  return setVerificationStatus(checks.every((c) => c.success), checks);
+}
+
 /**
  * Update git status
  */
@@ -237,6 +367,8 @@ function getSummary() {
     iteration: `${state.iteration.count}/${state.iteration.max}`,
     files_changed: state.changed_files.length,
     build: state.build.success === null ? "not run" : state.build.success ? "✓" : "✗",
+    typecheck: state.typecheck.success === null ? "not run" : state.typecheck.success ? "✓" : "✗",
+    tests: state.tests.success === null ? "not run" : state.tests.success ? "✓" : `✗ ${state.tests.failed} failed`,
     verification: state.verification.success === null ? "not run" : state.verification.success ? "✓" : "✗",
     git: state.git.committed ? (state.git.pushed ? "pushed" : "committed") : "uncommitted",
     repairs: state.iteration.repairs,
@@ -266,10 +398,18 @@ module.exports = {
   update,
   setGoal,
   setRepoInitialized,
+  setRepoProfile,
+  setSkills,
+  setPackageManager,
   addChangedFile,
   setBuildStatus,
+  setTypecheckStatus,
+  setValidationMode,
+  recordFileChange,
+  setTestStatus,
   setDevServerStatus,
   setVerificationStatus,
+  addVerificationCheck,
   setGitStatus,
   incrementIteration,
   addIterationError,
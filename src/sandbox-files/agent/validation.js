@@ -0,0 +1,122 @@
+/**
+ * VALIDATION POLICY
+ *
+ * Decides how changes are validated during a run. A full build is the
+ * slowest step and often times out on larger Next.js apps, so by default
+ * it is only required once, before committing.
+ *
+ * MODES:
+ * - fast (default): run_typecheck (plus run_tests on the affected files)
+ *   after each change; run_build once before git_commit
+ * - full: run_build after every change
+ *
+ * In both modes git_commit is refused until run_build has passed after
+ * the last file change (see commitBlocker). Projects without a build
+ * script need a passing run_typecheck or run_tests instead. Only calls
+ * that changed something count: run_command and npm_install when the
+ * working tree differs after them, write tools unless they report
+ * changed: false.
+ *
+ * CONFIG (per run, set by the host from the request's "validation" field):
+ * - AGENT_VALIDATION_MODE: "fast" | "full"
+ * - AGENT_BUILD_TIMEOUT_MS, AGENT_TYPECHECK_TIMEOUT_MS, AGENT_TEST_TIMEOUT_MS
+ */
+
+const MODES = ["fast", "full"];
+const DEFAULT_MODE = "fast";
+
+// Tool categories whose successful write calls change project files
+const FILE_CHANGE_CATEGORIES = ["FILESYSTEM", "EDITING", "ASSETS"];
+const FILE_CHANGE_TOOLS = ["git_restore_backup"];
+
+// Commands that can rewrite files without saying so (npm install updates
+// package.json and the lockfile); the working tree is compared around them
+const TREE_CHECK_TOOLS = ["run_command", "npm_install"];
+
+/**
+ * Read the policy from the environment
+ * Invalid values are ignored with a warning (defaults apply).
+ */
+function resolvePolicy(env = process.env) {
+  let mode = DEFAULT_MODE;
+  if (env.AGENT_VALIDATION_MODE) {
+    if (MODES.includes(env.AGENT_VALIDATION_MODE)) {
+      mode = env.AGENT_VALIDATION_MODE;
+    } else {
+      console.log(`[VALIDATION] Warning: unknown mode "${env.AGENT_VALIDATION_MODE}" - using ${DEFAULT_MODE}`);
+    }
+  }
+
+  const timeout = (name) => {
+    if (!env[name]) return undefined;
+    const ms = Number(env[name]);
+    if (Number.isInteger(ms) && ms > 0) return ms;
+    console.log(`[VALIDATION] Warning: ignoring ${name}="${env[name]}" (expected milliseconds)`);
+    return undefined;
+  };
+
+  return {
+    mode,
+    timeouts: {
+      build: timeout("AGENT_BUILD_TIMEOUT_MS"),
+      typecheck: timeout("AGENT_TYPECHECK_TIMEOUT_MS"),
+      tests: timeout("AGENT_TEST_TIMEOUT_MS"),
+    },
+  };
+}
+
+/**
+ * Whether a tool call changed project files (makes the last build stale)
+ */
+function isFileChange(descriptor, result) {
+  if (!descriptor || !result.success) return false;
+  if (result.data?.changed === false) return false;
+  if (FILE_CHANGE_TOOLS.includes(descriptor.name)) return true;
+  return descriptor.sideEffect === "write" && FILE_CHANGE_CATEGORIES.includes(descriptor.category);
+}
+
+/**
+ * Whether a tool's changes are found by comparing the working tree before and after
+ */
+function checksWorkingTree(toolName) {
+  return TREE_CHECK_TOOLS.includes(toolName);
+}
+
+/**
+ * Reason git_commit must wait, or null when the build is current
+ * Without a build script a passing run_typecheck or run_tests stands in.
+ */
+function commitBlocker(state, { buildScript = true } = {}) {
+  const { changes, built_at: builtAt, checked_at: checkedAt } = state.validation;
+  if (changes === 0) return null;
+  if (builtAt === changes) return null;
+  if (!buildScript) {
+    if (checkedAt === changes) return null;
+    return "Run run_typecheck or run_tests before committing - the project has no build script and neither has passed since files were changed";
+  }
+  return builtAt === null
+    ? "Run run_build before committing - the build has not passed since files were changed"
+    : "Run run_build before committing - files changed after the last passing build";
+}
+
+/**
+ * Workflow section of the system prompt for the active mode
+ */
+function formatPolicy(policy) {
+  const steps = policy.mode === "full"
+    ? "After each change, validate with run_build()."
+    : `While iterating, validate each change with run_typecheck() (seconds, incremental) and run_tests() on the affected test files.
+Run the full run_build() once, when the changes are complete, before git_commit().`;
+
+  return `=== VALIDATION POLICY (${policy.mode}) ===
+${steps}
+git_commit() is refused until run_build() has passed after the last file change (run_typecheck() or run_tests() when the project has no build script).`;
+}
+
+module.exports = {
+  resolvePolicy,
+  isFileChange,
+  checksWorkingTree,
+  commitBlocker,
+  formatPolicy,
+};
@@ -0,0 +1,51 @@
+/**
+ * VALIDATION POLICY TESTS
+ *
+ * When git_commit is blocked, and which tool calls make the build stale.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const state = require("./state.js");
+const validation = require("./validation.js");
+
+const WRITE_TOOL = { name: "write_file", category: "FILESYSTEM", sideEffect: "write" };
+const EDIT_TOOL = { name: "edit_file", category: "EDITING", sideEffect: "write" };
+
+test.beforeEach(() => state.reset());
+
+test("blocks the commit until the build passes after a change", () => {
+  assert.strictEqual(validation.commitBlocker(state.get()), null);
+  state.recordFileChange();
+  assert.match(validation.commitBlocker(state.get()), /run_build/);
+  state.setTypecheckStatus(true);
+  assert.match(validation.commitBlocker(state.get()), /run_build/);
+  state.setBuildStatus(true);
+  assert.strictEqual(validation.commitBlocker(state.get()), null);
+  state.recordFileChange();
+  assert.match(validation.commitBlocker(state.get()), /after the last passing build/);
+});
+
+test("accepts a passing type check or test run without a build script", () => {
+  state.recordFileChange();
+  assert.match(validation.commitBlocker(state.get(), { buildScript: false }), /no build script/);
+  state.setTypecheckStatus(false);
+  assert.match(validation.commitBlocker(state.get(), { buildScript: false }), /no build script/);
+  state.setTypecheckStatus(true);
+  assert.strictEqual(validation.commitBlocker(state.get(), { buildScript: false }), null);
+
+  state.recordFileChange();
+  assert.match(validation.commitBlocker(state.get(), { buildScript: false }), /no build script/);
+  state.setTestStatus(true, { runner: "vitest", passed: 3 });
+  assert.strictEqual(validation.commitBlocker(state.get(), { buildScript: false }), null);
+});
+
+test("counts only write calls that changed something", () => {
+  assert.strictEqual(validation.isFileChange(WRITE_TOOL, { success: true, data: { changed: true } }), true);
+  assert.strictEqual(validation.isFileChange(EDIT_TOOL, { success: true, data: { path: "a.js" } }), true);
+  assert.strictEqual(validation.isFileChange(WRITE_TOOL, { success: true, data: { changed: false } }), false);
+  assert.strictEqual(validation.isFileChange({ name: "make_dir", category: "FILESYSTEM", sideEffect: "write" }, { success: true, data: { created: false, changed: false } }), false);
+  assert.strictEqual(validation.isFileChange(EDIT_TOOL, { success: false, error: "oldText not found" }), false);
+  assert.strictEqual(validation.isFileChange({ name: "read_file", category: "FILESYSTEM", sideEffect: "read" }, { success: true, data: {} }), false);
+});
@@ -0,0 +1,466 @@
+/**
+ * ASSET TOOLS
+ *
+ * Binary files - images and PDFs - which write_file and read_file cannot
+ * handle because they only deal in UTF-8 text.
+ *
+ * ATTACHMENTS:
+ * Files sent with the run request are staged by the host in STAGING_DIR
+ * (keep in sync with ATTACHMENTS_DIR in src/lib/attachments.ts). The
+ * directory is added to .git/info/exclude so staged files never end up
+ * in a commit; import_attachment copies one into the project.
+ *
+ * TOOLS:
+ * - list_attachments: Staged files with type, size and dimensions
+ * - asset_info: Type, size and dimensions (or PDF page count) of a project file
+ * - import_attachment: Copy a staged file into the project (default public/)
+ * - optimize_image: Resized and/or re-encoded variants of an image (sharp)
+ *
+ * Types are sniffed from the file content and dimensions read from the
+ * headers, so inspecting files needs no extra packages. sharp is installed
+ * into the browser tools' package dir on first use of optimize_image.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const filesystem = require("./filesystem.js");
+const browser = require("./browser.js");
+
+const STAGING_DIR = ".agent-uploads";
+const SHARP_PACKAGE = "sharp@0.33.5";
+
+const OUTPUT_FORMATS = ["webp", "avif", "jpeg", "png"];
+const OUTPUT_EXTENSIONS = { webp: ".webp", avif: ".avif", jpeg: ".jpg", png: ".png" };
+const DEFAULT_QUALITY = 80;
+
+/**
+ * Initialize asset tools - keep the staging directory out of git
+ */
+function initialize(root) {
+  const exclude = path.join(root, ".git", "info", "exclude");
+  if (!fs.existsSync(path.join(root, ".git"))) return;
+
+  try {
+    const current = fs.existsSync(exclude) ? fs.readFileSync(exclude, "utf8") : "";
+    if (!current.split(/\r?\n/).includes(`/${STAGING_DIR}/`)) {
+      fs.mkdirSync(path.dirname(exclude), { recursive: true });
+      fs.appendFileSync(exclude, `${current && !current.endsWith("\n") ? "\n" : ""}/${STAGING_DIR}/\n`);
+    }
+  } catch (err) {
+    console.log(`[ASSETS] Could not exclude ${STAGING_DIR} from git: ${err.message}`);
+  }
+}
+
+// ================================================================
+// FILE INSPECTION
+// ================================================================
+
+/**
+ * Detect the type of an image or PDF from its first bytes (null if unknown)
+ */
+function sniffMimeType(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && /^avi[fs]$/.test(ascii(8, 12))) return "image/avif";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+
+  const head = buffer.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if ((head.startsWith("<?xml") || head.startsWith("<svg") || head.startsWith("<!--")) && head.includes("<svg")) {
+    return "image/svg+xml";
+  }
+  return null;
+}
+
+/**
+ * Scan JPEG segments for the start-of-frame marker
+ */
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.subarray(12, 16).toString("latin1");
+  if (chunk === "VP8 ") {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L") {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function svgSize(buffer) {
+  const tag = buffer.toString("utf8").match(/<svg\b[^>]*>/)?.[0];
+  if (!tag) return null;
+  const attribute = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']+)["']`))?.[1];
+  const pixels = (value) => (value && /^\d+(\.\d+)?(px)?$/.test(value.trim()) ? Math.round(parseFloat(value)) : null);
+
+  const width = pixels(attribute("width"));
+  const height = pixels(attribute("height"));
+  if (width && height) return { width, height };
+
+  const viewBox = attribute("viewBox")?.trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4 && viewBox.every(Number.isFinite)) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+}
+
+/**
+ * Image dimensions from the file headers (null if they cannot be read)
+ */
+function imageSize(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case "image/png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "image/gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "image/jpeg":
+        return jpegSize(buffer);
+      case "image/webp":
+        return webpSize(buffer);
+      case "image/avif": {
+        // Image spatial extents property box
+        const ispe = buffer.indexOf("ispe");
+        return ispe === -1 ? null : { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+      }
+      case "image/svg+xml":
+        return svgSize(buffer);
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describe a file: { mimeType, size, width?, height?, pages? }
+ */
+function describeFile(absolutePath) {
+  const buffer = fs.readFileSync(absolutePath);
+  const mimeType = sniffMimeType(buffer) || "application/octet-stream";
+  const info = { mimeType, size: buffer.length };
+
+  if (mimeType === "application/pdf") {
+    const text = buffer.toString("latin1");
+    info.pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length || null;
+  } else {
+    Object.assign(info, imageSize(buffer, mimeType));
+  }
+  return info;
+}
+
+/**
+ * Resolve a staged attachment by name (no paths - just the file name)
+ */
+function resolveAttachment(name) {
+  if (!name || name !== path.basename(name)) {
+    return { error: `Invalid attachment name: ${name} (use a name from list_attachments)` };
+  }
+  const relative = `${STAGING_DIR}/${name}`;
+  const absolute = path.join(filesystem.getRoot(), STAGING_DIR, name);
+  if (!fs.existsSync(absolute)) {
+    return { error: `No attachment named ${name} - call list_attachments` };
+  }
+  return { relative, absolute };
+}
+
+/**
+ * Staged attachments, for the goal message and list_attachments
+ */
+function listStaged() {
+  const dir = path.join(filesystem.getRoot(), STAGING_DIR);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => ({ name: entry.name, path: `${STAGING_DIR}/${entry.name}`, ...describeFile(path.join(dir, entry.name)) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: list_attachments
+ * Lists the files attached to this run
+ */
+function list_attachments() {
+  console.log(`[TOOL:list_attachments]`);
+
+  try {
+    const attachments = listStaged();
+    return {
+      success: true,
+      data: {
+        directory: STAGING_DIR,
+        attachments,
+        count: attachments.length,
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: asset_info
+ * Reports the type, size and dimensions of a file in the project
+ */
+function asset_info(filePath) {
+  console.log(`[TOOL:asset_info] path="${filePath}"`);
+
+  try {
+    const safe = filesystem.safePath(filePath);
+    if (!safe.valid) {
+      return { success: false, error: safe.error };
+    }
+    if (!fs.existsSync(safe.path) || !fs.statSync(safe.path).isFile()) {
+      return { success: false, error: `File not found: ${filePath}` };
+    }
+
+    return {
+      success: true,
+      data: {
+        path: path.relative(filesystem.getRoot(), safe.path),
+        ...describeFile(safe.path),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: import_attachment
+ * Copies a staged attachment into the project (default: public/<name>).
+ * A destination ending in "/" is treated as a directory.
+ */
+function import_attachment(name, to = "public/", overwrite = false) {
+  console.log(`[TOOL:import_attachment] name="${name}" to="${to}"`);
+
+  try {
+    const attachment = resolveAttachment(name);
+    if (attachment.error) {
+      return { success: false, error: attachment.error };
+    }
+
+    const destination = to.endsWith("/") ? `${to}${name}` : to;
+    const copied = filesystem.copy_path(attachment.relative, destination, overwrite);
+    if (!copied.success) return copied;
+
+    return {
+      success: true,
+      data: {
+        ...copied.data,
+        ...describeFile(attachment.absolute),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: optimize_image
+ * Writes resized and/or re-encoded variants next to the source image:
+ * <name>-<width>w.<ext> per width, or <name>.<ext> for a format change.
+ * Widths larger than the source are skipped (no upscaling). Existing files
+ * are only replaced with overwrite; outputs go through safeMutablePath.
+ */
+async function optimize_image({ path: filePath, widths = [], format = "webp", quality = DEFAULT_QUALITY, overwrite = false }) {
+  console.log(`[TOOL:optimize_image] path="${filePath}" widths=${widths.join(",") || "original"} format=${format}`);
+
+  try {
+    const safe = filesystem.safePath(filePath);
+    if (!safe.valid) {
+      return { success: false, error: safe.error };
+    }
+    if (!fs.existsSync(safe.path) || !fs.statSync(safe.path).isFile()) {
+      return { success: false, error: `File not found: ${filePath}` };
+    }
+
+    const source = describeFile(safe.path);
+    if (!source.mimeType.startsWith("image/")) {
+      return { success: false, error: `${filePath} is ${source.mimeType}, not an image` };
+    }
+
+    const sharp = await browser.requireBrowserPackage(SHARP_PACKAGE);
+    const metadata = await sharp(safe.path).metadata();
+    const root = filesystem.getRoot();
+    const stem = safe.path.slice(0, safe.path.length - path.extname(safe.path).length);
+    const extension = OUTPUT_EXTENSIONS[format];
+
+    const targets = widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : [null];
+    const skipped = targets.filter((width) => width !== null && metadata.width && width > metadata.width);
+
+    // Check every output before writing any
+    const outputs = [];
+    for (const width of targets) {
+      if (skipped.includes(width)) continue;
+      const output = width === null ? `${stem}${extension}` : `${stem}-${width}w${extension}`;
+      if (output === safe.path) {
+        return { success: false, error: `Output would overwrite ${filePath} - pass widths or a different format` };
+      }
+      const relative = path.relative(root, output);
+      const target = filesystem.safeMutablePath(relative);
+      if (!target.valid) {
+        return { success: false, error: target.error };
+      }
+      const existing = fs.lstatSync(output, { throwIfNoEntry: false });
+      if (existing?.isSymbolicLink()) {
+        return { success: false, error: `${relative} is a symbolic link - delete it first` };
+      }
+      if (existing && !overwrite) {
+        return { success: false, error: `${relative} already exists (set overwrite to replace it)` };
+      }
+      if (existing && !existing.isFile()) {
+        return { success: false, error: `${relative} exists and is not a file` };
+      }
+      outputs.push({ width, output });
+    }
+
+    const variants = [];
+    for (const { width, output } of outputs) {
+      const pipeline = sharp(safe.path).rotate();
+      if (width !== null) pipeline.resize({ width, withoutEnlargement: true });
+      const info = await pipeline.toFormat(format, { quality }).toFile(output);
+
+      variants.push({
+        path: path.relative(root, output),
+        width: info.width,
+        height: info.height,
+        size: info.size,
+      });
+    }
+
+    return {
+      success: true,
+      data: {
+        source: {
+          path: path.relative(root, safe.path),
+          width: metadata.width,
+          height: metadata.height,
+          size: source.size,
+        },
+        format,
+        variants,
+        ...(skipped.length > 0 ? { skipped: skipped.map((width) => `${width}w is wider than the source`) } : {}),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "list_attachments",
+    label: "List attachments",
+    description: `List the files (images, PDFs) attached to this run, staged in ${STAGING_DIR}/, with type, size and dimensions.`,
+    sideEffect: "read",
+    parameters: { type: "object", properties: {}, additionalProperties: false },
+    handler: () => list_attachments(),
+  },
+  {
+    name: "asset_info",
+    label: "Asset info",
+    description: "Get the MIME type, size and pixel dimensions (or PDF page count) of a binary file such as an image.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: (args) => asset_info(args.path),
+  },
+  {
+    name: "import_attachment",
+    label: "Import attachment",
+    description: "Copy an attached file into the project, by default into public/. Reference it from code as /<name> (Next.js serves public/ at the site root).",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, description: "Attachment name from list_attachments" },
+        to: { type: "string", minLength: 1, description: "Destination file, or a directory ending in \"/\" (default \"public/\")" },
+        overwrite: { type: "boolean", description: "Replace an existing file (default false)" },
+      },
+      required: ["name"],
+      additionalProperties: false,
+    },
+    handler: (args) => import_attachment(args.name, args.to, args.overwrite),
+    updateState: (state, result) => {
+      if (result.success) state.addChangedFile(result.data.to, "copy", result.data.from);
+    },
+  },
+  {
+    name: "optimize_image",
+    label: "Optimize image",
+    description: "Write resized and/or re-encoded variants of an image next to it (<name>-<width>w.<ext>, or <name>.<ext> without widths). Never upscales.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "Image path relative to the project root" },
+        widths: { type: "array", items: { type: "integer", minimum: 16, maximum: 4096 }, description: "Target widths in pixels (default: keep the original size)" },
+        format: { type: "string", enum: OUTPUT_FORMATS, description: "Output format (default \"webp\")" },
+        quality: { type: "integer", minimum: 1, maximum: 100, description: `Encoder quality (default ${DEFAULT_QUALITY})` },
+        overwrite: { type: "boolean", description: "Replace existing variants (default false)" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: (args) => optimize_image(args),
+    updateState: (state, result) => {
+      if (!result.success) return;
+      for (const variant of result.data.variants) {
+        state.addChangedFile(variant.path, "write");
+      }
+    },
+  },
+];
+
+module.exports = {
+  initialize,
+  descriptors,
+  STAGING_DIR,
+  listStaged,
+  describeFile,
+  list_attachments,
+  asset_info,
+  import_attachment,
+  optimize_image,
+};
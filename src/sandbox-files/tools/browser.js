@@ -1,16 +1,57 @@
 /**
- * BROWSER TOOLS (Lightweight - No Puppeteer)
+ * BROWSER TOOLS
  * 
- * Simple HTTP-based URL verification without Puppeteer overhead.
- * Build success is the primary verification method.
+ * Page verification at two weights:
+ * - verify_url: Plain HTTP check, no browser (fast, any URL)
+ * - take_screenshot / extract_page_content / assert_page: Headless
+ *   Chromium against the dev server, so client-side React errors and
+ *   hydration mismatches - which pass `npm run build` - become visible
+ * 
+ * BROWSER RUNTIME:
+ * The sandbox has no browser preinstalled. On first use playwright-core
+ * and @sparticuz/chromium (a self-contained Chromium build) are installed
+ * into BROWSER_DIR, outside the project so they never end up in a commit.
+ * Set CHROMIUM_PATH to use an existing Chromium instead.
+ * Each tool call launches its own browser and always closes it.
+ * 
+ * SCREENSHOTS:
+ * PNGs are written to SCREENSHOT_DIR (also outside the project) and
+ * reported in the result's `artifacts`; the agent emits an "artifact"
+ * event for each and the host copies the file into the run store.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const devserver = require("./devserver.js");
+const jobs = require("./jobs.js");
+
 // ================================================================
 // STATE
 // ================================================================
 
 let PROJECT_ROOT = process.cwd();
 
+const BROWSER_DIR = process.env.AGENT_BROWSER_DIR || path.join(os.tmpdir(), "agent-browser");
+const SCREENSHOT_DIR = process.env.AGENT_SCREENSHOT_DIR || path.join(os.tmpdir(), "agent-screenshots");
+
+// Chromium 140 pairs with playwright-core 1.55 - bump together
+const PLAYWRIGHT_PACKAGE = "playwright-core@1.55.0";
+const CHROMIUM_PACKAGE = "@sparticuz/chromium@140.0.0";
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+const DEFAULT_TIMEOUT = 30000;
+
+// Time after load for client-side errors (hydration, effects) to surface
+const SETTLE_MS = 1000;
+
+// React logs hydration problems through console.error / console.warn
+const HYDRATION_PATTERN = /hydrat/i;
+
+let RUNTIME = null;
+let SCREENSHOT_COUNT = 0;
+
 // ================================================================
 // INITIALIZATION
 // ================================================================
@@ -20,6 +61,178 @@ function initialize(projectRoot) {
   console.log(`[BROWSER] Initialized with root: ${PROJECT_ROOT}`);
 }
 
+// ================================================================
+// BROWSER RUNTIME
+// ================================================================
+
+/**
+ * Install packages into BROWSER_DIR if missing (specs like "pngjs@7.0.0")
+ */
+async function installBrowserPackages(packages) {
+  const missing = packages.filter((pkg) => {
+    const name = pkg.substring(0, pkg.lastIndexOf("@"));
+    return !fs.existsSync(path.join(BROWSER_DIR, "node_modules", name, "package.json"));
+  });
+  if (missing.length === 0) return;
+
+  console.log(`[BROWSER] Installing ${missing.join(", ")} into ${BROWSER_DIR}`);
+  fs.mkdirSync(BROWSER_DIR, { recursive: true });
+
+  // Saved to BROWSER_DIR/package.json: later installs would otherwise prune earlier ones
+  const result = await jobs.run("npm", ["install", "--prefix", BROWSER_DIR, "--no-audit", "--no-fund", ...missing], {
+    cwd: BROWSER_DIR,
+    timeout: 180000,
+  });
+  if (result.exitCode !== 0) {
+    throw new Error(`Browser install failed${result.timedOut ? " (timed out)" : ""}: ${result.stderr.substring(0, 500)}`);
+  }
+}
+
+/**
+ * Require a CommonJS package from BROWSER_DIR, installing it on first use
+ */
+async function requireBrowserPackage(spec) {
+  await installBrowserPackages([spec]);
+  return require(path.join(BROWSER_DIR, "node_modules", spec.substring(0, spec.lastIndexOf("@"))));
+}
+
+/**
+ * Load playwright and resolve the Chromium binary (once per process)
+ */
+async function loadRuntime() {
+  if (RUNTIME) return RUNTIME;
+
+  await installBrowserPackages(process.env.CHROMIUM_PATH ? [PLAYWRIGHT_PACKAGE] : [PLAYWRIGHT_PACKAGE, CHROMIUM_PACKAGE]);
+  const { chromium } = await requireBrowserPackage(PLAYWRIGHT_PACKAGE);
+
+  let executablePath = process.env.CHROMIUM_PATH;
+  let args = [];
+  if (!executablePath) {
+    // @sparticuz/chromium is ESM-only
+    const entry = require.resolve("@sparticuz/chromium", { paths: [BROWSER_DIR] });
+    const sparticuz = (await import(pathToFileURL(entry).href)).default;
+    executablePath = await sparticuz.executablePath();
+    args = sparticuz.args;
+  }
+
+  RUNTIME = { chromium, executablePath, args };
+  return RUNTIME;
+}
+
+/**
+ * Resolve the page to load: an explicit URL, or a route on the running dev server
+ */
+function resolveUrl({ url, path: routePath = "/" }) {
+  if (url) return { url };
+
+  const server = devserver.getStatus();
+  if (!server.running) {
+    return { error: "Dev server is not running - call start_dev_server first, or pass a url" };
+  }
+  return { url: `http://127.0.0.1:${server.port}${routePath}` };
+}
+
+/**
+ * Open a page in a fresh browser, collecting console output, then run fn(page)
+ * Returns { success, data } with page info and everything the console reported
+ */
+async function withPage(args, fn) {
+  const target = resolveUrl(args);
+  if (target.error) {
+    return { success: false, error: target.error };
+  }
+
+  let browser = null;
+  const consoleErrors = [];
+  const hydrationWarnings = [];
+  const pageErrors = [];
+
+  try {
+    const runtime = await loadRuntime();
+    browser = await runtime.chromium.launch({
+      executablePath: runtime.executablePath,
+      args: runtime.args,
+      headless: true,
+    });
+
+    const page = await browser.newPage({
+      viewport: {
+        width: args.width || DEFAULT_VIEWPORT.width,
+        height: args.height || DEFAULT_VIEWPORT.height,
+      },
+    });
+
+    page.on("console", (msg) => {
+      const text = msg.text();
+      if (HYDRATION_PATTERN.test(text)) {
+        hydrationWarnings.push(text.substring(0, 500));
+      } else if (msg.type() === "error") {
+        consoleErrors.push(text.substring(0, 500));
+      }
+    });
+    page.on("pageerror", (err) => pageErrors.push(err.message.substring(0, 500)));
+
+    const timeout = args.timeout || DEFAULT_TIMEOUT;
+    const response = await page.goto(target.url, { waitUntil: "load", timeout });
+    if (args.waitFor) {
+      await page.waitForSelector(args.waitFor, { timeout });
+    }
+    await page.waitForTimeout(SETTLE_MS);
+
+    const status = response ? response.status() : null;
+    const result = await fn(page);
+
+    return {
+      success: result.success ?? (status !== null && status < 400),
+      error: result.error ?? (status !== null && status >= 400 ? `${target.url} returned ${status}` : undefined),
+      data: {
+        url: target.url,
+        status,
+        title: await page.title(),
+        ...result.data,
+        consoleErrors,
+        hydrationWarnings,
+        pageErrors,
+      },
+    };
+  } catch (err) {
+    return {
+      success: false,
+      error: err.message.split("\n")[0],
+      data: { url: target.url, consoleErrors, hydrationWarnings, pageErrors },
+    };
+  } finally {
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Screenshot file name from a label, numbered in capture order
+ */
+function screenshotName(label) {
+  const slug = String(label || "page")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 40) || "root";
+  SCREENSHOT_COUNT += 1;
+  return `${String(SCREENSHOT_COUNT).padStart(2, "0")}-${slug}.png`;
+}
+
+/**
+ * Screenshot a page to filePath; result carries the usual page data
+ * (status, console errors) for callers that build their own tools on it
+ */
+async function capturePage(args, filePath) {
+  return withPage(args, async (page) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await page.screenshot({ path: filePath, fullPage: args.fullPage !== false });
+    return { data: { bytes: fs.statSync(filePath).size } };
+  });
+}
+
 // ================================================================
 // TOOL FUNCTIONS
 // ================================================================
@@ -71,11 +284,241 @@ async function verify_url(args) {
   }
 }
 
+/**
+ * TOOL: take_screenshot
+ * Load a page in headless Chromium and save a PNG
+ */
+async function take_screenshot(args) {
+  console.log(`[TOOL:take_screenshot] ${args.url || args.path || "/"}`);
+
+  const name = screenshotName(args.name || args.url || args.path);
+  const filePath = path.join(SCREENSHOT_DIR, name);
+  const result = await capturePage(args, filePath);
+  if (!fs.existsSync(filePath)) {
+    return result;
+  }
+
+  return {
+    ...result,
+    data: {
+      ...result.data,
+      screenshot: name,
+      artifacts: [{ kind: "screenshot", name, path: filePath }],
+    },
+  };
+}
+
+/**
+ * TOOL: extract_page_content
+ * Get the visible text of a page (or of one element) after client-side rendering
+ */
+async function extract_page_content(args) {
+  console.log(`[TOOL:extract_page_content] ${args.url || args.path || "/"}`);
+  const selector = args.selector || "body";
+  const maxLength = args.maxLength || 5000;
+
+  return withPage(args, async (page) => {
+    const element = page.locator(selector).first();
+    if (await element.count() === 0) {
+      return { success: false, error: `No element matches ${selector}`, data: { selector } };
+    }
+
+    const text = (await element.innerText()).replace(/\n{3,}/g, "\n\n").trim();
+    return {
+      data: {
+        selector,
+        text: text.substring(0, maxLength),
+        truncated: text.length > maxLength,
+        length: text.length,
+      },
+    };
+  });
+}
+
+/**
+ * TOOL: assert_page
+ * Check elements on a rendered page; fails on any failed assertion or,
+ * unless allowConsoleErrors is set, on console/page errors and hydration warnings
+ */
+async function assert_page(args) {
+  console.log(`[TOOL:assert_page] ${args.url || args.path || "/"} (${args.assertions.length} assertions)`);
+
+  const result = await withPage(args, async (page) => {
+    const results = [];
+
+    for (const assertion of args.assertions) {
+      const locator = page.locator(assertion.selector);
+      const count = await locator.count();
+      const check = { selector: assertion.selector, count, passed: true, problems: [] };
+
+      const minCount = assertion.minCount ?? 1;
+      if (assertion.count !== undefined && count !== assertion.count) {
+        check.problems.push(`expected ${assertion.count} matches, found ${count}`);
+      } else if (assertion.count === undefined && count < minCount) {
+        check.problems.push(count === 0 ? "not found" : `expected at least ${minCount} matches, found ${count}`);
+      }
+
+      if (assertion.text !== undefined && count > 0) {
+        const texts = await locator.allInnerTexts();
+        if (!texts.some((text) => text.includes(assertion.text))) {
+          check.problems.push(`no match contains "${assertion.text}"`);
+        }
+      }
+
+      if (assertion.visible && count > 0 && !(await locator.first().isVisible())) {
+        check.problems.push("not visible");
+      }
+
+      check.passed = check.problems.length === 0;
+      results.push(check);
+    }
+
+    return { data: { assertions: results } };
+  });
+
+  if (!result.data?.assertions) {
+    return result;
+  }
+
+  const failed = result.data.assertions.filter((a) => !a.passed);
+  const { consoleErrors, hydrationWarnings, pageErrors } = result.data;
+  const clientErrors = args.allowConsoleErrors
+    ? []
+    : [...pageErrors, ...hydrationWarnings, ...consoleErrors];
+
+  const problems = [];
+  if (!result.success && result.error) problems.push(result.error);
+  if (failed.length > 0) {
+    problems.push(`${failed.length} assertion(s) failed: ${failed.map((a) => `${a.selector} (${a.problems.join(", ")})`).join("; ")}`);
+  }
+  if (clientErrors.length > 0) {
+    problems.push(`${clientErrors.length} client-side error(s): ${clientErrors[0]}`);
+  }
+
+  return {
+    success: problems.length === 0,
+    error: problems.length > 0 ? problems.join(" | ") : undefined,
+    data: result.data,
+  };
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+// Where to load a page and how to wait for it - shared by the browser tools
+const PAGE_PARAMETERS = {
+  path: { type: "string", minLength: 1, description: "Dev server route (default \"/\")" },
+  url: { type: "string", minLength: 1, description: "Full URL instead of a dev server route" },
+  waitFor: { type: "string", minLength: 1, description: "Selector to wait for before inspecting" },
+  width: { type: "integer", minimum: 320, maximum: 3840, description: "Viewport width (default 1280)" },
+  height: { type: "integer", minimum: 320, maximum: 2160, description: "Viewport height (default 800)" },
+  timeout: { type: "integer", minimum: 1000, maximum: 120000, description: "Navigation timeout in ms (default 30000)" },
+};
+
+const descriptors = [
+  {
+    name: "verify_url",
+    label: "Verify URL",
+    description: "Check that a URL responds, optionally containing expected text.",
+    sideEffect: "external",
+    parameters: {
+      type: "object",
+      properties: {
+        url: { type: "string", minLength: 1, description: "URL to fetch" },
+        expectedContent: { type: "string", description: "Text the response body must contain" },
+        timeout: { type: "integer", minimum: 1, description: "Timeout in ms (default 10000)" },
+      },
+      required: ["url"],
+      additionalProperties: false,
+    },
+    handler: (args) => verify_url(args),
+    updateState: (state, result, args) => {
+      const passed = result.success && result.data.accessible && result.data.contentMatch;
+      state.setVerificationStatus(passed, [{ url: args.url, success: passed }]);
+    },
+  },
+  {
+    name: "take_screenshot",
+    label: "Screenshot",
+    description: "Render a dev server route (or url) in headless Chromium and save a PNG screenshot. Also reports console errors and hydration warnings.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        ...PAGE_PARAMETERS,
+        name: { type: "string", minLength: 1, description: "Label for the screenshot file" },
+        fullPage: { type: "boolean", description: "Capture the full scrollable page (default true)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => take_screenshot(args),
+  },
+  {
+    name: "extract_page_content",
+    label: "Extract page text",
+    description: "Get the visible text of a rendered page or element (after client-side rendering).",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        ...PAGE_PARAMETERS,
+        selector: { type: "string", minLength: 1, description: "CSS selector to extract (default \"body\")" },
+        maxLength: { type: "integer", minimum: 100, maximum: 50000, description: "Max characters returned (default 5000)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => extract_page_content(args),
+  },
+  {
+    name: "assert_page",
+    label: "Assert page",
+    description: "Check that elements exist (optionally with text/count) on a rendered page. Fails on console errors, page errors or hydration warnings unless allowConsoleErrors is set.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        ...PAGE_PARAMETERS,
+        assertions: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            properties: {
+              selector: { type: "string", minLength: 1, description: "CSS or Playwright selector" },
+              text: { type: "string", description: "Text at least one match must contain" },
+              count: { type: "integer", minimum: 0, description: "Exact number of matches" },
+              minCount: { type: "integer", minimum: 1, description: "Minimum number of matches (default 1)" },
+              visible: { type: "boolean", description: "First match must be visible" },
+            },
+            required: ["selector"],
+            additionalProperties: false,
+          },
+        },
+        allowConsoleErrors: { type: "boolean", description: "Do not fail on client-side errors (default false)" },
+      },
+      required: ["assertions"],
+      additionalProperties: false,
+    },
+    handler: (args) => assert_page(args),
+    updateState: (state, result, args) => {
+      state.addVerificationCheck({ path: args.url || args.path || "/", success: result.success });
+    },
+  },
+];
+
 // ================================================================
 // EXPORTS
 // ================================================================
 
 module.exports = {
   initialize,
-  verify_url
+  descriptors,
+  SCREENSHOT_DIR,
+  capturePage,
+  requireBrowserPackage,
+  verify_url,
+  take_screenshot,
+  extract_page_content,
+  assert_page,
 };
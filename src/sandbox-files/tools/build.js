@@ -2,13 +2,58 @@
  * BUILD TOOLS
  * 
  * Build validation for portfolio maintenance agent.
- * These wrap common npm commands safely.
+ * These wrap the project's package manager commands safely.
+ * 
+ * PACKAGE MANAGER:
+ * Detected from the packageManager field in package.json, then from the
+ * lockfile (pnpm-lock.yaml, yarn.lock, bun.lockb / bun.lock,
+ * package-lock.json); npm when there is neither. Installs use the
+ * manager's frozen-lockfile mode when a lockfile exists and scripts run
+ * through it. pnpm and yarn fall back to corepack and bun to npx when
+ * the binary is not on PATH.
+ * 
+ * DIAGNOSTICS:
+ * Build, lint and type-check output is parsed into { file, line, column,
+ * code, message, severity, snippet } entries (diagnostics.js).
+ * 
+ * TYPE CHECK:
+ * run_typecheck is the fast check for intermediate iterations: tsc (or
+ * vue-tsc) --noEmit with incremental build info kept outside the repo,
+ * or the project's typecheck script. Timeouts are set per run through
+ * configure() (agent/validation.js).
+ * 
+ * Commands run through the async runner (jobs.js), so their output is
+ * streamed while they run and kept up to the timeout.
  */
 
-const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jobs = require("./jobs.js");
+const { parseDiagnostics, formatDiagnostic } = require("./diagnostics.js");
 
 let PROJECT_ROOT = "/vercel/sandbox";
 
+// Raw output kept in tool results (start and end when longer)
+const MAX_OUTPUT_CHARS = 4000;
+
+// Per-command timeouts (ms), overridable per run with configure()
+const TIMEOUTS = {
+  build: 120000,
+  lint: 60000,
+  typecheck: 90000,
+};
+
+// Incremental type-check state, outside the repo so it never shows up in git
+// (one file per checked tsconfig: agent-typecheck[-<config>].tsbuildinfo)
+const TSBUILDINFO_DIR = os.tmpdir();
+
+// package.json scripts that are a type check, in preference order
+const TYPECHECK_SCRIPTS = ["typecheck", "type-check", "check-types", "tsc"];
+
+// Resolved command per manager (e.g. ["corepack", "pnpm"]), null if unavailable
+const COMMANDS = {};
+
 /**
  * Initialize build tools with project root
  */
@@ -17,60 +62,191 @@ function initialize(root) {
 }
 
 /**
- * Execute npm command safely
+ * Override timeouts for this run: { build, lint, typecheck } in ms
+ */
+function configure({ timeouts = {} } = {}) {
+  for (const [name, ms] of Object.entries(timeouts)) {
+    if (name in TIMEOUTS && Number.isFinite(ms) && ms > 0) TIMEOUTS[name] = ms;
+  }
+}
+
+// ================================================================
+// PACKAGE MANAGER
+// ================================================================
+
+const LOCKFILES = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["package-lock.json", "npm"],
+];
+
+/**
+ * Install arguments per manager: frozen (lockfile present) and plain
+ */
+const INSTALL_ARGS = {
+  npm: {
+    frozen: ["ci", "--no-audit", "--no-fund", "--prefer-offline"],
+    plain: ["install", "--no-audit", "--no-fund", "--prefer-offline"],
+  },
+  pnpm: {
+    frozen: ["install", "--frozen-lockfile", "--prefer-offline"],
+    plain: ["install", "--prefer-offline"],
+  },
+  yarn: {
+    frozen: ["install", "--frozen-lockfile", "--prefer-offline"],
+    plain: ["install", "--prefer-offline"],
+  },
+  // Yarn 2+ (berry) replaced --frozen-lockfile with --immutable
+  "yarn-berry": {
+    frozen: ["install", "--immutable"],
+    plain: ["install"],
+  },
+  bun: {
+    frozen: ["install", "--frozen-lockfile"],
+    plain: ["install"],
+  },
+};
+
+// Tried in order when the manager's own binary is missing
+// spec: "pnpm" or "pnpm@9.12.0" (packageManager version, when declared)
+const FALLBACK_COMMANDS = {
+  npm: () => [["npm"]],
+  pnpm: (spec) => [["pnpm"], ["corepack", "pnpm"], ["npx", "--yes", spec]],
+  yarn: (spec) => [["yarn"], ["corepack", "yarn"], ["npx", "--yes", spec]],
+  bun: (spec) => [["bun"], ["npx", "--yes", spec]],
+};
+
+/**
+ * Detect the project's package manager
+ * Returns { name, version, source, lockfile, berry }
+ */
+function detectPackageManager(root = PROJECT_ROOT) {
+  const lockfile = LOCKFILES.find(([file]) => fs.existsSync(path.join(root, file)));
+
+  let declared = null;
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+    const match = typeof pkg.packageManager === "string" && pkg.packageManager.match(/^(npm|pnpm|yarn|bun)@(\d[^+\s]*)/);
+    if (match) declared = { name: match[1], version: match[2] };
+  } catch {
+    // No or invalid package.json - lockfile decides
+  }
+
+  const name = declared?.name || lockfile?.[1] || "npm";
+  const version = declared?.version || null;
+  const berry = name === "yarn" && (Number.parseInt(version, 10) >= 2 || fs.existsSync(path.join(root, ".yarnrc.yml")));
+
+  return {
+    name,
+    version,
+    source: declared ? "package.json packageManager" : lockfile ? lockfile[0] : "default",
+    // Only a lockfile written by this manager can be installed frozen
+    lockfile: lockfile && lockfile[1] === name ? lockfile[0] : null,
+    berry,
+  };
+}
+
+/**
+ * Find a working command for a manager: its binary, else corepack / npx
  */
-function execNpm(args, options = {}) {
-  console.log(`[BUILD] npm ${args.join(" ")}`);
+async function resolveCommand(name, version) {
+  const spec = version ? `${name}@${version}` : name;
+  if (!(spec in COMMANDS)) {
+    COMMANDS[spec] = null;
+    for (const [cmd, ...prefix] of FALLBACK_COMMANDS[name](spec)) {
+      const probe = await jobs.run(cmd, [...prefix, "--version"], {
+        cwd: PROJECT_ROOT,
+        timeout: 60000,
+        env: { COREPACK_ENABLE_DOWNLOAD_PROMPT: "0" },
+      });
+      if (probe.exitCode === 0) {
+        COMMANDS[spec] = [cmd, ...prefix];
+        break;
+      }
+    }
+  }
+  return COMMANDS[spec];
+}
+
+/**
+ * Detected manager plus the command used to run it
+ * Falls back to npm (fallback: original name) when the manager cannot be run.
+ */
+async function getPackageManager() {
+  const detected = detectPackageManager();
+  const command = await resolveCommand(detected.name, detected.version);
+  if (command) {
+    return { ...detected, command };
+  }
+  console.log(`[BUILD] ${detected.name} is not available - falling back to npm`);
+  return { name: "npm", version: null, source: detected.source, lockfile: null, berry: false, command: ["npm"], fallback: detected.name };
+}
+
+/**
+ * Execute a package manager command safely
+ * Resolves to the runner result: { exitCode, stdout, stderr, timedOut, ... }
+ */
+function execPackageManager(pm, args, options = {}) {
+  const [cmd, ...prefix] = pm.command;
+  console.log(`[BUILD] ${pm.command.join(" ")} ${args.join(" ")}`);
   
-  const result = spawnSync("npm", args, {
+  return jobs.run(cmd, [...prefix, ...args], {
     cwd: PROJECT_ROOT,
-    encoding: "utf8",
     timeout: 120000, // 2 minute timeout for builds
-    maxBuffer: 5 * 1024 * 1024, // 5MB for build output
     ...options,
+    env: { COREPACK_ENABLE_DOWNLOAD_PROMPT: "0", ...options.env },
   });
-  
-  const exitCode = result.status ?? -1;
-  const stdout = result.stdout || "";
-  const stderr = result.stderr || "";
-  
-  return { exitCode, stdout, stderr };
+}
+
+/**
+ * Command line for a package.json script, e.g. ["pnpm", "run", "dev"]
+ */
+async function scriptCommand(script) {
+  const pm = await getPackageManager();
+  return { pm, command: [...pm.command, "run", script] };
+}
+
+/**
+ * Whether package.json defines a build script (read each time - the agent
+ * can add one)
+ */
+function hasBuildScript() {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, "package.json"), "utf8"));
+    return Boolean(pkg.scripts?.build);
+  } catch {
+    return false;
+  }
 }
 
 /**
  * TOOL: npm_install
- * Install project dependencies (optimized for speed)
+ * Install project dependencies with the detected package manager
+ * (frozen lockfile when the manager's lockfile exists)
  */
-function npm_install() {
+async function npm_install() {
   console.log(`[TOOL:npm_install]`);
   
   try {
-    // Use npm ci for faster, cleaner installs when package-lock.json exists
-    // --no-audit skips security audit (saves ~10s)
-    // --no-fund skips funding messages
-    // --prefer-offline uses cache when possible
-    const fs = require("fs");
-    const path = require("path");
-    
-    const hasLockFile = fs.existsSync(path.join(PROJECT_ROOT, "package-lock.json"));
-    
-    let result;
-    if (hasLockFile) {
-      // Fast path: use npm ci
-      result = execNpm(["ci", "--no-audit", "--no-fund", "--prefer-offline"]);
-    } else {
-      // Fallback: npm install with optimizations
-      result = execNpm(["install", "--no-audit", "--no-fund", "--prefer-offline"]);
-    }
+    // --no-audit / --no-fund (npm) skip the audit and funding messages (saves ~10s),
+    // --prefer-offline uses the cache when possible
+    const pm = await getPackageManager();
+    const args = INSTALL_ARGS[pm.berry ? "yarn-berry" : pm.name];
+    const frozen = Boolean(pm.lockfile);
+    const result = await execPackageManager(pm, frozen ? args.frozen : args.plain);
+    const packageManager = describePackageManager(pm);
     
     if (result.exitCode !== 0) {
       return {
         success: false,
-        error: `npm install failed`,
+        error: `${pm.name} install failed`,
         data: {
+          packageManager,
           exitCode: result.exitCode,
-          stderr: result.stderr,
-          stdout: result.stdout,
+          stderr: jobs.clipOutput(result.stderr, MAX_OUTPUT_CHARS),
+          stdout: jobs.clipOutput(result.stdout, MAX_OUTPUT_CHARS),
         },
       };
     }
@@ -78,8 +254,9 @@ function npm_install() {
     return {
       success: true,
       data: {
-        message: "Dependencies installed successfully",
-        stdout: result.stdout.substring(0, 1000),
+        message: `Dependencies installed with ${pm.name}${frozen ? ` (frozen ${pm.lockfile})` : ""}`,
+        packageManager,
+        stdout: jobs.clipOutput(result.stdout, 1000),
       },
     };
   } catch (err) {
@@ -87,18 +264,33 @@ function npm_install() {
   }
 }
 
+/**
+ * Package manager details reported in tool results
+ */
+function describePackageManager(pm) {
+  return {
+    name: pm.name,
+    version: pm.version,
+    source: pm.source,
+    lockfile: pm.lockfile,
+    command: pm.command.join(" "),
+    ...(pm.fallback ? { fallbackFrom: pm.fallback } : {}),
+  };
+}
+
 /**
  * TOOL: run_build
- * Run npm build command (optimized with telemetry disabled)
+ * Run the build script (optimized with telemetry disabled)
  */
-function run_build() {
+async function run_build() {
   console.log(`[TOOL:run_build]`);
   
   try {
+    const pm = await getPackageManager();
     // Disable Next.js telemetry for faster builds
-    const result = execNpm(["run", "build"], {
+    const result = await execPackageManager(pm, ["run", "build"], {
+      timeout: TIMEOUTS.build,
       env: { 
-        ...process.env, 
         NEXT_TELEMETRY_DISABLED: "1",
         CI: "true" // Enables CI mode optimizations
       }
@@ -106,28 +298,24 @@ function run_build() {
     
     const success = result.exitCode === 0;
     
-    // Parse build errors if failed
-    let errors = [];
-    if (!success) {
-      // Look for common error patterns
-      const errorLines = (result.stderr + result.stdout)
-        .split("\n")
-        .filter((line) => 
-          line.includes("Error:") || 
-          line.includes("error ") ||
-          line.includes("failed")
-        );
-      errors = errorLines.slice(0, 10);
-    }
+    // Structured diagnostics (file, line, code, message, snippet) if failed
+    const parsed = success ? { diagnostics: [], total: 0 } : parseDiagnostics(`${result.stdout}\n${result.stderr}`, PROJECT_ROOT);
     
     return {
       success,
       data: {
         exitCode: result.exitCode,
-        stdout: result.stdout.substring(0, 2000),
-        stderr: result.stderr.substring(0, 2000),
-        errors,
-        summary: success ? "Build succeeded" : "Build failed",
+        diagnostics: parsed.diagnostics,
+        ...(parsed.total > parsed.diagnostics.length ? { diagnosticsTotal: parsed.total } : {}),
+        errors: parsed.diagnostics.filter((d) => d.severity === "error").map(formatDiagnostic),
+        stdout: jobs.clipOutput(result.stdout, MAX_OUTPUT_CHARS),
+        stderr: jobs.clipOutput(result.stderr, MAX_OUTPUT_CHARS),
+        packageManager: pm.name,
+        summary: success
+          ? "Build succeeded"
+          : result.timedOut
+            ? `Build timed out after ${TIMEOUTS.build / 1000}s - use run_typecheck while iterating`
+            : `Build failed${parsed.total > 0 ? ` (${parsed.total} diagnostic${parsed.total === 1 ? "" : "s"})` : ""}`,
       },
     };
   } catch (err) {
@@ -139,19 +327,181 @@ function run_build() {
  * TOOL: run_lint
  * Run linter if configured
  */
-function run_lint() {
+async function run_lint() {
   console.log(`[TOOL:run_lint]`);
   
   try {
-    const result = execNpm(["run", "lint"], { timeout: 60000 });
+    const pm = await getPackageManager();
+    const result = await execPackageManager(pm, ["run", "lint"], { timeout: TIMEOUTS.lint });
+    const success = result.exitCode === 0;
+    // Warnings are worth reporting even when lint passes
+    const parsed = parseDiagnostics(`${result.stdout}\n${result.stderr}`, PROJECT_ROOT);
+    const diagnostics = parsed.diagnostics.filter((d) => d.file || !success);
     
     return {
-      success: result.exitCode === 0,
+      success,
       data: {
+        packageManager: pm.name,
         exitCode: result.exitCode,
-        stdout: result.stdout.substring(0, 2000),
-        stderr: result.stderr.substring(0, 2000),
-        summary: result.exitCode === 0 ? "Lint passed" : "Lint failed",
+        diagnostics,
+        stdout: jobs.clipOutput(result.stdout, MAX_OUTPUT_CHARS),
+        stderr: jobs.clipOutput(result.stderr, MAX_OUTPUT_CHARS),
+        summary: success ? "Lint passed" : "Lint failed",
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * tsconfig allows comments and trailing commas
+ */
+function readJsonc(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, "utf8")
+      .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || "")
+      .replace(/,(\s*[}\]])/g, "$1");
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function tsBuildInfoFile(config) {
+  const suffix = config === "tsconfig.json" ? "" : `-${config.replace(/\.json$/, "").replace(/[^\w.-]+/g, "_")}`;
+  return path.join(TSBUILDINFO_DIR, `agent-typecheck${suffix}.tsbuildinfo`);
+}
+
+/**
+ * The tsconfig files to check, relative to the project root
+ * A solution-style tsconfig ("files": [] plus "references", as in the Vite
+ * templates) checks nothing itself - its referenced configs are checked
+ * instead. Returns [] when none of them exists.
+ */
+function typecheckConfigs() {
+  const root = readJsonc(path.join(PROJECT_ROOT, "tsconfig.json"));
+  const references = Array.isArray(root?.references) ? root.references : [];
+  if (references.length === 0) return ["tsconfig.json"];
+
+  const configs = references
+    .map((reference) => {
+      const target = path.resolve(PROJECT_ROOT, String(reference?.path || ""));
+      const file = target.endsWith(".json") ? target : path.join(target, "tsconfig.json");
+      return path.relative(PROJECT_ROOT, file);
+    })
+    .filter((config) => !config.startsWith("..") && fs.existsSync(path.join(PROJECT_ROOT, config)));
+  const ownFiles = (Array.isArray(root.files) && root.files.length > 0) || root.include !== undefined;
+  return ownFiles ? ["tsconfig.json", ...configs] : configs;
+}
+
+/**
+ * Pick the type checker: vue-tsc for Vue, tsc when there is a tsconfig,
+ * else a typecheck script. Returns null when the project has none.
+ */
+function resolveTypeChecker() {
+  const bin = (name) => path.join(PROJECT_ROOT, "node_modules", ".bin", name);
+  let pkg = {};
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, "package.json"), "utf8"));
+  } catch {
+    // No package.json - only a bare tsconfig can be checked
+  }
+  const dependencies = { ...pkg.devDependencies, ...pkg.dependencies };
+  const hasTsconfig = fs.existsSync(path.join(PROJECT_ROOT, "tsconfig.json"));
+  const configs = hasTsconfig ? typecheckConfigs() : [];
+
+  if (hasTsconfig && dependencies.vue && fs.existsSync(bin("vue-tsc"))) {
+    return { name: "vue-tsc", bin: bin("vue-tsc"), configs, incremental: true };
+  }
+  if (hasTsconfig && fs.existsSync(bin("tsc"))) {
+    return { name: "tsc", bin: bin("tsc"), configs, incremental: true };
+  }
+  const script = TYPECHECK_SCRIPTS.find((name) => pkg.scripts?.[name]);
+  if (script) {
+    return { name: `${script} script`, script, incremental: false };
+  }
+  return null;
+}
+
+/**
+ * TOOL: run_typecheck
+ * Fast validation: type-check without building (incremental)
+ */
+async function run_typecheck() {
+  console.log(`[TOOL:run_typecheck]`);
+  
+  try {
+    const checker = resolveTypeChecker();
+    if (!checker) {
+      return {
+        success: false,
+        error: "No type checker found (no tsconfig.json with typescript installed, no typecheck script) - use run_build to validate",
+      };
+    }
+    if (checker.configs && checker.configs.length === 0) {
+      return {
+        success: false,
+        error: "Type checking unavailable: tsconfig.json only has references and none of the referenced configs exists - use run_build to validate",
+      };
+    }
+    
+    const warm = checker.incremental && checker.configs.every((config) => fs.existsSync(tsBuildInfoFile(config)));
+    const startedAt = Date.now();
+    let result;
+    let command;
+    if (checker.script) {
+      const pm = await getPackageManager();
+      command = `${pm.command.join(" ")} run ${checker.script}`;
+      result = await execPackageManager(pm, ["run", checker.script], { timeout: TIMEOUTS.typecheck });
+    } else {
+      // One run per config; the first failure's result is reported, all output is kept
+      const commands = [];
+      const outputs = { stdout: [], stderr: [] };
+      for (const config of checker.configs) {
+        const args = ["--noEmit", "-p", config, "--incremental", "--tsBuildInfoFile", tsBuildInfoFile(config), "--pretty", "false"];
+        const label = `${checker.name} ${args.join(" ")}`;
+        commands.push(label);
+        console.log(`[BUILD] ${label}`);
+        const run = await jobs.run(checker.bin, args, {
+          cwd: PROJECT_ROOT,
+          timeout: Math.max(1000, TIMEOUTS.typecheck - (Date.now() - startedAt)),
+          label,
+        });
+        outputs.stdout.push(run.stdout);
+        outputs.stderr.push(run.stderr);
+        if (!result || (result.exitCode === 0 && run.exitCode !== 0)) result = run;
+        if (run.timedOut) {
+          result = run;
+          break;
+        }
+      }
+      command = commands.join(" && ");
+      result = { ...result, stdout: outputs.stdout.filter(Boolean).join("\n"), stderr: outputs.stderr.filter(Boolean).join("\n") };
+    }
+    const durationMs = Date.now() - startedAt;
+    
+    const success = result.exitCode === 0;
+    const parsed = success ? { diagnostics: [], total: 0 } : parseDiagnostics(`${result.stdout}\n${result.stderr}`, PROJECT_ROOT);
+    
+    return {
+      success,
+      data: {
+        checker: checker.name,
+        ...(checker.configs ? { configs: checker.configs } : {}),
+        command,
+        incremental: warm,
+        exitCode: result.exitCode,
+        durationMs,
+        diagnostics: parsed.diagnostics,
+        ...(parsed.total > parsed.diagnostics.length ? { diagnosticsTotal: parsed.total } : {}),
+        errors: parsed.diagnostics.filter((d) => d.severity === "error").map(formatDiagnostic),
+        ...(success ? {} : { stdout: jobs.clipOutput(result.stdout, MAX_OUTPUT_CHARS), stderr: jobs.clipOutput(result.stderr, MAX_OUTPUT_CHARS) }),
+        summary: success
+          ? `Type check passed in ${(durationMs / 1000).toFixed(1)}s`
+          : result.timedOut
+            ? `Type check timed out after ${TIMEOUTS.typecheck / 1000}s`
+            : `Type check failed (${parsed.total} error${parsed.total === 1 ? "" : "s"})`,
       },
     };
   } catch (err) {
@@ -166,9 +516,6 @@ function run_lint() {
 function check_build_output() {
   console.log(`[TOOL:check_build_output]`);
   
-  const fs = require("fs");
-  const path = require("path");
-  
   try {
     // Common build output directories
     const buildDirs = [".next", "dist", "build", "out"];
@@ -201,10 +548,76 @@ function check_build_output() {
   }
 }
 
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const NO_ARGS = { type: "object", properties: {}, additionalProperties: false };
+
+const descriptors = [
+  {
+    name: "npm_install",
+    label: "Install dependencies",
+    description: "Install dependencies with the project's package manager (npm, pnpm, yarn or bun - detected from packageManager and the lockfile).",
+    sideEffect: "execute",
+    parameters: NO_ARGS,
+    handler: () => npm_install(),
+    updateState: (state, result) => {
+      if (result.data?.packageManager) state.setPackageManager(result.data.packageManager);
+    },
+  },
+  {
+    name: "run_build",
+    label: "Build",
+    description: "Run the build script through the project's package manager (primary verification). On failure returns diagnostics with file, line, column, error code, message and a source snippet.",
+    sideEffect: "execute",
+    parameters: NO_ARGS,
+    handler: () => run_build(),
+    updateState: (state, result) => {
+      state.setBuildStatus(result.success, result.data?.errors || [], result.data?.stdout);
+    },
+  },
+  {
+    name: "run_typecheck",
+    label: "Type check",
+    description: "Fast validation while iterating: type-check the project without building (tsc/vue-tsc --noEmit, incremental, or the typecheck script). Returns diagnostics like run_build. Not a substitute for run_build before committing.",
+    sideEffect: "execute",
+    parameters: NO_ARGS,
+    handler: () => run_typecheck(),
+    updateState: (state, result) => {
+      state.setTypecheckStatus(result.success, result.data?.errors || []);
+    },
+  },
+  {
+    name: "run_lint",
+    label: "Lint",
+    description: "Run the lint script through the project's package manager. Returns diagnostics with file, line, rule and message.",
+    sideEffect: "execute",
+    parameters: NO_ARGS,
+    handler: () => run_lint(),
+  },
+  {
+    name: "check_build_output",
+    label: "Check build output",
+    description: "Check that a build output directory exists.",
+    sideEffect: "read",
+    parameters: NO_ARGS,
+    handler: () => check_build_output(),
+  },
+];
+
 module.exports = {
   initialize,
+  configure,
+  descriptors,
+  detectPackageManager,
+  getPackageManager,
+  scriptCommand,
+  hasBuildScript,
   npm_install,
   run_build,
+  run_typecheck,
   run_lint,
   check_build_output,
+  readJsonc,
 };
@@ -0,0 +1,356 @@
+/**
+ * COMMAND POLICY
+ *
+ * Argument-level rules for run_command, declared in command-policy.json.
+ * Checking only the command name let `node -e`, `npx <anything>`,
+ * `find -delete`, `git push --force` and `env` through; every argument
+ * is checked now.
+ *
+ * POLICY FILE:
+ * - blocked: commands that are never allowed - { use?: tool, reason?: text }
+ * - commands: allowed commands and their rules; anything else is denied
+ *
+ * RULE (all fields optional):
+ * - subcommands: { name: rule | "alias" } - the first argument must be one of
+ *   them and its rule checks the remaining arguments
+ * - alternatives: { subcommand: tool | null } - refused subcommands, with the tool to use
+ * - delegate: command whose rule checks the remaining arguments (corepack pnpm ...)
+ * - deniedFlags: refused flags - also matched as --flag=value, abbreviated (--glob),
+ *   dotted (--config.registry), npm-scoped (--@scope:registry) and inside -abc clusters
+ * - valueFlags: flags that take a value (the next argument is not a positional)
+ * - pathFlags: flags whose value is a path
+ * - pathArgs: "all" | "leading" | "first" - positionals that are paths
+ *   ("leading": up to the first flag after a positional, like find's paths)
+ * - patternFlags: without one of these flags the first positional is a pattern, not a path (grep)
+ * - localBinary: the first positional must be installed in node_modules/.bin (npx)
+ * - passThrough: arguments after the first positional belong to the program and are not checked
+ * - noPositionals: only flags are allowed (npm install from the lockfile, git branch listing)
+ * - description: shown in the run_command tool description
+ *
+ * Paths must resolve inside the project root (filesystem.safePath), also
+ * after following symlinks.
+ *
+ * AUDIT:
+ * Every decision is logged ([POLICY]), appended as a JSON line to
+ * AUDIT_LOG_FILE and passed to the decision listener (agent/index.js
+ * emits it as a "command_policy" event).
+ *
+ * The policy keeps the model from running destructive or secret-leaking
+ * commands by mistake or when steered by file contents. It is not a
+ * sandbox - isolation comes from the sandbox VM.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const filesystem = require("./filesystem.js");
+
+const POLICY_FILE = path.join(__dirname, "command-policy.json");
+const AUDIT_LOG_FILE = process.env.AGENT_COMMAND_AUDIT_LOG || path.join(os.tmpdir(), "agent-command-audit.jsonl");
+
+const RULE_FIELDS = [
+  "description",
+  "subcommands",
+  "alternatives",
+  "delegate",
+  "deniedFlags",
+  "valueFlags",
+  "pathFlags",
+  "pathArgs",
+  "patternFlags",
+  "localBinary",
+  "passThrough",
+  "noPositionals",
+];
+const PATH_ARGS = ["all", "leading", "first"];
+
+// --@scope:<key> - npm config for one package scope
+const SCOPED_CONFIG_FLAG = /^--@[^:]+:(.+)$/;
+
+let PROJECT_ROOT = "/vercel/sandbox";
+
+// Receives every decision (see checkCommand)
+let decisionListener = null;
+
+/**
+ * Initialize the policy with project root
+ */
+function initialize(root) {
+  PROJECT_ROOT = root;
+}
+
+/**
+ * Set the function that receives each allow/deny decision (null to stop)
+ */
+function setDecisionListener(listener) {
+  decisionListener = listener;
+}
+
+// ================================================================
+// POLICY FILE
+// ================================================================
+
+/**
+ * Check a rule's fields, recursing into subcommands
+ * Throws on unknown fields, bad aliases and unknown delegates so a typo
+ * in the policy fails at startup instead of silently allowing a command.
+ */
+function validateRule(rule, label, commands) {
+  for (const field of Object.keys(rule)) {
+    if (!RULE_FIELDS.includes(field)) {
+      throw new Error(`Command policy: unknown field "${field}" in ${label}`);
+    }
+  }
+  if (rule.pathArgs !== undefined && !PATH_ARGS.includes(rule.pathArgs)) {
+    throw new Error(`Command policy: ${label} pathArgs must be one of ${PATH_ARGS.join(", ")}`);
+  }
+  if (rule.delegate !== undefined && !commands[rule.delegate]) {
+    throw new Error(`Command policy: ${label} delegates to unknown command "${rule.delegate}"`);
+  }
+  for (const [name, subRule] of Object.entries(rule.subcommands || {})) {
+    if (typeof subRule === "string") {
+      if (typeof rule.subcommands[subRule] !== "object") {
+        throw new Error(`Command policy: ${label} ${name} is an alias of unknown subcommand "${subRule}"`);
+      }
+    } else {
+      validateRule(subRule, `${label} ${name}`, commands);
+    }
+  }
+}
+
+function loadPolicy(file) {
+  const policy = JSON.parse(fs.readFileSync(file, "utf8"));
+  const commands = policy.commands || {};
+  for (const [name, rule] of Object.entries(commands)) {
+    validateRule(rule, name, commands);
+  }
+  return { blocked: policy.blocked || {}, commands };
+}
+
+const POLICY = loadPolicy(POLICY_FILE);
+
+// ================================================================
+// CHECKS
+// ================================================================
+
+function deny(reason, rule) {
+  return { allowed: false, reason, rule };
+}
+
+/**
+ * Whether a path argument stays inside the project (after symlinks)
+ * Returns an error message, or null when the path is fine.
+ */
+function checkPath(value) {
+  const safe = filesystem.safePath(value);
+  if (!safe.valid) return safe.error;
+  try {
+    const real = fs.realpathSync(safe.path);
+    const root = fs.realpathSync(PROJECT_ROOT);
+    if (real !== root && !real.startsWith(root + path.sep)) {
+      return `Path escapes project root through a symlink: ${value}`;
+    }
+  } catch {
+    // Does not exist (yet) - nothing to follow
+  }
+  return null;
+}
+
+/**
+ * Check arguments against a rule
+ * label: command (and subcommands) the rule belongs to, e.g. "npm install"
+ */
+function checkArgs(rule, args, label) {
+  if (rule.delegate) {
+    return checkArgs(POLICY.commands[rule.delegate], args, `${label} (${rule.delegate})`);
+  }
+
+  if (rule.subcommands) {
+    const [sub, ...rest] = args;
+    const allowed = Object.keys(rule.subcommands).join(", ");
+    if (sub === undefined) {
+      return deny(`${label} needs a subcommand (allowed: ${allowed})`, label);
+    }
+    if (rule.alternatives && Object.hasOwn(rule.alternatives, sub)) {
+      const use = rule.alternatives[sub];
+      return deny(`${label} ${sub} is not allowed${use ? ` - use ${use} instead` : ""}`, label);
+    }
+    let subRule = Object.hasOwn(rule.subcommands, sub) ? rule.subcommands[sub] : null;
+    if (typeof subRule === "string") subRule = rule.subcommands[subRule];
+    if (!subRule) {
+      return deny(`${label} ${sub} is not allowed (allowed: ${allowed})`, label);
+    }
+    return checkArgs(subRule, rest, `${label} ${sub}`);
+  }
+
+  const has = (list, flag) => (list || []).includes(flag);
+  // Long options may be abbreviated (npm, git): --glob is --global;
+  // pnpm sets single config keys with --config.<key>=<value>
+  const isDeniedLong = (flag) => has(rule.deniedFlags, flag)
+    || (flag.startsWith("--") && (rule.deniedFlags || []).some((denied) => denied.startsWith("--")
+      && ((flag.length > 3 && denied.startsWith(flag)) || flag.startsWith(`${denied}.`))));
+  // npm scoped config: --@scope:registry is --registry for that scope
+  const isDenied = (flag) => {
+    const scoped = flag.match(SCOPED_CONFIG_FLAG);
+    return isDeniedLong(flag) || (scoped !== null && isDeniedLong(`--${scoped[1]}`));
+  };
+  const takesValue = (flag) => has(rule.valueFlags, flag) || has(rule.pathFlags, flag);
+  const positionals = [];
+  const paths = [];
+  // Set by the first flag after a positional - find's expression starts there
+  let expressionStarted = false;
+  let patternGiven = false;
+
+  // A flag that was matched: record its value and whether it names a path
+  const useFlag = (flag, inlineValue, index) => {
+    if (has(rule.patternFlags, flag)) patternGiven = true;
+    if (!takesValue(flag)) return index;
+    const value = inlineValue !== undefined ? inlineValue : args[index + 1];
+    if (has(rule.pathFlags, flag) && value !== undefined) paths.push(value);
+    return inlineValue !== undefined ? index : index + 1;
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (rule.passThrough && positionals.length > 0) break;
+
+    if (arg === "--") {
+      const rest = args.slice(i + 1);
+      positionals.push(...(rule.passThrough ? rest.slice(0, 1) : rest).map((value) => ({ value, leading: !expressionStarted })));
+      break;
+    }
+
+    if (arg.startsWith("--")) {
+      if (positionals.length > 0) expressionStarted = true;
+      const eq = arg.indexOf("=");
+      const flag = eq === -1 ? arg : arg.slice(0, eq);
+      if (isDenied(flag)) {
+        return deny(`${label}: ${flag} is not allowed`, label);
+      }
+      i = useFlag(flag, eq === -1 ? undefined : arg.slice(eq + 1), i);
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      if (positionals.length > 0) expressionStarted = true;
+      if (has(rule.deniedFlags, arg)) {
+        return deny(`${label}: ${arg} is not allowed`, label);
+      }
+      if (takesValue(arg) || has(rule.patternFlags, arg)) {
+        i = useFlag(arg, undefined, i);
+        continue;
+      }
+      // Cluster of short flags (-rf, -pe); a flag that takes a value ends it
+      for (let j = 1; j < arg.length; j++) {
+        const flag = `-${arg[j]}`;
+        if (has(rule.deniedFlags, flag)) {
+          return deny(`${label}: ${flag} (in ${arg}) is not allowed`, label);
+        }
+        if (takesValue(flag) || has(rule.patternFlags, flag)) {
+          const rest = arg.slice(j + 1);
+          i = useFlag(flag, rest || undefined, i);
+          break;
+        }
+      }
+    } else {
+      positionals.push({ value: arg, leading: !expressionStarted });
+    }
+  }
+
+  if (rule.noPositionals && positionals.length > 0) {
+    return deny(`${label} takes only flags - ${positionals[0].value} is not allowed`, label);
+  }
+
+  if (rule.localBinary) {
+    const binary = positionals[0]?.value;
+    if (!binary) {
+      return deny(`${label} needs the name of an installed binary`, label);
+    }
+    if (binary.includes("/") || !fs.existsSync(path.join(PROJECT_ROOT, "node_modules", ".bin", binary))) {
+      return deny(`${label} ${binary}: not installed in node_modules/.bin - ${label} only runs local binaries`, label);
+    }
+  }
+
+  if (rule.pathArgs) {
+    let candidates = positionals;
+    if (rule.patternFlags && !patternGiven) candidates = candidates.slice(1);
+    if (rule.pathArgs === "first") candidates = candidates.slice(0, 1);
+    if (rule.pathArgs === "leading") candidates = candidates.filter((positional) => positional.leading);
+    paths.push(...candidates.map((positional) => positional.value));
+  }
+
+  for (const value of paths) {
+    const error = checkPath(value);
+    if (error) return deny(`${label}: ${error}`, label);
+  }
+
+  return { allowed: true, reason: null, rule: label };
+}
+
+/**
+ * Record a decision: console, audit log file and listener
+ */
+function audit(command, args, decision) {
+  const entry = { ts: Date.now(), command, args, ...decision };
+  console.log(`[POLICY] ${decision.allowed ? "ALLOW" : "DENY"} ${[command, ...args].join(" ")}${decision.reason ? ` - ${decision.reason}` : ""}`);
+  try {
+    fs.appendFileSync(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.log(`[POLICY] Warning: could not write audit log ${AUDIT_LOG_FILE}: ${err.message}`);
+  }
+  if (decisionListener) {
+    try {
+      decisionListener(entry);
+    } catch {
+      // A failing listener must not change the decision
+    }
+  }
+}
+
+/**
+ * Decide whether run_command may run a command with these arguments
+ * Returns { allowed, reason, rule } - rule is the matched command/subcommand.
+ * Every call is audited.
+ */
+function checkCommand(command, args = []) {
+  let decision;
+  const blocked = Object.hasOwn(POLICY.blocked, command) ? POLICY.blocked[command] : null;
+
+  if (command.includes("/")) {
+    decision = deny(`Command '${command}' must be a bare command name`, null);
+  } else if (blocked) {
+    decision = deny(
+      `Command '${command}' is blocked${blocked.reason ? ` - it ${blocked.reason}` : " for security"}${blocked.use ? ` - use the ${blocked.use} tool instead` : ""}`,
+      command
+    );
+  } else if (!Object.hasOwn(POLICY.commands, command)) {
+    decision = deny(`Command '${command}' is not allowed (allowed: ${listCommands().join(", ")})`, null);
+  } else {
+    decision = checkArgs(POLICY.commands[command], args, command);
+  }
+
+  audit(command, args, decision);
+  return decision;
+}
+
+/**
+ * Names of the allowed commands
+ */
+function listCommands() {
+  return Object.keys(POLICY.commands);
+}
+
+/**
+ * Allowed commands with their policy descriptions, for the tool description
+ */
+function describeCommands() {
+  return Object.entries(POLICY.commands)
+    .map(([name, rule]) => (rule.description ? `${name} (${rule.description})` : name))
+    .join(", ");
+}
+
+module.exports = {
+  initialize,
+  setDecisionListener,
+  checkCommand,
+  listCommands,
+  describeCommands,
+  AUDIT_LOG_FILE,
+};
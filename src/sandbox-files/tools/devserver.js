@@ -0,0 +1,515 @@
+/**
+ * DEV SERVER TOOLS
+ *
+ * Dev server lifecycle for verifying changes against a running app.
+ * A passing build proves the code compiles; these tools prove the page
+ * actually renders the new content.
+ *
+ * LIFECYCLE:
+ * 1. start_dev_server: Spawns `<package manager> run <script>` detached on a
+ *    port (package manager from build.js, same as run_build)
+ * 2. Readiness: Resolves when the log matches a ready pattern or the
+ *    root URL answers with a non-5xx status, whichever comes first
+ * 3. check_dev_server: Fetches routes from the running server
+ * 4. stop_dev_server: Kills the whole process group (npm/pnpm/yarn/bun + next/vite)
+ *
+ * PORT: passed as PORT. Servers that ignore it (Vite, Astro) print the
+ * URL they really listen on ("Local: http://localhost:5173/"); that port
+ * replaces the requested one, so checks and browser tools hit the right server.
+ *
+ * The server's stdout/stderr is kept in a rolling log (last MAX_LOG_LINES
+ * lines) for dev_server_logs and for failure diagnostics.
+ *
+ * Only one dev server runs at a time. It is always killed when the agent
+ * process exits, even on crash, so it never outlives the run.
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const build = require("./build.js");
+
+let PROJECT_ROOT = "/vercel/sandbox";
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_SCRIPT = "dev";
+const DEFAULT_READY_TIMEOUT = 60000;
+const STOP_GRACE_MS = 5000;
+const POLL_INTERVAL_MS = 1000;
+const MAX_LOG_LINES = 200;
+
+// Lines printed by Next.js, Vite and most node servers once they accept requests
+const DEFAULT_READY_PATTERN = /ready in|ready -|started server|local:?\s+https?:\/\/|listening on/i;
+
+// "Local: http://localhost:5173/" (Next.js, Vite, Nuxt) or "Local    http://localhost:4321/" (Astro)
+const LOCAL_URL_PATTERN = /local:?\s+https?:\/\/[^\s/:]+:(\d+)/i;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+// The running server (null when stopped)
+let SERVER = null;
+
+/**
+ * Initialize dev server tools with project root
+ */
+function initialize(root) {
+  PROJECT_ROOT = root;
+}
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRunning() {
+  return SERVER !== null && SERVER.exitCode === null;
+}
+
+/**
+ * Append output to the rolling log, one entry per line
+ */
+function appendLog(server, stream, chunk) {
+  const lines = chunk.toString().split("\n").filter((line) => line.trim());
+  for (const line of lines) {
+    server.log.push(`[${stream}] ${line}`);
+    const text = line.replace(ANSI_PATTERN, "");
+    const local = text.match(LOCAL_URL_PATTERN);
+    if (local && !server.reportedPort) {
+      server.reportedPort = true;
+      const port = Number(local[1]);
+      if (port !== server.port) {
+        console.log(`[DEVSERVER] Server listens on port ${port} (requested ${server.port})`);
+        server.port = port;
+      }
+    }
+    if (!server.ready && server.readyPattern.test(text)) {
+      server.ready = "log";
+    }
+  }
+  if (server.log.length > MAX_LOG_LINES) {
+    server.log.splice(0, server.log.length - MAX_LOG_LINES);
+  }
+}
+
+function logTail(lines = 20) {
+  return SERVER ? SERVER.log.slice(-lines) : [];
+}
+
+/**
+ * GET a path on the dev server
+ */
+function request(port, urlPath, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: "127.0.0.1", port, path: urlPath, timeout }, (res) => {
+      let body = "";
+      res.on("data", chunk => body += chunk);
+      res.on("end", () => resolve({ statusCode: res.statusCode, body }));
+    });
+    req.on("error", reject);
+    req.on("timeout", () => {
+      req.destroy();
+      reject(new Error("Request timeout"));
+    });
+  });
+}
+
+/**
+ * Wait until the server is ready (log pattern or HTTP), exits, or times out
+ * Returns "log" | "http" on success, throws otherwise
+ */
+async function waitForReady(urlPath, timeout) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (!isRunning()) {
+      throw new Error(`Dev server exited with code ${SERVER?.exitCode ?? "unknown"}`);
+    }
+    if (SERVER.ready) {
+      return SERVER.ready;
+    }
+    try {
+      const { statusCode } = await request(SERVER.port, urlPath, POLL_INTERVAL_MS);
+      if (statusCode < 500) {
+        SERVER.ready = "http";
+        return SERVER.ready;
+      }
+    } catch {
+      // Not accepting connections yet
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  throw new Error(`Dev server not ready after ${timeout}ms`);
+}
+
+/**
+ * Signal the server's process group (package manager and the server it spawned)
+ * Sent even after the package manager itself exited - its children may still be alive
+ */
+function killGroup(signal) {
+  if (!SERVER) return;
+  try {
+    process.kill(-SERVER.pid, signal);
+  } catch {
+    // Group already gone
+  }
+}
+
+// Never leave a dev server behind, whatever way the agent exits
+process.on("exit", () => killGroup("SIGKILL"));
+
+/**
+ * Current server status, for other tools that talk to the dev server
+ */
+function getStatus() {
+  return { running: isRunning(), port: SERVER?.port ?? null };
+}
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: start_dev_server
+ * Spawn the dev server detached and wait until it is ready
+ */
+async function start_dev_server({
+  port = DEFAULT_PORT,
+  script = DEFAULT_SCRIPT,
+  readyPattern,
+  timeout = DEFAULT_READY_TIMEOUT,
+} = {}) {
+  console.log(`[TOOL:start_dev_server] script="${script}" port=${port}`);
+
+  if (isRunning()) {
+    return {
+      success: false,
+      error: `Dev server already running on port ${SERVER.port} (pid ${SERVER.pid}) - stop it first`,
+    };
+  }
+
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, "package.json"), "utf8"));
+    if (!pkg.scripts?.[script]) {
+      return {
+        success: false,
+        error: `No "${script}" script in package.json`,
+        data: { scripts: Object.keys(pkg.scripts || {}) },
+      };
+    }
+  } catch (err) {
+    return { success: false, error: `Cannot read package.json: ${err.message}` };
+  }
+
+  let pattern = DEFAULT_READY_PATTERN;
+  if (readyPattern) {
+    try {
+      pattern = new RegExp(readyPattern, "i");
+    } catch (err) {
+      return { success: false, error: `Invalid readyPattern: ${err.message}` };
+    }
+  }
+
+  try {
+    // detached: the server gets its own process group so stop can kill the package manager and its child together
+    const { pm, command } = await build.scriptCommand(script);
+    const child = spawn(command[0], command.slice(1), {
+      cwd: PROJECT_ROOT,
+      detached: true,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        COREPACK_ENABLE_DOWNLOAD_PROMPT: "0",
+        PORT: String(port),
+        NEXT_TELEMETRY_DISABLED: "1",
+      },
+    });
+
+    SERVER = {
+      process: child,
+      pid: child.pid,
+      port,
+      script,
+      readyPattern: pattern,
+      reportedPort: false,
+      ready: null,
+      exitCode: null,
+      startedAt: Date.now(),
+      log: [],
+    };
+
+    const server = SERVER;
+    child.stdout.on("data", (chunk) => appendLog(server, "stdout", chunk));
+    child.stderr.on("data", (chunk) => appendLog(server, "stderr", chunk));
+    child.on("exit", (code, signal) => {
+      server.exitCode = code ?? (signal ? `signal ${signal}` : -1);
+      console.log(`[DEVSERVER] Process ${server.pid} exited (${server.exitCode})`);
+    });
+    child.on("error", (err) => {
+      server.exitCode = -1;
+      server.log.push(`[error] ${err.message}`);
+    });
+
+    const readyBy = await waitForReady("/", timeout);
+    const startupMs = Date.now() - SERVER.startedAt;
+    console.log(`[DEVSERVER] Ready on port ${SERVER.port} after ${startupMs}ms (${readyBy})`);
+
+    return {
+      success: true,
+      data: {
+        pid: SERVER.pid,
+        port: SERVER.port,
+        requestedPort: port,
+        url: `http://localhost:${SERVER.port}`,
+        packageManager: pm.name,
+        readyBy,
+        startupMs,
+        log: logTail(10),
+      },
+    };
+  } catch (err) {
+    const log = logTail(30);
+    killGroup("SIGKILL");
+    return {
+      success: false,
+      error: `Dev server failed to start: ${err.message}`,
+      data: { port, exitCode: SERVER?.exitCode ?? null, log },
+    };
+  }
+}
+
+/**
+ * TOOL: wait_for_dev_server
+ * Wait for an already-started server to answer (e.g. after a restart-triggering edit)
+ */
+async function wait_for_dev_server({ path: urlPath = "/", timeout = 30000 } = {}) {
+  console.log(`[TOOL:wait_for_dev_server] path="${urlPath}"`);
+
+  if (!isRunning()) {
+    return { success: false, error: "Dev server is not running", data: { running: false, log: logTail() } };
+  }
+
+  const startedAt = Date.now();
+  const deadline = startedAt + timeout;
+
+  while (Date.now() < deadline) {
+    if (!isRunning()) break;
+    try {
+      const { statusCode } = await request(SERVER.port, urlPath, POLL_INTERVAL_MS * 5);
+      if (statusCode < 500) {
+        return {
+          success: true,
+          data: { running: true, path: urlPath, statusCode, waitedMs: Date.now() - startedAt },
+        };
+      }
+    } catch {
+      // Still compiling or restarting
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  return {
+    success: false,
+    error: isRunning() ? `No response from ${urlPath} after ${timeout}ms` : "Dev server exited",
+    data: { running: isRunning(), log: logTail() },
+  };
+}
+
+/**
+ * TOOL: check_dev_server
+ * Fetch a route from the running server and check status and content
+ */
+async function check_dev_server({ path: urlPath = "/", expectedContent, expectedStatus = 200 } = {}) {
+  console.log(`[TOOL:check_dev_server] path="${urlPath}"`);
+
+  if (!isRunning()) {
+    return { success: false, error: "Dev server is not running", data: { running: false, log: logTail() } };
+  }
+
+  try {
+    // First request to a route compiles it in dev mode - allow for that
+    const { statusCode, body } = await request(SERVER.port, urlPath, 60000);
+    const statusMatch = statusCode === expectedStatus;
+    const contentMatch = expectedContent ? body.includes(expectedContent) : true;
+    const data = {
+      running: true,
+      path: urlPath,
+      statusCode,
+      statusMatch,
+      contentMatch,
+      hasExpectedContent: expectedContent ? contentMatch : "not checked",
+      bodyLength: body.length,
+    };
+
+    if (!statusMatch || !contentMatch) {
+      return {
+        success: false,
+        error: !statusMatch
+          ? `${urlPath} returned ${statusCode} (expected ${expectedStatus})`
+          : `${urlPath} does not contain the expected content`,
+        data: { ...data, log: logTail() },
+      };
+    }
+
+    return { success: true, data };
+  } catch (err) {
+    return { success: false, error: err.message, data: { running: isRunning(), log: logTail() } };
+  }
+}
+
+/**
+ * TOOL: dev_server_logs
+ * Get the tail of the dev server's rolling log
+ */
+function dev_server_logs({ lines = 50 } = {}) {
+  console.log(`[TOOL:dev_server_logs] lines=${lines}`);
+
+  if (!SERVER) {
+    return { success: false, error: "Dev server has not been started" };
+  }
+
+  return {
+    success: true,
+    data: {
+      running: isRunning(),
+      exitCode: SERVER.exitCode,
+      lines: logTail(lines),
+    },
+  };
+}
+
+/**
+ * TOOL: stop_dev_server
+ * Stop the server: SIGTERM to the process group, SIGKILL after a grace period
+ */
+async function stop_dev_server() {
+  console.log(`[TOOL:stop_dev_server]`);
+
+  if (!isRunning()) {
+    SERVER = null;
+    return { success: true, data: { message: "Dev server was not running" } };
+  }
+
+  const { pid, port } = SERVER;
+  killGroup("SIGTERM");
+
+  const deadline = Date.now() + STOP_GRACE_MS;
+  while (isRunning() && Date.now() < deadline) {
+    await sleep(100);
+  }
+
+  const forced = isRunning();
+  killGroup("SIGKILL");
+
+  SERVER = null;
+  return {
+    success: true,
+    data: { pid, port, forced, message: `Dev server on port ${port} stopped` },
+  };
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "start_dev_server",
+    label: "Start dev server",
+    description: "Start the dev server (<package manager> run <script>) in the background and wait until it is ready.",
+    sideEffect: "execute",
+    parameters: {
+      type: "object",
+      properties: {
+        port: { type: "integer", minimum: 1024, maximum: 65535, description: "Port (default 3000, passed as PORT). Servers that ignore PORT keep their own; the result reports the port the server actually uses" },
+        script: { type: "string", minLength: 1, description: "package.json script to run (default \"dev\")" },
+        readyPattern: { type: "string", minLength: 1, description: "Regex matched against the server log that signals readiness" },
+        timeout: { type: "integer", minimum: 1000, maximum: 300000, description: "Readiness timeout in ms (default 60000)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => start_dev_server(args),
+    updateState: (state, result) => {
+      if (result.success) state.setDevServerStatus(true, result.data.port, result.data.pid);
+    },
+  },
+  {
+    name: "wait_for_dev_server",
+    label: "Wait for dev server",
+    description: "Wait until the running dev server answers a route again (e.g. after an edit triggers a restart).",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "Route to poll (default \"/\")" },
+        timeout: { type: "integer", minimum: 1000, maximum: 300000, description: "Timeout in ms (default 30000)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => wait_for_dev_server(args),
+    updateState: (state, result) => {
+      if (result.data?.running === false) state.setDevServerStatus(false);
+    },
+  },
+  {
+    name: "check_dev_server",
+    label: "Check route",
+    description: "Fetch a route from the running dev server and check its status code and content.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "Route to fetch (default \"/\")" },
+        expectedContent: { type: "string", minLength: 1, description: "Text the page must contain" },
+        expectedStatus: { type: "integer", minimum: 100, maximum: 599, description: "Expected HTTP status (default 200)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => check_dev_server(args),
+    updateState: (state, result, args) => {
+      if (result.data?.running === false) state.setDevServerStatus(false);
+      state.addVerificationCheck({ path: args.path || "/", success: result.success });
+    },
+  },
+  {
+    name: "dev_server_logs",
+    label: "Dev server logs",
+    description: "Get the last lines of the dev server's output (useful when a route fails).",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        lines: { type: "integer", minimum: 1, maximum: MAX_LOG_LINES, description: "Number of lines (default 50)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => dev_server_logs(args),
+  },
+  {
+    name: "stop_dev_server",
+    label: "Stop dev server",
+    description: "Stop the dev server. Always call when verification is done.",
+    sideEffect: "execute",
+    parameters: { type: "object", properties: {}, additionalProperties: false },
+    handler: () => stop_dev_server(),
+    updateState: (state) => state.setDevServerStatus(false),
+  },
+];
+
+// ================================================================
+// EXPORTS
+// ================================================================
+
+module.exports = {
+  initialize,
+  descriptors,
+  getStatus,
+  start_dev_server,
+  wait_for_dev_server,
+  check_dev_server,
+  dev_server_logs,
+  stop_dev_server,
+};
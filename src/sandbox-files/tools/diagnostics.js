@@ -0,0 +1,330 @@
+/**
+ * BUILD DIAGNOSTICS
+ *
+ * Turns build and lint output into structured diagnostics, so the model
+ * gets exact locations instead of a truncated log:
+ *   { file, line, column, code, message, severity, source, snippet? }
+ *
+ * PARSERS (all run over the same output; see PARSERS):
+ * - tsc:     src/a.ts(12,5): error TS2322: ...  and  src/a.ts:12:5 - error TS2322: ...
+ * - next:    ./src/a.tsx:12:5 followed by "Type error: ..." / "Module not found: ..."
+ *            and SWC frames ",-[/path/src/a.tsx:12:1]"
+ * - eslint:  a file header followed by "  12:5  error  message  rule"
+ *            (stylish and `next lint` formats)
+ * - vite:    esbuild "[ERROR] message" + "src/a.ts:3:7:", Rollup
+ *            "src/a.ts (3:7): message", "file: /path/a.vue:12:3" and
+ *            "failed to resolve import ... from ..."
+ * - webpack: "ERROR in ./src/a.js 12:5-10" followed by the message
+ *
+ * Diagnostics are deduplicated by location and message, ranked (errors
+ * before warnings, located before unlocated, then output order) and the
+ * top ones get a source snippet numbered like read_file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_DIAGNOSTICS = 20;
+const MAX_SNIPPETS = 10;
+const SNIPPET_CONTEXT = 2;
+const MAX_MESSAGE_LENGTH = 500;
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*[A-Za-z]/g, "");
+}
+
+/**
+ * Make a reported path relative to the project root ("./src/a.ts" -> "src/a.ts")
+ */
+function normalizeFile(file, root) {
+  let normalized = file.trim().replace(/^["']|["']$/g, "");
+  if (root && path.isAbsolute(normalized)) {
+    const relative = path.relative(root, normalized);
+    if (!relative.startsWith("..")) normalized = relative;
+  }
+  return normalized.split(path.sep).join("/").replace(/^\.\//, "");
+}
+
+function diagnostic(source, { file = null, line = null, column = null, code = null, message, severity = "error" }) {
+  return {
+    file,
+    line: line ? Number(line) : null,
+    column: column ? Number(column) : null,
+    code,
+    message: message.trim().slice(0, MAX_MESSAGE_LENGTH),
+    severity: /warn/i.test(severity) ? "warning" : "error",
+    source,
+  };
+}
+
+/**
+ * Next non-blank line after index, or null
+ */
+function nextLine(lines, index) {
+  for (let i = index + 1; i < lines.length && i <= index + 3; i++) {
+    if (lines[i].trim()) return lines[i].trim();
+  }
+  return null;
+}
+
+const FILE_PATTERN = String.raw`((?:\.{0,2}\/|[A-Za-z]:\\|[\w@-])[^\s:()'"]*\.(?:[cm]?[jt]sx?|vue|svelte|astro|css|scss|json|mdx?))`;
+
+// ================================================================
+// PARSERS
+// ================================================================
+
+function parseTsc(lines) {
+  const results = [];
+  const classic = new RegExp(`^${FILE_PATTERN}\\((\\d+),(\\d+)\\):\\s+(error|warning)\\s+(TS\\d+):\\s*(.*)$`);
+  const pretty = new RegExp(`^${FILE_PATTERN}:(\\d+):(\\d+)\\s+-\\s+(error|warning)\\s+(TS\\d+):\\s*(.*)$`);
+
+  for (const line of lines) {
+    const match = line.trim().match(classic) || line.trim().match(pretty);
+    if (match) {
+      const [, file, lineNumber, column, severity, code, message] = match;
+      results.push(diagnostic("tsc", { file, line: lineNumber, column, code, message, severity }));
+    }
+  }
+  return results;
+}
+
+function parseNext(lines) {
+  const results = [];
+  const location = new RegExp(`^${FILE_PATTERN}:(\\d+):(\\d+)$`);
+  const swcFrame = new RegExp(`,-\\[${FILE_PATTERN}:(\\d+):(\\d+)\\]`);
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+
+    // ./src/app/page.tsx:12:5  +  Type error: ... / Module not found: ...
+    const located = line.match(location);
+    if (located) {
+      const message = nextLine(lines, index);
+      if (message && !location.test(message)) {
+        const typeError = message.match(/^Type error:\s*(.*)$/);
+        results.push(diagnostic("next", {
+          file: located[1],
+          line: located[2],
+          column: located[3],
+          code: typeError ? "type-error" : /^Module not found/.test(message) ? "module-not-found" : null,
+          message: typeError ? typeError[1] : message.replace(/^(Error|error):\s*/, ""),
+        }));
+      }
+      return;
+    }
+
+    // SWC: "x Expected ',', got 'div'" followed by ",-[/path/file.tsx:12:1]"
+    const frame = line.match(swcFrame);
+    if (frame) {
+      const messageLine = lines.slice(Math.max(0, index - 3), index).reverse().find((candidate) => /^\s*[x×]\s+/.test(candidate));
+      results.push(diagnostic("next", {
+        file: frame[1],
+        line: frame[2],
+        column: frame[3],
+        code: "syntax-error",
+        message: messageLine ? messageLine.trim().replace(/^[x×]\s+/, "") : "Syntax error",
+      }));
+    }
+  });
+  return results;
+}
+
+function parseEslint(lines) {
+  const results = [];
+  const header = new RegExp(`^${FILE_PATTERN}$`);
+  const entry = /^(\d+):(\d+)\s+(error|warning|Error:|Warning:)\s+(.*?)(?:\s{2,}(@?[\w/-]+))?$/;
+  let file = null;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+    const isHeader = line.match(header);
+    if (isHeader && !/^\d/.test(raw)) {
+      file = isHeader[1];
+      continue;
+    }
+    const match = file && line.match(entry);
+    if (match) {
+      const [, lineNumber, column, severity, message, rule] = match;
+      results.push(diagnostic("eslint", { file, line: lineNumber, column, code: rule || null, message, severity }));
+    } else if (!/^\d+:\d+/.test(line)) {
+      file = null;
+    }
+  }
+  return results;
+}
+
+function parseVite(lines) {
+  const results = [];
+  const esbuildLocation = new RegExp(`^${FILE_PATTERN}:(\\d+):(\\d+):$`);
+  const rollup = new RegExp(`^${FILE_PATTERN} \\((\\d+):(\\d+)\\):\\s*(.*)$`);
+  const fileField = new RegExp(`^file:\\s+${FILE_PATTERN}(?::(\\d+):(\\d+))?`);
+  const unresolved = new RegExp(`failed to resolve import "([^"]+)" from "${FILE_PATTERN}"`, "i");
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+
+    // esbuild: "✘ [ERROR] message" ... "src/main.ts:3:7:"
+    const esbuild = line.match(/\[(ERROR|WARNING)\]\s+(.*)$/);
+    if (esbuild) {
+      const where = lines.slice(index + 1, index + 4).map((candidate) => candidate.trim().match(esbuildLocation)).find(Boolean);
+      results.push(diagnostic("vite", {
+        file: where?.[1],
+        line: where?.[2],
+        column: where?.[3],
+        message: esbuild[2],
+        severity: esbuild[1],
+      }));
+      return;
+    }
+
+    const rollupMatch = line.match(rollup);
+    if (rollupMatch) {
+      const [, file, lineNumber, column, message] = rollupMatch;
+      results.push(diagnostic("vite", { file, line: lineNumber, column, message }));
+      return;
+    }
+
+    const unresolvedMatch = line.match(unresolved);
+    if (unresolvedMatch) {
+      results.push(diagnostic("vite", {
+        file: unresolvedMatch[2],
+        code: "unresolved-import",
+        message: `Failed to resolve import "${unresolvedMatch[1]}"`,
+      }));
+      return;
+    }
+
+    // Plugin errors: message above, "file: /path/src/App.vue:12:3" below
+    const field = line.match(fileField);
+    if (field) {
+      const message = lines.slice(Math.max(0, index - 3), index).reverse()
+        .map((candidate) => candidate.trim())
+        .find((candidate) => candidate && !/^(error during build:|\[vite\]|at\s)/.test(candidate));
+      results.push(diagnostic("vite", {
+        file: field[1],
+        line: field[2],
+        column: field[3],
+        message: (message || "Build error").replace(/^(\[[\w:-]+\]\s*)+/, "").replace(/^(Error|error):\s*/, ""),
+      }));
+    }
+  });
+  return results;
+}
+
+function parseWebpack(lines) {
+  const results = [];
+  const header = new RegExp(`^(ERROR|WARNING) in ${FILE_PATTERN}(?::(\\d+):(\\d+)| (\\d+):(\\d+)(?:-\\d+)?)?`);
+
+  lines.forEach((raw, index) => {
+    const match = raw.trim().match(header);
+    if (!match) return;
+    const [, severity, file, line1, column1, line2, column2] = match;
+    const message = nextLine(lines, index) || "Build error";
+    const tsCode = message.match(/^(TS\d+):\s*(.*)$/);
+    results.push(diagnostic("webpack", {
+      file,
+      line: line1 || line2,
+      column: column1 || column2,
+      code: tsCode ? tsCode[1] : /Module not found/.test(message) ? "module-not-found" : null,
+      message: tsCode ? tsCode[2] : message.replace(/^Module not found: Error:\s*/, "Module not found: "),
+      severity,
+    }));
+  });
+  return results;
+}
+
+const PARSERS = [parseTsc, parseNext, parseEslint, parseVite, parseWebpack];
+
+/**
+ * Fallback when no parser recognised anything: error-looking lines, no location
+ */
+function parseGeneric(lines) {
+  return lines
+    .map((line) => line.trim())
+    .filter((line) => /\b(Error|error)\b:|\berror\s|\bfailed\b/.test(line) && !/^at\s/.test(line))
+    .slice(0, MAX_DIAGNOSTICS)
+    .map((message) => diagnostic("output", { message }));
+}
+
+// ================================================================
+// SNIPPETS
+// ================================================================
+
+/**
+ * Source lines around a diagnostic, numbered like read_file ("<n>| text")
+ */
+function readSnippet(root, file, line) {
+  try {
+    const absolute = path.resolve(root, file);
+    if (!absolute.startsWith(path.resolve(root) + path.sep)) return null;
+    const lines = fs.readFileSync(absolute, "utf8").split(/\r?\n/);
+    if (line > lines.length) return null;
+    const result = [];
+    for (let n = Math.max(1, line - SNIPPET_CONTEXT); n <= Math.min(lines.length, line + SNIPPET_CONTEXT); n++) {
+      result.push(`${n}| ${lines[n - 1]}`);
+    }
+    return result;
+  } catch {
+    return null;
+  }
+}
+
+// ================================================================
+// ENTRY POINT
+// ================================================================
+
+/**
+ * Parse build/lint output into ranked, deduplicated diagnostics
+ * Returns { diagnostics, total } - total counts before the MAX_DIAGNOSTICS cap.
+ */
+function parseDiagnostics(output, root) {
+  const lines = stripAnsi(output).split(/\r?\n/);
+
+  let found = PARSERS.flatMap((parser) => parser(lines));
+  if (found.length === 0) {
+    found = parseGeneric(lines);
+  }
+
+  // Dedupe: the same error often appears in both a tsc pass and the bundler log
+  const seen = new Map();
+  found.forEach((entry, order) => {
+    const file = entry.file ? normalizeFile(entry.file, root) : null;
+    const key = `${file}:${entry.line}:${entry.column}:${entry.message.toLowerCase()}`;
+    if (!seen.has(key)) seen.set(key, { ...entry, file, order });
+  });
+
+  const ranked = [...seen.values()].sort((a, b) =>
+    (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1) ||
+    (a.file ? 0 : 1) - (b.file ? 0 : 1) ||
+    a.order - b.order
+  );
+
+  const diagnostics = ranked.slice(0, MAX_DIAGNOSTICS).map(({ order, ...entry }, index) => {
+    if (index < MAX_SNIPPETS && entry.file && entry.line && root) {
+      const snippet = readSnippet(root, entry.file, entry.line);
+      if (snippet) return { ...entry, snippet };
+    }
+    return entry;
+  });
+
+  return { diagnostics, total: ranked.length };
+}
+
+/**
+ * One-line form for logs and agent state: "src/a.ts:12:5 TS2322 message"
+ */
+function formatDiagnostic({ file, line, column, code, message }) {
+  const location = file ? `${file}${line ? `:${line}${column ? `:${column}` : ""}` : ""} ` : "";
+  return `${location}${code ? `${code} ` : ""}${message}`;
+}
+
+module.exports = {
+  parseDiagnostics,
+  formatDiagnostic,
+  stripAnsi,
+};
@@ -0,0 +1,251 @@
+/**
+ * BUILD DIAGNOSTICS TESTS
+ *
+ * parseDiagnostics on real tsc, Next.js, ESLint, Vite and webpack output,
+ * plus deduplication, ranking and snippets.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { parseDiagnostics, formatDiagnostic } = require("./diagnostics.js");
+
+const PROJECT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "diagnostics-test-"));
+fs.mkdirSync(path.join(PROJECT_ROOT, "src", "app"), { recursive: true });
+fs.writeFileSync(
+  path.join(PROJECT_ROOT, "src", "app", "page.tsx"),
+  ["export default function Page() {", "  const title: string = 1;", "  return <h1>{title}</h1>;", "}", ""].join("\n")
+);
+
+test.after(() => fs.rmSync(PROJECT_ROOT, { recursive: true, force: true }));
+
+const TSC_PRETTY = `src/app/page.tsx:2:9 - error TS2322: Type 'number' is not assignable to type 'string'.
+
+2   const title: string = 1;
+          ~~~~~
+
+Found 1 error in src/app/page.tsx:2
+`;
+
+const TSC_CLASSIC = `src/lib/api.ts(14,3): error TS2304: Cannot find name 'fetcher'.
+src/lib/api.ts(20,10): error TS7006: Parameter 'id' implicitly has an 'any' type.
+`;
+
+const NEXT_TYPE_ERROR = `   ▲ Next.js 14.2.3
+
+   Creating an optimized production build ...
+ ✓ Compiled successfully
+   Linting and checking validity of types ...
+Failed to compile.
+
+./src/app/page.tsx:2:9
+Type error: Type 'number' is not assignable to type 'string'.
+
+  1 | export default function Page() {
+> 2 |   const title: string = 1;
+    |         ^
+  3 |   return <h1>{title}</h1>;
+`;
+
+const NEXT_MODULE_NOT_FOUND = `Failed to compile.
+
+./src/app/layout.tsx:3:1
+Module not found: Can't resolve '@/components/Header'
+
+https://nextjs.org/docs/messages/module-not-found
+`;
+
+const NEXT_SWC = `Failed to compile.
+
+./src/components/Card.tsx
+Error:
+  x Expected ',', got 'div'
+   ,-[/project/src/components/Card.tsx:8:1]
+ 8 |     <div className="card">
+`;
+
+const ESLINT = `
+/project/src/components/Button.tsx
+   4:10  error    'useState' is defined but never used  @typescript-eslint/no-unused-vars
+  12:5   warning  Unexpected console statement          no-console
+
+✖ 2 problems (1 error, 1 warning)
+`;
+
+const NEXT_LINT = `
+./src/app/page.tsx
+7:6  Warning: React Hook useEffect has a missing dependency: 'load'.  react-hooks/exhaustive-deps
+
+info  - Need to disable some ESLint rules? Learn more here: https://nextjs.org/docs/basic-features/eslint#disabling-rules
+`;
+
+const VITE_ESBUILD = `✘ [ERROR] Expected ";" but found "count"
+
+    src/main.ts:3:7:
+      3 │ let x count = 1
+        │        ~~~~~
+        ╵        ;
+`;
+
+const VITE_ROLLUP = `vite v5.2.0 building for production...
+✓ 12 modules transformed.
+error during build:
+src/App.tsx (12:4): "Foo" is not exported by "src/foo.ts", imported by "src/App.tsx".
+`;
+
+const VITE_UNRESOLVED = `vite v5.2.0 building for production...
+error during build:
+[vite]: Rollup failed to resolve import "lodash-es" from "/project/src/main.ts".
+This is most likely unintended because it can break your application at runtime.
+`;
+
+const VITE_PLUGIN = `error during build:
+[vite:vue] Element is missing end tag.
+file: /project/src/App.vue:12:3
+    at createCompilerError (node_modules/@vue/compiler-core/dist/compiler-core.cjs.js:1364:17)
+`;
+
+const WEBPACK = `ERROR in ./src/index.js 5:0-28
+Module not found: Error: Can't resolve './missing' in '/project/src'
+
+ERROR in ./src/app.ts:7:3
+TS2339: Property 'foo' does not exist on type 'Bar'.
+
+WARNING in ./src/big.js 1:0-20
+asset size limit: The following asset(s) exceed the recommended size limit (244 KiB).
+`;
+
+const parse = (output) => parseDiagnostics(output, "/project");
+
+test("parses tsc pretty and classic output", () => {
+  const { diagnostics } = parse(TSC_PRETTY + TSC_CLASSIC);
+  assert.deepStrictEqual(
+    diagnostics.map(({ file, line, column, code, source }) => ({ file, line, column, code, source })),
+    [
+      { file: "src/app/page.tsx", line: 2, column: 9, code: "TS2322", source: "tsc" },
+      { file: "src/lib/api.ts", line: 14, column: 3, code: "TS2304", source: "tsc" },
+      { file: "src/lib/api.ts", line: 20, column: 10, code: "TS7006", source: "tsc" },
+    ]
+  );
+  assert.strictEqual(diagnostics[1].message, "Cannot find name 'fetcher'.");
+});
+
+test("parses Next.js type errors, missing modules and SWC frames", () => {
+  const typeError = parse(NEXT_TYPE_ERROR).diagnostics;
+  assert.strictEqual(typeError.length, 1);
+  assert.deepStrictEqual(
+    { ...typeError[0] },
+    { file: "src/app/page.tsx", line: 2, column: 9, code: "type-error", message: "Type 'number' is not assignable to type 'string'.", severity: "error", source: "next" }
+  );
+
+  const [notFound] = parse(NEXT_MODULE_NOT_FOUND).diagnostics;
+  assert.strictEqual(notFound.code, "module-not-found");
+  assert.strictEqual(notFound.file, "src/app/layout.tsx");
+  assert.match(notFound.message, /Can't resolve '@\/components\/Header'/);
+
+  const [swc] = parse(NEXT_SWC).diagnostics;
+  assert.deepStrictEqual(
+    { file: swc.file, line: swc.line, code: swc.code, message: swc.message },
+    { file: "src/components/Card.tsx", line: 8, code: "syntax-error", message: "Expected ',', got 'div'" }
+  );
+});
+
+test("parses ESLint stylish and next lint output", () => {
+  const { diagnostics } = parse(ESLINT);
+  assert.deepStrictEqual(
+    diagnostics.map(({ file, line, code, severity }) => ({ file, line, code, severity })),
+    [
+      { file: "src/components/Button.tsx", line: 4, code: "@typescript-eslint/no-unused-vars", severity: "error" },
+      { file: "src/components/Button.tsx", line: 12, code: "no-console", severity: "warning" },
+    ]
+  );
+  assert.strictEqual(diagnostics[0].message, "'useState' is defined but never used");
+
+  const [hook] = parse(NEXT_LINT).diagnostics;
+  assert.deepStrictEqual(
+    { file: hook.file, line: hook.line, column: hook.column, code: hook.code, severity: hook.severity },
+    { file: "src/app/page.tsx", line: 7, column: 6, code: "react-hooks/exhaustive-deps", severity: "warning" }
+  );
+});
+
+test("parses Vite esbuild, Rollup and plugin errors", () => {
+  const [esbuild] = parse(VITE_ESBUILD).diagnostics;
+  assert.deepStrictEqual(
+    { file: esbuild.file, line: esbuild.line, column: esbuild.column, message: esbuild.message },
+    { file: "src/main.ts", line: 3, column: 7, message: "Expected \";\" but found \"count\"" }
+  );
+
+  const [rollup] = parse(VITE_ROLLUP).diagnostics;
+  assert.deepStrictEqual(
+    { file: rollup.file, line: rollup.line, column: rollup.column },
+    { file: "src/App.tsx", line: 12, column: 4 }
+  );
+  assert.match(rollup.message, /"Foo" is not exported/);
+
+  const [plugin] = parse(VITE_PLUGIN).diagnostics;
+  assert.deepStrictEqual(
+    { file: plugin.file, line: plugin.line, column: plugin.column, message: plugin.message },
+    { file: "src/App.vue", line: 12, column: 3, message: "Element is missing end tag." }
+  );
+});
+
+test("keeps a Vite error without a line number", () => {
+  const { diagnostics } = parse(VITE_UNRESOLVED);
+  assert.strictEqual(diagnostics.length, 1);
+  assert.deepStrictEqual(
+    { ...diagnostics[0] },
+    { file: "src/main.ts", line: null, column: null, code: "unresolved-import", message: "Failed to resolve import \"lodash-es\"", severity: "error", source: "vite" }
+  );
+  assert.strictEqual(formatDiagnostic(diagnostics[0]), "src/main.ts unresolved-import Failed to resolve import \"lodash-es\"");
+});
+
+test("parses webpack errors and warnings", () => {
+  const { diagnostics } = parse(WEBPACK);
+  assert.deepStrictEqual(
+    diagnostics.map(({ file, line, column, code, severity }) => ({ file, line, column, code, severity })),
+    [
+      { file: "src/index.js", line: 5, column: 0, code: "module-not-found", severity: "error" },
+      { file: "src/app.ts", line: 7, column: 3, code: "TS2339", severity: "error" },
+      { file: "src/big.js", line: 1, column: 0, code: null, severity: "warning" },
+    ]
+  );
+  assert.strictEqual(diagnostics[0].message, "Module not found: Can't resolve './missing' in '/project/src'");
+  assert.strictEqual(diagnostics[1].message, "Property 'foo' does not exist on type 'Bar'.");
+});
+
+test("reports the same tsc and Next.js error once", () => {
+  const { diagnostics, total } = parseDiagnostics(`${TSC_PRETTY}\n${NEXT_TYPE_ERROR}`, PROJECT_ROOT);
+  assert.strictEqual(total, 1);
+  assert.strictEqual(diagnostics.length, 1);
+  assert.strictEqual(diagnostics[0].file, "src/app/page.tsx");
+  assert.strictEqual(diagnostics[0].line, 2);
+});
+
+test("ranks errors before warnings and located before unlocated", () => {
+  const output = `${NEXT_LINT}\n${VITE_UNRESOLVED}\n${TSC_CLASSIC}`;
+  const { diagnostics } = parse(output);
+  assert.deepStrictEqual(
+    diagnostics.map(({ file, line, severity }) => `${severity} ${file}:${line}`),
+    ["error src/lib/api.ts:14", "error src/lib/api.ts:20", "error src/main.ts:null", "warning src/app/page.tsx:7"]
+  );
+});
+
+test("adds numbered source snippets for files in the project", () => {
+  const [diagnostic] = parseDiagnostics(TSC_PRETTY, PROJECT_ROOT).diagnostics;
+  assert.deepStrictEqual(diagnostic.snippet, [
+    "1| export default function Page() {",
+    "2|   const title: string = 1;",
+    "3|   return <h1>{title}</h1>;",
+    "4| }",
+  ]);
+});
+
+test("falls back to error-looking lines when no parser matches", () => {
+  const { diagnostics } = parse("> build\nsh: 1: next: not found\nError: Command failed with exit code 127.\n");
+  assert.deepStrictEqual(diagnostics.map(({ message, source, file }) => ({ message, source, file })), [
+    { message: "Error: Command failed with exit code 127.", source: "output", file: null },
+  ]);
+});
@@ -0,0 +1,620 @@
+/**
+ * EDIT TOOLS
+ *
+ * Targeted file edits, so changing one entry in a large file does not
+ * cost a full rewrite through write_file (and the output tokens with it).
+ *
+ * TOOLS:
+ * - edit_file: Exact search/replace; the search text must match once
+ *   (or set replaceAll)
+ * - apply_patch: Unified diff, one or more files; hunks may be offset
+ *   and lose up to MAX_FUZZ context lines at each end. All-or-nothing:
+ *   if any hunk is rejected nothing is written
+ * - insert_lines / delete_lines: Line-number edits (1-based, inclusive)
+ *
+ * Every tool returns the resulting unified diff so the model can see
+ * exactly what changed without reading the file back.
+ *
+ * Paths go through filesystem.safePath - same confinement as write_file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const filesystem = require("./filesystem.js");
+
+const CONTEXT_LINES = 3;
+const MAX_FUZZ = 2;
+const MAX_DIFF_LENGTH = 4000;
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Resolve a path and read the file, preserving its line endings
+ * Returns { file: { absolute, relative, content, eol } } or { error }
+ */
+function readTarget(filePath) {
+  const safe = filesystem.safePath(filePath);
+  if (!safe.valid) {
+    return { error: safe.error };
+  }
+  if (!fs.existsSync(safe.path) || !fs.statSync(safe.path).isFile()) {
+    return { error: `File not found: ${filePath}` };
+  }
+
+  const content = fs.readFileSync(safe.path, "utf8");
+  return {
+    file: {
+      absolute: safe.path,
+      relative: path.relative(filesystem.getRoot(), safe.path),
+      content,
+      eol: content.includes("\r\n") ? "\r\n" : "\n",
+    },
+  };
+}
+
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split(/\r?\n/);
+  // A trailing newline ends the last line rather than starting a new one
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function joinLines(lines, eol, trailingNewline) {
+  if (lines.length === 0) return "";
+  return lines.join(eol) + (trailingNewline ? eol : "");
+}
+
+// Empty ranges point at the line before them ("-0,0" for a new file)
+function hunkRange(from, count) {
+  return count === 0 ? `${from},0` : `${from + 1},${count}`;
+}
+
+/**
+ * Unified diff between two versions of a file
+ * Trims the common prefix and suffix, so the result is a single hunk
+ * covering everything between the first and last changed line.
+ */
+function unifiedDiff(relativePath, before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start === endA && start === endB) return "";
+
+  const from = Math.max(0, start - CONTEXT_LINES);
+  const toA = Math.min(a.length, endA + CONTEXT_LINES);
+  const toB = Math.min(b.length, endB + CONTEXT_LINES);
+
+  const lines = [
+    `--- a/${relativePath}`,
+    `+++ b/${relativePath}`,
+    `@@ -${hunkRange(from, toA - from)} +${hunkRange(from, toB - from)} @@`,
+    ...a.slice(from, start).map((line) => ` ${line}`),
+    ...a.slice(start, endA).map((line) => `-${line}`),
+    ...b.slice(start, endB).map((line) => `+${line}`),
+    ...a.slice(endA, toA).map((line) => ` ${line}`),
+  ];
+
+  const diff = lines.join("\n");
+  return diff.length > MAX_DIFF_LENGTH ? `${diff.substring(0, MAX_DIFF_LENGTH)}\n... (diff truncated)` : diff;
+}
+
+/**
+ * 1-based line number of a character offset
+ */
+function lineAt(content, offset) {
+  return content.substring(0, offset).split("\n").length;
+}
+
+/**
+ * Every offset where needle occurs in haystack
+ */
+function findAll(haystack, needle) {
+  const offsets = [];
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    offsets.push(index);
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return offsets;
+}
+
+/**
+ * Line where the search text would match if whitespace were ignored
+ * Used to point the model at a near miss
+ */
+function findWhitespaceNearMiss(content, search) {
+  const squash = (line) => line.replace(/\s+/g, "");
+  const target = splitLines(search).map(squash).filter(Boolean);
+  if (target.length === 0) return null;
+
+  const lines = splitLines(content);
+  for (let i = 0; i < lines.length; i++) {
+    if (squash(lines[i]) !== target[0]) continue;
+    let j = 1;
+    let k = i + 1;
+    while (j < target.length && k < lines.length) {
+      if (squash(lines[k]) === "") {
+        k++;
+        continue;
+      }
+      if (squash(lines[k]) !== target[j]) break;
+      j++;
+      k++;
+    }
+    if (j === target.length) return i + 1;
+  }
+  return null;
+}
+
+/**
+ * Write new content and build the standard edit result
+ * changed is false (and nothing is written) when the content is the same
+ */
+function writeEdit(file, newContent, extra = {}) {
+  const changed = newContent !== file.content;
+  if (changed) fs.writeFileSync(file.absolute, newContent, "utf8");
+  return {
+    success: true,
+    data: {
+      path: file.relative,
+      changed,
+      ...extra,
+      lines: splitLines(newContent).length,
+      diff: unifiedDiff(file.relative, file.content, newContent),
+    },
+  };
+}
+
+// ================================================================
+// PATCH PARSING
+// ================================================================
+
+/**
+ * Parse a unified diff into files and hunks
+ * Returns [{ oldPath, newPath, hunks: [{ header, oldStart, lines: [{ op, text }] }] }]
+ */
+function parsePatch(patch) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  const stripPrefix = (p) => {
+    const clean = p.split("\t")[0].trim();
+    if (clean === "/dev/null") return null;
+    return clean.replace(/^[ab]\//, "");
+  };
+
+  for (const line of patch.split(/\r?\n/)) {
+    // Inside a hunk, "--- x" is a removed line "-- x", not a new file header
+    const inHunkBody = hunk && hunk.remainingOld > 0;
+
+    if (line.startsWith("--- ") && !inHunkBody) {
+      current = { oldPath: stripPrefix(line.slice(4)), newPath: null, hunks: [] };
+      files.push(current);
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith("+++ ") && current && current.hunks.length === 0) {
+      current.newPath = stripPrefix(line.slice(4));
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      if (!current) throw new Error("Hunk before file header (--- / +++)");
+      hunk = { header: line, oldStart: Number(header[1]), remainingOld: Number(header[2] ?? 1), lines: [] };
+      current.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) continue; // diff --git, index, etc.
+
+    if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+    const op = line[0];
+    if (op === " " || op === "-" || op === "+") {
+      hunk.lines.push({ op, text: line.slice(1) });
+      if (op !== "+") hunk.remainingOld--;
+    } else if (line === "") {
+      // Editors and models often drop the space on empty context lines
+      hunk.lines.push({ op: " ", text: "" });
+      hunk.remainingOld--;
+    }
+  }
+
+  // Trailing empty "context" lines are usually just the patch's final newline
+  for (const file of files) {
+    for (const h of file.hunks) {
+      while (h.lines.length > 0 && h.lines[h.lines.length - 1].op === " " && h.lines[h.lines.length - 1].text === "") {
+        h.lines.pop();
+      }
+    }
+  }
+
+  return files.filter((file) => file.hunks.length > 0 || file.newPath === null);
+}
+
+/**
+ * Find where a block of lines occurs, nearest to the expected index first
+ */
+function locate(lines, block, expected, minIndex) {
+  if (block.length === 0) return Math.max(expected, minIndex);
+  const matchesAt = (index) => block.every((text, i) => lines[index + i] === text);
+
+  const maxIndex = lines.length - block.length;
+  for (let distance = 0; distance <= Math.max(expected, lines.length); distance++) {
+    for (const index of distance === 0 ? [expected] : [expected - distance, expected + distance]) {
+      if (index >= minIndex && index <= maxIndex && matchesAt(index)) return index;
+    }
+    if (expected - distance < minIndex && expected + distance > maxIndex) break;
+  }
+  return -1;
+}
+
+/**
+ * Apply hunks to a file's lines, in order
+ * Returns { lines, applied: [{ hunk, offset, fuzz }], rejected: [{ hunk, reason }] }
+ */
+function applyHunks(original, hunks) {
+  const lines = [...original];
+  const applied = [];
+  const rejected = [];
+  let delta = 0; // Line count change from earlier hunks
+  let minIndex = 0; // Hunks apply in order and must not overlap
+
+  hunks.forEach((hunk, index) => {
+    const expected = Math.max(0, hunk.oldStart - 1 + delta);
+    let placed = null;
+
+    // Fuzz: drop up to MAX_FUZZ leading/trailing context lines if the full hunk does not match
+    for (let fuzz = 0; fuzz <= MAX_FUZZ && !placed; fuzz++) {
+      let head = 0;
+      while (head < fuzz && hunk.lines[head]?.op === " ") head++;
+      let tail = 0;
+      while (tail < fuzz && hunk.lines[hunk.lines.length - 1 - tail]?.op === " ") tail++;
+      if (fuzz > 0 && head + tail === 0) break;
+
+      const body = hunk.lines.slice(head, hunk.lines.length - tail);
+      const oldBlock = body.filter((l) => l.op !== "+").map((l) => l.text);
+      const newBlock = body.filter((l) => l.op !== "-").map((l) => l.text);
+      const at = locate(lines, oldBlock, expected + head, minIndex);
+
+      if (at !== -1) {
+        placed = { at, oldBlock, newBlock, fuzz };
+      }
+    }
+
+    if (!placed) {
+      rejected.push({ hunk: index + 1, header: hunk.header, reason: "context and removed lines not found in file" });
+      return;
+    }
+
+    lines.splice(placed.at, placed.oldBlock.length, ...placed.newBlock);
+    applied.push({ hunk: index + 1, offset: placed.at - expected, fuzz: placed.fuzz });
+    delta += placed.newBlock.length - placed.oldBlock.length;
+    minIndex = placed.at + placed.newBlock.length;
+  });
+
+  return { lines, applied, rejected };
+}
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: edit_file
+ * Replace an exact piece of text; must be unique unless replaceAll is set
+ */
+function edit_file({ path: filePath, oldText, newText, replaceAll = false }) {
+  console.log(`[TOOL:edit_file] path="${filePath}" old_length=${oldText.length} new_length=${newText.length}`);
+
+  try {
+    const { file, error } = readTarget(filePath);
+    if (error) return { success: false, error };
+
+    // Model text uses \n; match the file's own line endings
+    const search = file.eol === "\r\n" ? oldText.replace(/\r?\n/g, "\r\n") : oldText;
+    const replacement = file.eol === "\r\n" ? newText.replace(/\r?\n/g, "\r\n") : newText;
+
+    if (search === replacement) {
+      return { success: false, error: "oldText and newText are identical" };
+    }
+
+    const offsets = findAll(file.content, search);
+
+    if (offsets.length === 0) {
+      const nearMiss = findWhitespaceNearMiss(file.content, oldText);
+      return {
+        success: false,
+        error: nearMiss
+          ? `oldText not found exactly, but matches line ${nearMiss} if whitespace is ignored - copy the exact text (read_file)`
+          : "oldText not found in file - read the file and copy the exact text",
+        data: { path: file.relative, nearMissLine: nearMiss },
+      };
+    }
+
+    if (offsets.length > 1 && !replaceAll) {
+      return {
+        success: false,
+        error: `oldText matches ${offsets.length} times - include more surrounding lines to make it unique, or set replaceAll`,
+        data: { path: file.relative, matchLines: offsets.map((offset) => lineAt(file.content, offset)) },
+      };
+    }
+
+    const newContent = replaceAll
+      ? file.content.split(search).join(replacement)
+      : file.content.substring(0, offsets[0]) + replacement + file.content.substring(offsets[0] + search.length);
+
+    return writeEdit(file, newContent, { replacements: replaceAll ? offsets.length : 1 });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: insert_lines
+ * Insert text before a line (line = last line + 1 appends)
+ */
+function insert_lines({ path: filePath, line, content }) {
+  console.log(`[TOOL:insert_lines] path="${filePath}" line=${line}`);
+
+  try {
+    const { file, error } = readTarget(filePath);
+    if (error) return { success: false, error };
+
+    const lines = splitLines(file.content);
+    if (line > lines.length + 1) {
+      return { success: false, error: `line ${line} is past the end of the file (${lines.length} lines; use ${lines.length + 1} to append)` };
+    }
+
+    lines.splice(line - 1, 0, ...splitLines(content));
+    const trailingNewline = file.content === "" || /\r?\n$/.test(file.content);
+    return writeEdit(file, joinLines(lines, file.eol, trailingNewline), { inserted: splitLines(content).length });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: delete_lines
+ * Delete a line range (inclusive)
+ */
+function delete_lines({ path: filePath, startLine, endLine = startLine }) {
+  console.log(`[TOOL:delete_lines] path="${filePath}" lines=${startLine}-${endLine}`);
+
+  try {
+    const { file, error } = readTarget(filePath);
+    if (error) return { success: false, error };
+
+    const lines = splitLines(file.content);
+    if (endLine < startLine) {
+      return { success: false, error: `endLine (${endLine}) is before startLine (${startLine})` };
+    }
+    if (endLine > lines.length) {
+      return { success: false, error: `endLine ${endLine} is past the end of the file (${lines.length} lines)` };
+    }
+
+    const removed = lines.splice(startLine - 1, endLine - startLine + 1);
+    const trailingNewline = /\r?\n$/.test(file.content);
+    return writeEdit(file, joinLines(lines, file.eol, trailingNewline), { deleted: removed.length });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: apply_patch
+ * Apply a unified diff; writes nothing unless every hunk applies
+ */
+function apply_patch({ patch }) {
+  console.log(`[TOOL:apply_patch] patch_length=${patch.length}`);
+
+  try {
+    const filePatches = parsePatch(patch);
+    if (filePatches.length === 0) {
+      return { success: false, error: "No file headers (--- a/path, +++ b/path) or hunks found in patch" };
+    }
+
+    const writes = [];
+    const report = [];
+
+    for (const filePatch of filePatches) {
+      const target = filePatch.newPath ?? filePatch.oldPath;
+      const safe = filesystem.safePath(target);
+      if (!safe.valid) {
+        report.push({ path: target, error: safe.error });
+        continue;
+      }
+      const relative = path.relative(filesystem.getRoot(), safe.path);
+      const exists = fs.existsSync(safe.path);
+
+      // New file
+      if (filePatch.oldPath === null) {
+        if (exists) {
+          report.push({ path: relative, error: "Patch creates a file that already exists" });
+          continue;
+        }
+        const lines = filePatch.hunks.flatMap((h) => h.lines.filter((l) => l.op === "+").map((l) => l.text));
+        const content = joinLines(lines, "\n", true);
+        writes.push({ absolute: safe.path, relative, before: "", after: content });
+        report.push({ path: relative, created: true });
+        continue;
+      }
+
+      if (!exists) {
+        report.push({ path: relative, error: `File not found: ${relative}` });
+        continue;
+      }
+
+      const before = fs.readFileSync(safe.path, "utf8");
+      const eol = before.includes("\r\n") ? "\r\n" : "\n";
+      const { lines, applied, rejected } = applyHunks(splitLines(before), filePatch.hunks);
+
+      if (rejected.length > 0) {
+        report.push({ path: relative, applied, rejected });
+        continue;
+      }
+
+      // Deleted file: every line removed
+      if (filePatch.newPath === null) {
+        if (lines.length > 0) {
+          report.push({ path: relative, error: "Patch deletes the file but its content does not fully match" });
+          continue;
+        }
+        writes.push({ absolute: safe.path, relative, before, after: null });
+        report.push({ path: relative, deleted: true });
+        continue;
+      }
+
+      const after = joinLines(lines, eol, before === "" || /\r?\n$/.test(before));
+      writes.push({ absolute: safe.path, relative, before, after });
+      report.push({ path: relative, applied });
+    }
+
+    const failed = report.filter((entry) => entry.error || entry.rejected?.length);
+    if (failed.length > 0) {
+      const rejectedHunks = failed.reduce((count, entry) => count + (entry.rejected?.length || 0), 0);
+      return {
+        success: false,
+        error: rejectedHunks > 0
+          ? `${rejectedHunks} hunk(s) rejected - no files were changed. Re-read the file and regenerate the patch, or use edit_file`
+          : `${failed[0].error} - no files were changed`,
+        data: { files: report },
+      };
+    }
+
+    for (const write of writes) {
+      if (write.after === write.before) continue;
+      if (write.after === null) {
+        fs.unlinkSync(write.absolute);
+      } else {
+        fs.mkdirSync(path.dirname(write.absolute), { recursive: true });
+        fs.writeFileSync(write.absolute, write.after, "utf8");
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        files: report,
+        changed: writes.some((w) => w.after !== w.before),
+        changedFiles: writes.filter((w) => w.after !== w.before).map((w) => w.relative),
+        diff: writes.map((w) => unifiedDiff(w.relative, w.before, w.after ?? "")).join("\n"),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: `Invalid patch: ${err.message}` };
+  }
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+// Record an edit in changed_files (apply_patch can touch several)
+const trackEdit = (state, result) => {
+  if (!result.success || result.data.changed === false) return;
+  for (const file of result.data.changedFiles || [result.data.path]) {
+    state.addChangedFile(file, "edit");
+  }
+};
+
+const descriptors = [
+  {
+    name: "edit_file",
+    label: "Edit file",
+    description: "Replace an exact piece of text in a file. oldText must match exactly once (include surrounding lines to make it unique) unless replaceAll is set. Prefer this over write_file for existing files.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+        oldText: { type: "string", minLength: 1, description: "Exact text to replace, including indentation" },
+        newText: { type: "string", description: "Replacement text" },
+        replaceAll: { type: "boolean", description: "Replace every occurrence (default false)" },
+      },
+      required: ["path", "oldText", "newText"],
+      additionalProperties: false,
+    },
+    handler: (args) => edit_file(args),
+    updateState: trackEdit,
+  },
+  {
+    name: "apply_patch",
+    label: "Apply patch",
+    description: "Apply a unified diff (--- a/path, +++ b/path, @@ hunks) to one or more files. Tolerates shifted line numbers; nothing is written if any hunk is rejected.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        patch: { type: "string", minLength: 1, description: "Unified diff text" },
+      },
+      required: ["patch"],
+      additionalProperties: false,
+    },
+    handler: (args) => apply_patch(args),
+    updateState: trackEdit,
+  },
+  {
+    name: "insert_lines",
+    label: "Insert lines",
+    description: "Insert text before a 1-based line number (use last line + 1 to append).",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+        line: { type: "integer", minimum: 1, description: "Line to insert before" },
+        content: { type: "string", minLength: 1, description: "Text to insert (one or more lines)" },
+      },
+      required: ["path", "line", "content"],
+      additionalProperties: false,
+    },
+    handler: (args) => insert_lines(args),
+    updateState: trackEdit,
+  },
+  {
+    name: "delete_lines",
+    label: "Delete lines",
+    description: "Delete a range of lines (1-based, inclusive).",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+        startLine: { type: "integer", minimum: 1, description: "First line to delete" },
+        endLine: { type: "integer", minimum: 1, description: "Last line to delete (default startLine)" },
+      },
+      required: ["path", "startLine"],
+      additionalProperties: false,
+    },
+    handler: (args) => delete_lines(args),
+    updateState: trackEdit,
+  },
+];
+
+// ================================================================
+// EXPORTS
+// ================================================================
+
+module.exports = {
+  descriptors,
+  unifiedDiff,
+  edit_file,
+  apply_patch,
+  insert_lines,
+  delete_lines,
+};
@@ -5,10 +5,13 @@
  * All paths are confined to the project root (sandbox or cloned repo).
  * 
  * SECURITY: Strict path sanitization prevents directory traversal attacks.
+ * move_path, copy_path, delete_path and make_dir additionally refuse the
+ * project root itself and anything under .git or node_modules.
  */
 
 const fs = require("fs");
 const path = require("path");
+const ignore = require("./ignore.js");
 
 // Will be set by initialize() - defaults to sandbox root
 let PROJECT_ROOT = "/vercel/sandbox";
@@ -100,7 +103,11 @@ function write_file(filePath, content) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    fs.writeFileSync(safe.path, content, "utf8");
+    // Same content: leave the file (and its mtime) alone
+    const changed = !fs.existsSync(safe.path) || fs.readFileSync(safe.path, "utf8") !== content;
+    if (changed) {
+      fs.writeFileSync(safe.path, content, "utf8");
+    }
     
     const stats = fs.statSync(safe.path);
     return {
@@ -108,7 +115,8 @@ function write_file(filePath, content) {
       data: {
         path: safe.path,
         relativePath: path.relative(PROJECT_ROOT, safe.path),
-        bytes_written: stats.size,
+        bytes_written: changed ? stats.size : 0,
+        changed,
       },
     };
   } catch (err) {
@@ -116,12 +124,91 @@ function write_file(filePath, content) {
   }
 }
 
+/**
+ * Top-level declarations recognised by read_file's outline mode (JS/TS only).
+ * Only unindented lines are matched, so nested functions and methods are skipped.
+ */
+const OUTLINE_EXTENSIONS = new Set([".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"]);
+const OUTLINE_PATTERNS = [
+  { kind: "function", pattern: /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)?/ },
+  { kind: "class", pattern: /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?class\s+([\w$]+)/ },
+  { kind: "interface", pattern: /^(?:export\s+)?(?:declare\s+)?interface\s+([\w$]+)/ },
+  { kind: "type", pattern: /^(?:export\s+)?(?:declare\s+)?type\s+([\w$]+)/ },
+  { kind: "enum", pattern: /^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([\w$]+)/ },
+  { kind: "variable", pattern: /^(?:export\s+)?(?:declare\s+)?(?:const|let|var)\s+([\w$]+)/ },
+  { kind: "export", pattern: /^export\s+default\s+([\w$]+)?/ },
+  { kind: "export", pattern: /^export\s*(?:type\s*)?\{([^}]*)\}?/ },
+  { kind: "export", pattern: /^export\s*\*\s*(?:as\s+([\w$]+)\s+)?from/ },
+  { kind: "export", pattern: /^module\.exports\b/, name: "module.exports" },
+  { kind: "export", pattern: /^exports\.([\w$]+)\s*=/ },
+];
+// require() bindings are imports, not declarations
+const OUTLINE_SKIP = /^(?:const|let|var)\s+[^=]+=\s*require\(/;
+
+// Default output budget for read_file; large data files would otherwise flood the context window
+const DEFAULT_READ_MAX_BYTES = 32 * 1024;
+
+/**
+ * Split file content into lines, ignoring the final newline
+ */
+function splitLines(content) {
+  if (content === "") return [];
+  const lines = content.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Match a line against the declaration patterns
+ * Returns { kind, name, exported } or null
+ */
+function matchDeclaration(line) {
+  if (OUTLINE_SKIP.test(line)) return null;
+  for (const { kind, pattern, name } of OUTLINE_PATTERNS) {
+    const match = line.match(pattern);
+    if (!match) continue;
+    return {
+      kind,
+      name: match[1] ? match[1].trim().replace(/\s+/g, " ") : name || (kind === "export" ? "default" : "(anonymous)"),
+      exported: /^(export\b|module\.exports\b|exports\.)/.test(line),
+    };
+  }
+  return null;
+}
+
+/**
+ * Whether a file is JS/TS (the languages outline and symbol search understand)
+ */
+function isOutlineFile(filePath) {
+  return OUTLINE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Build the outline of a JS/TS file: one entry per top-level declaration
+ */
+function buildOutline(lines) {
+  const outline = [];
+  lines.forEach((line, index) => {
+    const declaration = matchDeclaration(line);
+    if (declaration) outline.push({ line: index + 1, ...declaration });
+  });
+  return outline;
+}
+
 /**
  * TOOL: read_file
- * Reads content from a file within the project
+ * Reads a file within the project as line-numbered text.
+ *
+ * Options:
+ * - startLine / endLine: 1-based, inclusive range (default: whole file)
+ * - maxBytes: output budget; the read stops at the last whole line that fits
+ *   and ends with a marker telling the caller where to continue
+ * - lineNumbers: prefix each line with "<n>| " (default true)
+ * - outline: return top-level declarations of a JS/TS file instead of its content
  */
-function read_file(filePath) {
-  console.log(`[TOOL:read_file] path="${filePath}"`);
+function read_file(filePath, options = {}) {
+  const { startLine = 1, endLine, maxBytes = DEFAULT_READ_MAX_BYTES, lineNumbers = true, outline = false } = options;
+  console.log(`[TOOL:read_file] path="${filePath}" lines=${startLine}-${endLine ?? "end"}${outline ? " outline" : ""}`);
   
   try {
     const safe = safePath(filePath);
@@ -133,16 +220,80 @@ function read_file(filePath) {
       return { success: false, error: `File not found: ${filePath}` };
     }
     
-    const content = fs.readFileSync(safe.path, "utf8");
     const stats = fs.statSync(safe.path);
+    if (stats.isDirectory()) {
+      return { success: false, error: `Is a directory: ${filePath} (use list_files)` };
+    }
+    
+    const lines = splitLines(fs.readFileSync(safe.path, "utf8"));
+    const totalLines = lines.length;
+    const relativePath = path.relative(PROJECT_ROOT, safe.path);
+    
+    if (outline) {
+      if (!isOutlineFile(safe.path)) {
+        return { success: false, error: `Outline mode only supports JS/TS files - read ${filePath} with startLine/endLine instead` };
+      }
+      const entries = buildOutline(lines);
+      return {
+        success: true,
+        data: {
+          path: safe.path,
+          relativePath,
+          size: stats.size,
+          totalLines,
+          outline: entries,
+          count: entries.length,
+        },
+      };
+    }
+    
+    const last = Math.min(endLine ?? totalLines, totalLines);
+    if (endLine !== undefined && endLine < startLine) {
+      return { success: false, error: `endLine (${endLine}) is before startLine (${startLine})` };
+    }
+    if (startLine > Math.max(totalLines, 1)) {
+      return { success: false, error: `startLine ${startLine} is past the end of ${filePath} (${totalLines} lines)` };
+    }
+    
+    // Take whole lines until the byte budget runs out. A single line longer than
+    // the budget (minified code, data blobs) is cut rather than returned empty.
+    const width = String(last).length;
+    const output = [];
+    let bytes = 0;
+    let shownEnd = startLine - 1;
+    for (let n = startLine; n <= last; n++) {
+      let text = lineNumbers ? `${String(n).padStart(width)}| ${lines[n - 1]}` : lines[n - 1];
+      const lineBytes = Buffer.byteLength(text, "utf8") + 1;
+      if (bytes + lineBytes > maxBytes) {
+        if (output.length === 0) {
+          text = `${Buffer.from(text, "utf8").subarray(0, maxBytes).toString("utf8")} ... [line ${n} cut at ${maxBytes} bytes]`;
+          output.push(text);
+          shownEnd = n;
+        }
+        break;
+      }
+      output.push(text);
+      bytes += lineBytes;
+      shownEnd = n;
+    }
+    
+    const truncated = shownEnd < last;
+    if (truncated) {
+      output.push(`... [truncated: showing lines ${startLine}-${shownEnd} of ${totalLines}; call read_file with startLine ${shownEnd + 1} to continue]`);
+    }
     
     return {
       success: true,
       data: {
         path: safe.path,
-        relativePath: path.relative(PROJECT_ROOT, safe.path),
-        content: content,
+        relativePath,
         size: stats.size,
+        totalLines,
+        startLine: totalLines === 0 ? 0 : startLine,
+        endLine: shownEnd,
+        truncated,
+        ...(truncated ? { nextStartLine: shownEnd + 1 } : {}),
+        content: output.join("\n"),
       },
     };
   } catch (err) {
@@ -150,12 +301,165 @@ function read_file(filePath) {
   }
 }
 
+// list_files tree mode limits: directories deeper than the depth are summarised on one line,
+// and a directory with more than TREE_MAX_DIR_ENTRIES entries lists the first ones plus a summary
+const TREE_DEFAULT_DEPTH = 3;
+const TREE_MAX_DIR_ENTRIES = 25;
+const TREE_MAX_WALK = 20000;
+const LINE_COUNT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * Human-readable byte size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Count lines of a text file (null for binary or very large files)
+ */
+function countLines(filePath, size) {
+  if (size > LINE_COUNT_MAX_BYTES) return null;
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  if (buffer.length === 0) return 0;
+  let lines = 0;
+  for (const byte of buffer) {
+    if (byte === 10) lines++;
+  }
+  return buffer[buffer.length - 1] === 10 ? lines : lines + 1;
+}
+
+/**
+ * Render a directory as an indented tree for list_files tree mode
+ * Returns { lines, files, directories, bytes, walkLimitReached }
+ */
+function buildTree(rootDir, { depth, includeIgnored }) {
+  const toRelative = (absolute) => path.relative(PROJECT_ROOT, absolute).split(path.sep).join("/");
+  let walked = 0;
+
+  // Visible entries of a directory: skip list and .gitignore applied, directories first
+  function readEntries(dir, rules) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => !ignore.ALWAYS_SKIP.has(entry.name) && (entry.isDirectory() || entry.isFile()))
+      .filter((entry) => includeIgnored || !ignore.isIgnored(rules, toRelative(path.join(dir, entry.name)), entry.isDirectory()))
+      .sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name));
+  }
+
+  function rulesFor(dir, parentRules) {
+    return includeIgnored ? parentRules : [...parentRules, ...ignore.loadGitignore(dir, toRelative(dir))];
+  }
+
+  // Totals of a directory without rendering it
+  function summarise(dir, parentRules) {
+    const totals = { files: 0, directories: 0, bytes: 0 };
+    const rules = rulesFor(dir, parentRules);
+    for (const entry of readEntries(dir, rules)) {
+      if (++walked > TREE_MAX_WALK) break;
+      const absolute = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const child = summarise(absolute, rules);
+        totals.files += child.files;
+        totals.directories += child.directories + 1;
+        totals.bytes += child.bytes;
+      } else {
+        totals.files++;
+        totals.bytes += fs.statSync(absolute).size;
+      }
+    }
+    return totals;
+  }
+
+  function render(dir, rules, level, prefix, lines) {
+    const totals = { files: 0, directories: 0, bytes: 0 };
+    const entries = readEntries(dir, rules);
+    const shown = entries.slice(0, TREE_MAX_DIR_ENTRIES);
+    const hidden = entries.slice(TREE_MAX_DIR_ENTRIES);
+
+    shown.forEach((entry, index) => {
+      walked++;
+      const isLast = index === shown.length - 1 && hidden.length === 0;
+      const connector = `${prefix}${isLast ? "└── " : "├── "}`;
+      const absolute = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const childRules = rulesFor(absolute, rules);
+        const headerIndex = lines.length;
+        lines.push(null);
+        const child = level < depth && walked < TREE_MAX_WALK
+          ? render(absolute, childRules, level + 1, `${prefix}${isLast ? "    " : "│   "}`, lines)
+          : summarise(absolute, rules);
+        const collapsed = level >= depth || walked >= TREE_MAX_WALK ? ", not expanded" : "";
+        lines[headerIndex] = `${connector}${entry.name}/ (${plural(child.files, "file")}, ${formatBytes(child.bytes)}${collapsed})`;
+        totals.files += child.files;
+        totals.directories += child.directories + 1;
+        totals.bytes += child.bytes;
+      } else {
+        const stats = fs.statSync(absolute);
+        const lineCount = countLines(absolute, stats.size);
+        const details = [formatBytes(stats.size), lineCount === null ? "binary" : plural(lineCount, "line"), stats.mtime.toISOString().slice(0, 10)];
+        lines.push(`${connector}${entry.name}  ${details.join(", ")}`);
+        totals.files++;
+        totals.bytes += stats.size;
+      }
+    });
+
+    if (hidden.length > 0) {
+      const rest = { files: 0, bytes: 0 };
+      const extensions = {};
+      for (const entry of hidden) {
+        const absolute = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          const child = summarise(absolute, rules);
+          rest.files += child.files;
+          rest.bytes += child.bytes;
+          totals.directories += child.directories + 1;
+          extensions["dirs"] = (extensions["dirs"] || 0) + 1;
+        } else {
+          rest.files++;
+          rest.bytes += fs.statSync(absolute).size;
+          const extension = path.extname(entry.name) || "(none)";
+          extensions[extension] = (extensions[extension] || 0) + 1;
+        }
+      }
+      const breakdown = Object.entries(extensions)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([extension, count]) => `${count} ${extension}`)
+        .join(", ");
+      lines.push(`${prefix}└── ... ${hidden.length} more entries (${plural(rest.files, "file")}, ${formatBytes(rest.bytes)}): ${breakdown}`);
+      totals.files += rest.files;
+      totals.bytes += rest.bytes;
+    }
+
+    return totals;
+  }
+
+  const rules = includeIgnored ? [] : ignore.loadParentGitignores(PROJECT_ROOT, toRelative(rootDir));
+  const lines = [null];
+  const totals = render(rootDir, rules, 1, "", lines);
+  lines[0] = `${toRelative(rootDir) || "."}/ (${plural(totals.files, "file")}, ${formatBytes(totals.bytes)})`;
+
+  return { lines, ...totals, walkLimitReached: walked >= TREE_MAX_WALK };
+}
+
 /**
  * TOOL: list_files
  * Lists contents of a directory within the project
+ *
+ * Tree mode (options.tree) walks recursively up to options.depth levels,
+ * honouring .gitignore (unless options.includeIgnored), and shows file
+ * sizes, line counts and modification dates.
  */
-function list_files(dirPath = ".") {
-  console.log(`[TOOL:list_files] dir="${dirPath}"`);
+function list_files(dirPath = ".", options = {}) {
+  const { tree = false, depth = TREE_DEFAULT_DEPTH, includeIgnored = false } = options;
+  console.log(`[TOOL:list_files] dir="${dirPath}"${tree ? ` tree depth=${depth}` : ""}`);
   
   try {
     const safe = safePath(dirPath);
@@ -172,6 +476,22 @@ function list_files(dirPath = ".") {
       return { success: false, error: `Not a directory: ${dirPath}` };
     }
     
+    if (tree) {
+      const result = buildTree(safe.path, { depth, includeIgnored });
+      return {
+        success: true,
+        data: {
+          directory: path.relative(PROJECT_ROOT, safe.path) || ".",
+          depth,
+          tree: result.lines.join("\n"),
+          files: result.files,
+          directories: result.directories,
+          bytes: result.bytes,
+          ...(result.walkLimitReached ? { note: `Stopped after ${TREE_MAX_WALK} entries - list a subdirectory for the rest` } : {}),
+        },
+      };
+    }
+    
     const entries = fs.readdirSync(safe.path, { withFileTypes: true });
     const files = entries.map((entry) => ({
       name: entry.name,
@@ -192,67 +512,240 @@ function list_files(dirPath = ".") {
   }
 }
 
+// Directories the path tools never touch: repository metadata and installed dependencies
+const PROTECTED_DIRS = [".git", "node_modules"];
+
+/**
+ * Real location of a path's parent directory (symlinks followed)
+ * The nearest existing ancestor is resolved; missing directories below it
+ * are appended as they would be created.
+ */
+function realParent(absolutePath) {
+  let existing = path.dirname(absolutePath);
+  const missing = [];
+  while (!fs.existsSync(existing)) {
+    missing.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  return path.join(fs.realpathSync(existing), ...missing);
+}
+
 /**
- * TOOL: search_files
- * Search for files matching a pattern or containing text
+ * Resolve a path for move/copy/delete/mkdir: safePath confinement, plus
+ * refusing the project root itself and anything inside PROTECTED_DIRS.
+ * Both checks are repeated on the real parent directory, so a symlinked
+ * directory cannot lead out of the project or into .git.
  */
-function search_files(query, searchPath = ".") {
-  console.log(`[TOOL:search_files] query="${query}" path="${searchPath}"`);
+function safeMutablePath(inputPath) {
+  const safe = safePath(inputPath);
+  if (!safe.valid) return safe;
+
+  const relative = path.relative(PROJECT_ROOT, safe.path);
+  if (!relative) {
+    return { valid: false, error: "Refusing to operate on the project root" };
+  }
+  const protectedDir = relative.split(path.sep).find((part) => PROTECTED_DIRS.includes(part));
+  if (protectedDir) {
+    return { valid: false, error: `Refusing to touch ${protectedDir}: ${inputPath}` };
+  }
+
+  const realRoot = fs.realpathSync(PROJECT_ROOT);
+  const real = path.join(realParent(safe.path), path.basename(safe.path));
+  const realRelative = path.relative(realRoot, real);
+  if (!realRelative || realRelative === ".." || realRelative.startsWith(`..${path.sep}`) || path.isAbsolute(realRelative)) {
+    console.log(`[SECURITY] Symlink escape blocked: "${inputPath}" resolved to "${real}"`);
+    return { valid: false, error: `Path escapes project root through a symlink: ${inputPath}` };
+  }
+  const realProtectedDir = realRelative.split(path.sep).find((part) => PROTECTED_DIRS.includes(part));
+  if (realProtectedDir) {
+    return { valid: false, error: `Refusing to touch ${realProtectedDir} (through a symlink): ${inputPath}` };
+  }
+  return { valid: true, path: safe.path, relative };
+}
+
+/**
+ * Count the files under a path (1 for a file)
+ */
+function countFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return 1;
+  return fs.readdirSync(target, { withFileTypes: true }).reduce(
+    (count, entry) => count + (entry.isDirectory() ? countFiles(path.join(target, entry.name)) : 1),
+    0
+  );
+}
+
+/**
+ * Resolve the source and destination of a move/copy
+ * Returns { source, destination } or { error }
+ */
+function resolveTransfer(from, to, overwrite) {
+  const source = safeMutablePath(from);
+  if (!source.valid) return { error: source.error };
+  const destination = safeMutablePath(to);
+  if (!destination.valid) return { error: destination.error };
+
+  if (!fs.existsSync(source.path)) {
+    return { error: `Source not found: ${from}` };
+  }
+  if (source.path === destination.path) {
+    return { error: "Source and destination are the same path" };
+  }
+  if (destination.path.startsWith(source.path + path.sep)) {
+    return { error: `Cannot put ${from} inside itself` };
+  }
+  if (fs.lstatSync(destination.path, { throwIfNoEntry: false })?.isSymbolicLink()) {
+    // Overwriting would write through the link
+    return { error: `Destination is a symbolic link: ${to} - delete it first` };
+  }
+  if (fs.existsSync(destination.path)) {
+    if (!overwrite) {
+      return { error: `Destination already exists: ${to} (set overwrite to replace it)` };
+    }
+    if (fs.statSync(destination.path).isDirectory() || fs.statSync(source.path).isDirectory()) {
+      return { error: `overwrite only replaces a file with a file - delete ${to} first` };
+    }
+  }
+  return { source, destination };
+}
+
+/**
+ * TOOL: move_path
+ * Moves or renames a file or directory within the project
+ */
+function move_path(from, to, overwrite = false) {
+  console.log(`[TOOL:move_path] from="${from}" to="${to}"`);
   
   try {
-    const safe = safePath(searchPath);
+    const transfer = resolveTransfer(from, to, overwrite);
+    if (transfer.error) {
+      return { success: false, error: transfer.error };
+    }
+    const { source, destination } = transfer;
+    
+    const files = countFiles(source.path);
+    fs.mkdirSync(path.dirname(destination.path), { recursive: true });
+    try {
+      fs.renameSync(source.path, destination.path);
+    } catch (err) {
+      if (err.code !== "EXDEV") throw err;
+      // Different device - copy, then remove the original
+      fs.cpSync(source.path, destination.path, { recursive: true });
+      fs.rmSync(source.path, { recursive: true, force: true });
+    }
+    
+    return {
+      success: true,
+      data: {
+        from: source.relative,
+        to: destination.relative,
+        files,
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: copy_path
+ * Copies a file or directory (recursively) within the project
+ */
+function copy_path(from, to, overwrite = false) {
+  console.log(`[TOOL:copy_path] from="${from}" to="${to}"`);
+  
+  try {
+    const transfer = resolveTransfer(from, to, overwrite);
+    if (transfer.error) {
+      return { success: false, error: transfer.error };
+    }
+    const { source, destination } = transfer;
+    
+    fs.mkdirSync(path.dirname(destination.path), { recursive: true });
+    fs.cpSync(source.path, destination.path, {
+      recursive: true,
+      force: overwrite,
+      errorOnExist: !overwrite,
+      filter: (file) => !PROTECTED_DIRS.includes(path.basename(file)),
+    });
+    
+    return {
+      success: true,
+      data: {
+        from: source.relative,
+        to: destination.relative,
+        files: countFiles(destination.path),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: delete_path
+ * Deletes a file, or a directory when recursive is set (or it is empty)
+ */
+function delete_path(targetPath, recursive = false) {
+  console.log(`[TOOL:delete_path] path="${targetPath}" recursive=${recursive}`);
+  
+  try {
+    const safe = safeMutablePath(targetPath);
     if (!safe.valid) {
       return { success: false, error: safe.error };
     }
     
-    const results = [];
+    if (!fs.existsSync(safe.path)) {
+      return { success: false, error: `Path not found: ${targetPath}` };
+    }
+    
+    const isDirectory = fs.statSync(safe.path).isDirectory();
+    const files = isDirectory ? countFiles(safe.path) : 1;
+    if (isDirectory && files > 0 && !recursive) {
+      return { success: false, error: `${targetPath} is a directory with ${files} file(s) - set recursive to delete it` };
+    }
+    
+    fs.rmSync(safe.path, { recursive: isDirectory, force: false });
     
-    function searchDir(dir) {
-      if (!fs.existsSync(dir)) return;
-      
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        
-        // Skip node_modules and .git
-        if (entry.name === "node_modules" || entry.name === ".git") continue;
-        
-        if (entry.isDirectory()) {
-          searchDir(fullPath);
-        } else if (entry.isFile()) {
-          // Check filename match
-          if (entry.name.toLowerCase().includes(query.toLowerCase())) {
-            results.push({
-              path: path.relative(PROJECT_ROOT, fullPath),
-              match: "filename",
-            });
-          } else {
-            // Check content match for text files
-            try {
-              const content = fs.readFileSync(fullPath, "utf8");
-              if (content.toLowerCase().includes(query.toLowerCase())) {
-                results.push({
-                  path: path.relative(PROJECT_ROOT, fullPath),
-                  match: "content",
-                });
-              }
-            } catch {
-              // Skip binary files or unreadable files
-            }
-          }
-        }
+    return {
+      success: true,
+      data: {
+        path: safe.relative,
+        type: isDirectory ? "directory" : "file",
+        files,
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * TOOL: make_dir
+ * Creates a directory (and any missing parents) within the project
+ */
+function make_dir(dirPath) {
+  console.log(`[TOOL:make_dir] path="${dirPath}"`);
+  
+  try {
+    const safe = safeMutablePath(dirPath);
+    if (!safe.valid) {
+      return { success: false, error: safe.error };
+    }
+    
+    if (fs.existsSync(safe.path)) {
+      if (!fs.statSync(safe.path).isDirectory()) {
+        return { success: false, error: `A file already exists at ${dirPath}` };
       }
+      return { success: true, data: { path: safe.relative, created: false, changed: false } };
     }
     
-    searchDir(safe.path);
+    fs.mkdirSync(safe.path, { recursive: true });
     
     return {
       success: true,
       data: {
-        query,
-        results: results.slice(0, 20), // Limit results
-        count: results.length,
+        path: safe.relative,
+        created: true,
       },
     };
   } catch (err) {
@@ -260,12 +753,159 @@ function search_files(query, searchPath = ".") {
   }
 }
 
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "write_file",
+    label: "Write file",
+    description: "Write content to a file (creates parent directories). Replaces the whole file.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+        content: { type: "string", description: "Full file content" },
+      },
+      required: ["path", "content"],
+      additionalProperties: false,
+    },
+    handler: (args) => write_file(args.path, args.content),
+    updateState: (state, result, args) => {
+      if (result.success && result.data.changed) state.addChangedFile(result.data.relativePath, "write");
+    },
+  },
+  {
+    name: "read_file",
+    label: "Read file",
+    description: "Read a file as numbered lines (\"<n>| text\" - leave the prefix out of edit_file oldText). Output is capped at maxBytes and ends with a marker giving the total line count and where to continue; use startLine/endLine to page through large files, or outline to list the top-level declarations of a JS/TS file first.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "File path relative to the project root" },
+        startLine: { type: "integer", minimum: 1, description: "First line to return, 1-based (default 1)" },
+        endLine: { type: "integer", minimum: 1, description: "Last line to return, inclusive (default: end of file)" },
+        maxBytes: { type: "integer", minimum: 256, maximum: 200000, description: `Output budget in bytes (default ${DEFAULT_READ_MAX_BYTES})` },
+        lineNumbers: { type: "boolean", description: "Prefix lines with their number (default true)" },
+        outline: { type: "boolean", description: "Return top-level exports, functions, classes, interfaces and types (JS/TS) with line numbers instead of the content" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: (args) => read_file(args.path, args),
+  },
+  {
+    name: "list_files",
+    label: "List directory",
+    description: "List the entries of a directory. With tree, list it recursively (skipping .gitignored files) with file sizes, line counts and modification dates - start here on an unfamiliar repo.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        dir: { type: "string", description: "Directory relative to the project root (default \".\")" },
+        tree: { type: "boolean", description: "Recursive tree listing (default false)" },
+        depth: { type: "integer", minimum: 1, maximum: 10, description: `Tree levels to expand; deeper directories are summarised (default ${TREE_DEFAULT_DEPTH})` },
+        includeIgnored: { type: "boolean", description: "Tree mode: also list files matched by .gitignore (default false)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => list_files(args.dir || ".", args),
+  },
+  {
+    name: "move_path",
+    label: "Move path",
+    description: "Move or rename a file or directory (creates parent directories). Use this instead of rewriting a file under a new name.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        from: { type: "string", minLength: 1, description: "Existing path relative to the project root" },
+        to: { type: "string", minLength: 1, description: "New path relative to the project root" },
+        overwrite: { type: "boolean", description: "Replace an existing destination file (default false)" },
+      },
+      required: ["from", "to"],
+      additionalProperties: false,
+    },
+    handler: (args) => move_path(args.from, args.to, args.overwrite),
+    updateState: (state, result) => {
+      if (result.success) state.addChangedFile(result.data.to, "move", result.data.from);
+    },
+  },
+  {
+    name: "copy_path",
+    label: "Copy path",
+    description: "Copy a file or directory (recursively) to a new path.",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        from: { type: "string", minLength: 1, description: "Existing path relative to the project root" },
+        to: { type: "string", minLength: 1, description: "Destination path relative to the project root" },
+        overwrite: { type: "boolean", description: "Replace an existing destination file (default false)" },
+      },
+      required: ["from", "to"],
+      additionalProperties: false,
+    },
+    handler: (args) => copy_path(args.from, args.to, args.overwrite),
+    updateState: (state, result) => {
+      if (result.success) state.addChangedFile(result.data.to, "copy", result.data.from);
+    },
+  },
+  {
+    name: "delete_path",
+    label: "Delete path",
+    description: "Delete a file, or a non-empty directory with recursive. Undone by git_restore_backup (gitignored files excepted).",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "Path relative to the project root" },
+        recursive: { type: "boolean", description: "Required to delete a directory that still has files (default false)" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: (args) => delete_path(args.path, args.recursive),
+    updateState: (state, result) => {
+      if (result.success) state.addChangedFile(result.data.path, "delete");
+    },
+  },
+  {
+    name: "make_dir",
+    label: "Make directory",
+    description: "Create a directory and any missing parents (no-op if it exists).",
+    sideEffect: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1, description: "Directory path relative to the project root" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: (args) => make_dir(args.path),
+    updateState: (state, result) => {
+      if (result.success && result.data.created) state.addChangedFile(result.data.path, "mkdir");
+    },
+  },
+];
+
 module.exports = {
   initialize,
+  descriptors,
   getRoot,
   safePath,
+  safeMutablePath,
+  matchDeclaration,
+  isOutlineFile,
   write_file,
   read_file,
   list_files,
-  search_files,
+  move_path,
+  copy_path,
+  delete_path,
+  make_dir,
 };
@@ -0,0 +1,59 @@
+/**
+ * FILESYSTEM TOOL TESTS
+ *
+ * Path confinement of the move/copy/delete/mkdir tools, including
+ * symlinked directories that lead out of the project or into .git.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const filesystem = require("./filesystem.js");
+
+const PROJECT_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), "filesystem-test-"));
+const OUTSIDE = fs.mkdtempSync(path.join(os.tmpdir(), "filesystem-test-outside-"));
+
+// Project with a file, a .git directory and symlinks out of the project and into .git
+fs.mkdirSync(path.join(PROJECT_ROOT, ".git", "hooks"), { recursive: true });
+fs.mkdirSync(path.join(PROJECT_ROOT, "src"));
+fs.writeFileSync(path.join(PROJECT_ROOT, "src", "a.js"), "a\n");
+fs.writeFileSync(path.join(OUTSIDE, "target.txt"), "outside\n");
+fs.symlinkSync(OUTSIDE, path.join(PROJECT_ROOT, "outside"));
+fs.symlinkSync(path.join(PROJECT_ROOT, ".git", "hooks"), path.join(PROJECT_ROOT, "hooks"));
+fs.symlinkSync(path.join(OUTSIDE, "target.txt"), path.join(PROJECT_ROOT, "link.txt"));
+filesystem.initialize(PROJECT_ROOT);
+
+test.after(() => {
+  fs.rmSync(PROJECT_ROOT, { recursive: true, force: true });
+  fs.rmSync(OUTSIDE, { recursive: true, force: true });
+});
+
+test("refuses to copy or move through a symlinked directory out of the project", () => {
+  assert.match(filesystem.copy_path("src/a.js", "outside/a.js").error, /symlink/);
+  assert.match(filesystem.copy_path("src/a.js", "outside/new/dir/a.js").error, /symlink/);
+  assert.match(filesystem.move_path("src/a.js", "outside/a.js").error, /symlink/);
+  assert.match(filesystem.make_dir("outside/dir").error, /symlink/);
+  assert.deepStrictEqual(fs.readdirSync(OUTSIDE), ["target.txt"]);
+  assert.ok(fs.existsSync(path.join(PROJECT_ROOT, "src", "a.js")));
+});
+
+test("refuses to write into .git through a symlink", () => {
+  assert.match(filesystem.copy_path("src/a.js", "hooks/pre-commit").error, /\.git/);
+  assert.deepStrictEqual(fs.readdirSync(path.join(PROJECT_ROOT, ".git", "hooks")), []);
+});
+
+test("refuses to overwrite a file through a symlink", () => {
+  assert.match(filesystem.copy_path("src/a.js", "link.txt", true).error, /symbolic link/);
+  assert.strictEqual(fs.readFileSync(path.join(OUTSIDE, "target.txt"), "utf8"), "outside\n");
+});
+
+test("still copies, moves and deletes inside the project", () => {
+  assert.strictEqual(filesystem.copy_path("src/a.js", "lib/deep/b.js").success, true);
+  assert.strictEqual(filesystem.move_path("lib/deep/b.js", "lib/c.js").success, true);
+  assert.strictEqual(filesystem.delete_path("link.txt").success, true);
+  assert.ok(fs.existsSync(path.join(OUTSIDE, "target.txt")));
+  assert.strictEqual(fs.readFileSync(path.join(PROJECT_ROOT, "lib", "c.js"), "utf8"), "a\n");
+});
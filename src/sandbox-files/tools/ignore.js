@@ -0,0 +1,173 @@
+/**
+ * IGNORE RULES
+ *
+ * Glob matching and .gitignore handling shared by the tools that walk
+ * the project tree (search_files, list_files tree mode).
+ *
+ * - .git and node_modules are always skipped (ALWAYS_SKIP)
+ * - .gitignore files are read per directory; later rules win and "!"
+ *   re-includes, like git. A pattern with a slash (other than a trailing
+ *   one) is anchored to its .gitignore's directory
+ * - Globs support "**", "*", "?", "[abc]" and "{a,b}"; a glob without "/"
+ *   matches the file name, otherwise the "/"-separated path relative to
+ *   the project root
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ALWAYS_SKIP = new Set([".git", "node_modules"]);
+
+/**
+ * Convert a glob to an anchored RegExp matched against "/"-separated paths
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        i++;
+        if (glob[i + 1] === "/") {
+          i++;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const close = glob.indexOf("]", i + 1);
+      if (close === -1) {
+        source += "\\[";
+      } else {
+        const body = glob.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\");
+        source += `[${body}]`;
+        i = close;
+      }
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else if (char === "\\" && i + 1 < glob.length) {
+      i++;
+      source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a matcher for include/exclude globs
+ * Returns (relativePath) => boolean, or null when there are no globs
+ */
+function createGlobMatcher(globs) {
+  const list = (Array.isArray(globs) ? globs : [globs]).filter(Boolean);
+  if (list.length === 0) return null;
+
+  const matchers = list.map((glob) => {
+    const trimmed = glob.replace(/^\.\//, "");
+    const regex = globToRegExp(trimmed);
+    return trimmed.includes("/")
+      ? (relativePath) => regex.test(relativePath)
+      : (relativePath) => regex.test(path.posix.basename(relativePath));
+  });
+  return (relativePath) => matchers.some((matches) => matches(relativePath));
+}
+
+/**
+ * Parse one .gitignore file into rules
+ * base: directory of the .gitignore, relative to the project root ("" for the root)
+ */
+function parseGitignore(content, base) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, "$1");
+
+    const dirOnly = line.endsWith("/");
+    if (dirOnly) line = line.slice(0, -1);
+    if (!line) continue;
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes("/");
+    const pattern = line.replace(/^\//, "");
+    const regex = globToRegExp(anchored ? pattern : `**/${pattern}`);
+
+    rules.push({ base, regex, negate, dirOnly });
+  }
+
+  return rules;
+}
+
+/**
+ * Read the .gitignore in a directory (if any) and return its rules
+ */
+function loadGitignore(absoluteDir, relativeDir) {
+  const file = path.join(absoluteDir, ".gitignore");
+  if (!fs.existsSync(file)) return [];
+  try {
+    return parseGitignore(fs.readFileSync(file, "utf8"), relativeDir);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Apply .gitignore rules to a path - later rules win, like git
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+    const local = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+    if (rule.regex.test(local)) ignored = !rule.negate;
+  }
+
+  return ignored;
+}
+
+/**
+ * Gitignore rules from the project root down to (and including) a directory,
+ * so a search that starts in a subdirectory still honours the parents' rules
+ */
+function loadParentGitignores(root, relativeDir) {
+  const rules = loadGitignore(root, "");
+  if (!relativeDir) return rules;
+
+  const parts = relativeDir.split("/");
+  for (let i = 1; i <= parts.length; i++) {
+    const dir = parts.slice(0, i).join("/");
+    rules.push(...loadGitignore(path.join(root, dir), dir));
+  }
+  return rules;
+}
+
+module.exports = {
+  ALWAYS_SKIP,
+  globToRegExp,
+  createGlobMatcher,
+  parseGitignore,
+  loadGitignore,
+  isIgnored,
+  loadParentGitignores,
+};
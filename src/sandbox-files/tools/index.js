@@ -6,10 +6,61 @@
  */
 
 const filesystem = require("./filesystem.js");
+const search = require("./search.js");
+const edit = require("./edit.js");
+const assets = require("./assets.js");
 const git = require("./git.js");
 const build = require("./build.js");
+const tests = require("./tests.js");
+const devserver = require("./devserver.js");
 const command = require("./command.js");
+const commandPolicy = require("./command-policy.js");
+const jobs = require("./jobs.js");
 const browser = require("./browser.js");
+const visual = require("./visual.js");
+
+/**
+ * TOOL REGISTRY
+ *
+ * Every tool module exports `descriptors` - the single source of truth
+ * for a tool. The dispatcher, the definitions sent to the model, the
+ * prompt overview and the UI labels are all derived from them.
+ *
+ * DESCRIPTOR:
+ * - name: Tool name the model calls
+ * - label: Short human-readable name for the UI
+ * - description: One line shown to the model
+ * - sideEffect: "read" | "write" | "execute" | "external"
+ * - parameters: JSON Schema for the arguments (validated before the handler runs)
+ * - handler(args): Runs the tool, returns { success, data, error } (or a promise of it)
+ * - updateState(state, result, args): Optional, records the outcome in agent state
+ */
+const CATEGORIES = [
+  { name: "FILESYSTEM", module: filesystem },
+  { name: "SEARCH", module: search },
+  { name: "EDITING", module: edit },
+  { name: "ASSETS", module: assets },
+  { name: "GIT", module: git },
+  { name: "BUILD", module: build },
+  { name: "TESTS", module: tests },
+  { name: "DEV SERVER", module: devserver },
+  { name: "COMMAND", module: command },
+  { name: "JOBS", module: jobs },
+  { name: "VERIFICATION", module: browser },
+  { name: "VISUAL DIFF", module: visual },
+];
+
+const SIDE_EFFECTS = ["read", "write", "execute", "external"];
+
+const DESCRIPTORS = CATEGORIES.flatMap(({ name, module }) =>
+  module.descriptors.map((descriptor) => ({ ...descriptor, category: name }))
+);
+
+for (const descriptor of DESCRIPTORS) {
+  if (!SIDE_EFFECTS.includes(descriptor.sideEffect)) {
+    throw new Error(`Tool ${descriptor.name} has unknown side effect "${descriptor.sideEffect}"`);
+  }
+}
 
 /**
  * Initialize all tools with project root
@@ -17,108 +68,91 @@ const browser = require("./browser.js");
 function initializeAll(projectRoot) {
   console.log(`[TOOLS] Initializing all tools with root: ${projectRoot}`);
   filesystem.initialize(projectRoot);
+  assets.initialize(projectRoot);
   git.initialize(projectRoot);
   build.initialize(projectRoot);
+  tests.initialize(projectRoot);
+  devserver.initialize(projectRoot);
   command.initialize(projectRoot);
+  jobs.initialize(projectRoot);
   browser.initialize(projectRoot);
+  visual.initialize(projectRoot);
 }
 
 /**
- * Get all available tools as a map
+ * Get all available tools as a map of name -> handler
  */
 function getAllTools() {
-  return {
-    // Filesystem
-    write_file: filesystem.write_file,
-    read_file: filesystem.read_file,
-    list_files: filesystem.list_files,
-    search_files: filesystem.search_files,
-    
-    // Git
-    git_clone: git.git_clone,
-    git_status: git.git_status,
-    git_diff: git.git_diff,
-    git_add: git.git_add,
-    git_commit: git.git_commit,
-    git_push: git.git_push,
-    git_create_pr: git.git_create_pr,
-    git_stash_backup: git.git_stash_backup,
-    git_restore_backup: git.git_restore_backup,
-    git_clear_backup: git.git_clear_backup,
-    git_log: git.git_log,
-    
-    // Build
-    npm_install: build.npm_install,
-    run_build: build.run_build,
-    run_lint: build.run_lint,
-    check_build_output: build.check_build_output,
-    
-    // Command (whitelisted)
-    run_command: command.run_command,
-    
-    // Verification (lightweight HTTP)
-    verify_url: browser.verify_url,
-  };
+  return Object.fromEntries(DESCRIPTORS.map((d) => [d.name, d.handler]));
 }
 
 /**
- * Get tool schema for LLM system prompt
+ * Look up a tool's descriptor by name (null if unknown)
  */
-function getToolSchema() {
-  return `
-AVAILABLE TOOLS:
+function getDescriptor(name) {
+  return DESCRIPTORS.find((d) => d.name === name) || null;
+}
 
-=== FILESYSTEM ===
-- write_file(path, content): Write content to a file
-- read_file(path): Read a file's contents  
-- list_files(dir): List directory contents (default: ".")
-- search_files(query, path): Search for files by name or content
+/**
+ * Get JSON Schema definitions for the model's native tool-calling API
+ */
+function getToolDefinitions() {
+  return DESCRIPTORS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
 
-=== GIT ===
-- git_clone(url, targetDir): Clone a repository
-- git_status(): Get current git status
-- git_diff(file?): Get diff of changes
-- git_add(files): Stage files (default: ".")
-- git_commit(message): Commit staged changes
-- git_push(branch): Push to FEATURE BRANCH (auto-creates, never pushes to main)
-- git_create_pr(title, body?): Create pull request from feature branch to main
-- git_stash_backup(): Create backup before modifications (call before editing files)
-- git_restore_backup(): Restore to pre-modification state (call if build fails)
-- git_clear_backup(): Clear backup after successful build
-- git_log(count): Get recent commits (default: 5)
+/**
+ * Get the tool catalog for the UI (no handlers or schemas)
+ */
+function getToolCatalog() {
+  return DESCRIPTORS.map(({ name, label, category, sideEffect }) => ({ name, label, category, sideEffect }));
+}
 
-=== BUILD ===
-- npm_install(): Install dependencies (fast with --prefer-offline)
-- run_build(): Run npm build
-- run_lint(): Run linter
-- check_build_output(): Check if build output exists
+/**
+ * Format a descriptor's signature, e.g. git_diff(file?)
+ */
+function formatSignature(descriptor) {
+  const properties = descriptor.parameters.properties || {};
+  const required = descriptor.parameters.required || [];
+  const args = Object.keys(properties).map((arg) => (required.includes(arg) ? arg : `${arg}?`));
+  return `${descriptor.name}(${args.join(", ")})`;
+}
 
-=== COMMAND ===
-- run_command(command, args): Run whitelisted command
-  Allowed: node, npm, npx, git, ls, cat, head, tail, grep, echo, pwd
-  Blocked: rm, curl, wget, sudo, ssh, kill, etc.
+/**
+ * Get tool overview for LLM system prompt
+ */
+function getToolSchema() {
+  const sections = CATEGORIES.map(({ name }) => {
+    const lines = DESCRIPTORS
+      .filter((d) => d.category === name)
+      .map((d) => `- ${formatSignature(d)}: ${d.description}`);
+    return `=== ${name} ===\n${lines.join("\n")}`;
+  });
 
-=== VERIFICATION ===
-- verify_url(url, expectedContent?, timeout?): Verify URL is accessible (lightweight HTTP check)
+  return `AVAILABLE TOOLS:
 
-SAFETY WORKFLOW:
-1. git_stash_backup() - Create backup BEFORE any file changes
-2. Make modifications with write_file()
-3. run_build() - Validate changes
-4. If build fails: git_restore_backup() to rollback
-5. If build passes: git_clear_backup(), git_add(), git_commit(), git_push(), git_create_pr()
-`;
+${sections.join("\n\n")}`;
 }
 
 module.exports = {
   initializeAll,
   getAllTools,
+  getDescriptor,
+  getToolDefinitions,
+  getToolCatalog,
   getToolSchema,
   
   // Export individual modules for direct access
   filesystem,
+  search,
+  edit,
+  assets,
   git,
   build,
+  tests,
+  devserver,
   command,
+  commandPolicy,
+  jobs,
   browser,
+  visual,
 };
@@ -0,0 +1,487 @@
+/**
+ * PROCESS RUNNER AND BACKGROUND JOBS
+ *
+ * Async process execution shared by the command, build, test and git
+ * tools. Replaces spawnSync, which blocked the agent for the whole
+ * command and lost all output when the timeout hit.
+ *
+ * RUNNER (run):
+ * - Per-call timeout; on expiry the process group gets SIGTERM, then
+ *   SIGKILL after KILL_GRACE_MS, and the output captured so far is kept
+ * - Output lines are streamed to the output listener as they arrive
+ *   (agent/index.js turns them into "output" events)
+ * - Each stream keeps its first and last MAX_CAPTURE_CHARS / 2 characters;
+ *   anything in between is replaced by a truncation note
+ *
+ * JOBS:
+ * run_command({ background: true }) starts a job and returns at once.
+ * job_status, job_output and job_kill inspect and stop it. Running jobs
+ * are stopped at the end of the run (stopAllJobs) and killed when the
+ * agent exits.
+ */
+
+const { spawn } = require("child_process");
+
+let PROJECT_ROOT = "/vercel/sandbox";
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_JOB_TIMEOUT = 10 * 60 * 1000;
+const KILL_GRACE_MS = 3000;
+
+// Characters kept per stream (head + tail)
+const MAX_CAPTURE_CHARS = 1024 * 1024;
+
+// Output returned by job_output
+const MAX_OUTPUT_CHARS = 4000;
+
+// Lines streamed per process and the length of each streamed line
+const MAX_STREAMED_LINES = 500;
+const MAX_LINE_CHARS = 500;
+
+const MAX_RUNNING_JOBS = 4;
+
+// All jobs of this run by id, and every running process group
+const JOBS = new Map();
+const RUNNING = new Set();
+let nextJobId = 1;
+
+// Receives { command, jobId, stream, line } for each output line
+let outputListener = null;
+
+/**
+ * Initialize jobs with project root
+ */
+function initialize(root) {
+  PROJECT_ROOT = root;
+}
+
+/**
+ * Set the function that receives streamed output lines (null to stop)
+ */
+function setOutputListener(listener) {
+  outputListener = listener;
+}
+
+// ================================================================
+// OUTPUT
+// ================================================================
+
+/**
+ * Head + tail capture of a stream
+ */
+function createCapture(limit = MAX_CAPTURE_CHARS) {
+  return { head: "", tail: "", total: 0, half: Math.floor(limit / 2) };
+}
+
+function appendCapture(capture, text) {
+  capture.total += text.length;
+  const room = capture.half - capture.head.length;
+  if (room > 0) {
+    capture.head += text.slice(0, room);
+    text = text.slice(room);
+  }
+  if (text) {
+    capture.tail = (capture.tail + text).slice(-capture.half);
+  }
+}
+
+function truncationNote(omitted) {
+  return `\n... [${omitted} characters truncated] ...\n`;
+}
+
+function isTruncated(capture) {
+  return capture.head.length + capture.tail.length < capture.total;
+}
+
+/**
+ * Captured text, with a note where the middle was dropped
+ */
+function captureText(capture) {
+  return isTruncated(capture)
+    ? capture.head + truncationNote(capture.total - capture.head.length - capture.tail.length) + capture.tail
+    : capture.head + capture.tail;
+}
+
+/**
+ * Clip text to maxChars: the start and the end, with a truncation note between
+ */
+function clipOutput(text, maxChars = MAX_OUTPUT_CHARS) {
+  if (text.length <= maxChars) return text;
+  const half = Math.floor(maxChars / 2);
+  return text.slice(0, half) + truncationNote(text.length - 2 * half) + text.slice(-half);
+}
+
+/**
+ * Split chunks into lines and pass them to the listener
+ */
+function createLineStream(source, stream) {
+  let partial = "";
+  const emit = (line) => {
+    if (!outputListener || !line.trim()) return;
+    source.streamed++;
+    if (source.streamed === MAX_STREAMED_LINES + 1) {
+      line = `... [output streaming stopped after ${MAX_STREAMED_LINES} lines]`;
+    } else if (source.streamed > MAX_STREAMED_LINES) {
+      return;
+    }
+    try {
+      outputListener({
+        command: source.command,
+        jobId: source.jobId,
+        stream,
+        line: line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}...` : line,
+      });
+    } catch {
+      // A failing listener must not break the process
+    }
+  };
+
+  return {
+    write(text) {
+      const lines = (partial + text).split(/\r?\n/);
+      partial = lines.pop();
+      lines.forEach(emit);
+    },
+    end() {
+      emit(partial);
+      partial = "";
+    },
+  };
+}
+
+// ================================================================
+// RUNNER
+// ================================================================
+
+/**
+ * Signal a process group (the command and everything it spawned)
+ */
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Group already gone
+  }
+}
+
+// Never leave a process behind, whatever way the agent exits
+process.on("exit", () => {
+  for (const child of RUNNING) killGroup(child, "SIGKILL");
+});
+
+/**
+ * Start a process
+ * options: cwd, env (merged over process.env), timeout (ms, 0 = none),
+ * maxOutput (characters kept per stream), label (command shown in output events), jobId
+ * Returns { child, stdout, stderr, done } - stdout/stderr are live captures,
+ * done resolves to the result (see run).
+ */
+function start(command, args = [], options = {}) {
+  const {
+    cwd = PROJECT_ROOT,
+    env,
+    timeout = DEFAULT_TIMEOUT,
+    maxOutput = MAX_CAPTURE_CHARS,
+    label = [command, ...args].join(" "),
+    jobId = null,
+  } = options;
+
+  const startedAt = Date.now();
+  const handle = {
+    stdout: createCapture(maxOutput),
+    stderr: createCapture(maxOutput),
+    timedOut: false,
+    killed: false,
+  };
+  const source = { command: label, jobId, streamed: 0 };
+  const lines = { stdout: createLineStream(source, "stdout"), stderr: createLineStream(source, "stderr") };
+
+  // detached: own process group, so a timeout also stops the command's children
+  const child = spawn(command, args, {
+    cwd,
+    env: { ...process.env, ...env },
+    detached: true,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  handle.child = child;
+  if (child.pid) RUNNING.add(child);
+
+  for (const stream of ["stdout", "stderr"]) {
+    child[stream].setEncoding("utf8");
+    child[stream].on("data", (text) => {
+      appendCapture(handle[stream], text);
+      lines[stream].write(text);
+    });
+  }
+
+  handle.stop = (signal = "SIGTERM") => {
+    killGroup(child, signal);
+    if (signal !== "SIGKILL") {
+      setTimeout(() => killGroup(child, "SIGKILL"), KILL_GRACE_MS).unref();
+    }
+  };
+
+  let timer = null;
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      handle.timedOut = true;
+      handle.stop();
+    }, timeout);
+  }
+
+  handle.done = new Promise((resolve) => {
+    let spawnError = null;
+    let settled = false;
+    let closed = false;
+    const finish = (code, signal) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      // Exited, but something it started still holds the pipes: stop the group
+      if (!closed && child.pid) handle.stop();
+      RUNNING.delete(child);
+      lines.stdout.end();
+      lines.stderr.end();
+      if (spawnError) appendCapture(handle.stderr, spawnError.message);
+      resolve({
+        exitCode: code ?? -1,
+        signal: signal ?? null,
+        stdout: captureText(handle.stdout),
+        stderr: captureText(handle.stderr),
+        truncated: isTruncated(handle.stdout) || isTruncated(handle.stderr),
+        timedOut: handle.timedOut,
+        killed: handle.killed,
+        durationMs: Date.now() - startedAt,
+      });
+    };
+
+    child.on("error", (err) => {
+      spawnError = err;
+      if (!child.pid) finish(null, null);
+    });
+    child.on("close", (code, signal) => {
+      closed = true;
+      finish(code, signal);
+    });
+    // A grandchild holding the pipes open must not keep the result waiting,
+    // and the command itself has finished in time
+    child.on("exit", (code, signal) => {
+      clearTimeout(timer);
+      setTimeout(() => finish(code, signal), KILL_GRACE_MS).unref();
+    });
+  });
+
+  return handle;
+}
+
+/**
+ * Run a process to completion
+ * Resolves to { exitCode, signal, stdout, stderr, truncated, timedOut, killed, durationMs }
+ * (exitCode -1 when the process could not start or was killed by a signal)
+ */
+function run(command, args = [], options = {}) {
+  return start(command, args, options).done;
+}
+
+// ================================================================
+// JOBS
+// ================================================================
+
+function jobStatus(job) {
+  if (!job.result) return "running";
+  if (job.result.timedOut) return "timed_out";
+  if (job.result.killed) return "killed";
+  return "exited";
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    command: job.command,
+    status: jobStatus(job),
+    pid: job.handle.child.pid ?? null,
+    exitCode: job.result ? job.result.exitCode : null,
+    runningMs: (job.result ? job.finishedAt : Date.now()) - job.startedAt,
+  };
+}
+
+function findJob(id) {
+  return JOBS.get(Number(id)) || null;
+}
+
+function unknownJob(id) {
+  return {
+    success: false,
+    error: `Unknown job: ${id}`,
+    data: { jobs: [...JOBS.keys()] },
+  };
+}
+
+/**
+ * Start a background job (same options as run)
+ * Returns the job description, or throws when too many jobs are running.
+ */
+function startJob(command, args = [], options = {}) {
+  const running = [...JOBS.values()].filter((job) => !job.result).length;
+  if (running >= MAX_RUNNING_JOBS) {
+    throw new Error(`${running} jobs already running - wait for one or stop it with job_kill`);
+  }
+
+  const id = nextJobId++;
+  const handle = start(command, args, { timeout: DEFAULT_JOB_TIMEOUT, ...options, jobId: id });
+  const job = {
+    id,
+    command: [command, ...args].join(" "),
+    handle,
+    startedAt: Date.now(),
+    result: null,
+    finishedAt: null,
+  };
+  handle.done.then((result) => {
+    job.result = result;
+    job.finishedAt = Date.now();
+    console.log(`[JOBS] Job ${id} ${jobStatus(job)} (exitCode=${result.exitCode})`);
+  });
+  JOBS.set(id, job);
+
+  console.log(`[JOBS] Started job ${id}: ${job.command} (pid ${handle.child.pid})`);
+  return describeJob(job);
+}
+
+/**
+ * TOOL: job_status
+ * One job, or every job of this run
+ */
+function job_status(id) {
+  console.log(`[TOOL:job_status] id=${id ?? "all"}`);
+
+  if (id === undefined) {
+    return { success: true, data: { jobs: [...JOBS.values()].map(describeJob) } };
+  }
+  const job = findJob(id);
+  return job ? { success: true, data: describeJob(job) } : unknownJob(id);
+}
+
+/**
+ * TOOL: job_output
+ * Output of a job so far: the last `lines` lines, or the start and end
+ */
+function job_output(id, lines) {
+  console.log(`[TOOL:job_output] id=${id}${lines ? ` lines=${lines}` : ""}`);
+
+  const job = findJob(id);
+  if (!job) return unknownJob(id);
+
+  const read = (capture) => {
+    const text = captureText(capture);
+    return lines
+      ? clipOutput(text.replace(/\n$/, "").split("\n").slice(-lines).join("\n"))
+      : clipOutput(text);
+  };
+
+  return {
+    success: true,
+    data: {
+      ...describeJob(job),
+      stdout: read(job.handle.stdout),
+      stderr: read(job.handle.stderr),
+      outputChars: job.handle.stdout.total + job.handle.stderr.total,
+    },
+  };
+}
+
+/**
+ * TOOL: job_kill
+ * Stop a job (SIGTERM, SIGKILL after a grace period)
+ */
+async function job_kill(id) {
+  console.log(`[TOOL:job_kill] id=${id}`);
+
+  const job = findJob(id);
+  if (!job) return unknownJob(id);
+  if (job.result) {
+    return { success: true, data: { ...describeJob(job), message: `Job ${job.id} already ${jobStatus(job)}` } };
+  }
+
+  job.handle.killed = true;
+  job.handle.stop();
+  await job.handle.done;
+  return { success: true, data: { ...describeJob(job), message: `Job ${job.id} stopped` } };
+}
+
+/**
+ * Stop every running job (end of run)
+ * Returns the ids of the jobs that were stopped.
+ */
+async function stopAllJobs() {
+  const running = [...JOBS.values()].filter((job) => !job.result);
+  for (const job of running) {
+    job.handle.killed = true;
+    job.handle.stop();
+  }
+  await Promise.all(running.map((job) => job.handle.done));
+  return running.map((job) => job.id);
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const JOB_ID = { type: "integer", minimum: 1, description: "Job id returned by run_command with background: true" };
+
+const descriptors = [
+  {
+    name: "job_status",
+    label: "Job status",
+    description: "Status of a background job (running, exited, timed_out, killed) and its exit code; all jobs when id is omitted.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: { id: JOB_ID },
+      additionalProperties: false,
+    },
+    handler: (args) => job_status(args.id),
+  },
+  {
+    name: "job_output",
+    label: "Job output",
+    description: "Output of a background job so far (start and end, or the last `lines` lines).",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        id: JOB_ID,
+        lines: { type: "integer", minimum: 1, maximum: 500, description: "Only the last N lines of each stream" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    handler: (args) => job_output(args.id, args.lines),
+  },
+  {
+    name: "job_kill",
+    label: "Stop job",
+    description: "Stop a background job and everything it started.",
+    sideEffect: "execute",
+    parameters: {
+      type: "object",
+      properties: { id: JOB_ID },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    handler: (args) => job_kill(args.id),
+  },
+];
+
+module.exports = {
+  initialize,
+  setOutputListener,
+  descriptors,
+  run,
+  startJob,
+  stopAllJobs,
+  clipOutput,
+  job_status,
+  job_output,
+  job_kill,
+};
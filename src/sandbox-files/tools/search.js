@@ -0,0 +1,346 @@
+/**
+ * SEARCH TOOLS
+ *
+ * Code search over the project, so the agent can locate a line without
+ * reading whole files.
+ *
+ * TOOLS:
+ * - search_files: Literal or regex search over file contents, with line
+ *   numbers, context lines and paging; or a symbol search that finds
+ *   JS/TS declarations by name
+ *
+ * WALK (rules in ignore.js):
+ * - .git and node_modules are always skipped
+ * - .gitignore files (root and nested) are honoured unless includeIgnored
+ * - include/exclude globs filter files (and prune excluded directories)
+ * - Binary files (NUL byte in the first 8KB) and files over MAX_FILE_BYTES
+ *   are skipped and counted
+ *
+ * RANKING:
+ * Files are ordered by their best match - declarations first, then whole
+ * word matches, then exact-case matches - and by match count. Matches
+ * within a file stay in line order.
+ *
+ * Paths go through filesystem.safePath - same confinement as read_file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const filesystem = require("./filesystem.js");
+const { ALWAYS_SKIP, createGlobMatcher, loadGitignore, isIgnored, loadParentGitignores } = require("./ignore.js");
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+const MAX_FILES = 5000;
+const MAX_MATCHES = 2000;
+const MAX_LINE_LENGTH = 300;
+const DEFAULT_LIMIT = 30;
+
+// ================================================================
+// WALK
+// ================================================================
+
+/**
+ * Walk the project from a directory, calling visit(absolutePath, relativePath)
+ * for every file that survives the skip list, .gitignore and globs.
+ * Returns { filesVisited, limitReached }.
+ */
+function walkFiles(startPath, options, visit) {
+  const root = filesystem.getRoot();
+  const { includeIgnored = false, include, exclude } = options;
+  const includes = createGlobMatcher(include);
+  const excludes = createGlobMatcher(exclude);
+  const toRelative = (absolute) => path.relative(root, absolute).split(path.sep).join("/");
+
+  let filesVisited = 0;
+  let limitReached = false;
+
+  function considerFile(absolute, rules) {
+    const relative = toRelative(absolute);
+    if (!includeIgnored && isIgnored(rules, relative, false)) return;
+    if (includes && !includes(relative)) return;
+    if (excludes && excludes(relative)) return;
+    if (filesVisited >= MAX_FILES) {
+      limitReached = true;
+      return;
+    }
+    filesVisited++;
+    visit(absolute, relative);
+  }
+
+  function walk(dir, parentRules) {
+    const relativeDir = toRelative(dir);
+    const rules = includeIgnored || dir === startPath ? parentRules : [...parentRules, ...loadGitignore(dir, relativeDir)];
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (limitReached) return;
+      if (ALWAYS_SKIP.has(entry.name)) continue;
+      const absolute = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const relative = toRelative(absolute);
+        if (!includeIgnored && isIgnored(rules, relative, true)) continue;
+        if (excludes && excludes(relative)) continue;
+        walk(absolute, rules);
+      } else if (entry.isFile()) {
+        considerFile(absolute, rules);
+      }
+    }
+  }
+
+  const startRules = includeIgnored ? [] : loadParentGitignores(root, toRelative(startPath));
+  if (fs.statSync(startPath).isDirectory()) {
+    walk(startPath, startRules);
+  } else {
+    considerFile(startPath, startRules);
+  }
+
+  return { filesVisited, limitReached };
+}
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Read a file for searching, or report why it was skipped
+ * Returns { lines } or { skipped: "binary" | "large" }
+ */
+function readSearchable(absolutePath) {
+  const stats = fs.statSync(absolutePath);
+  if (stats.size > MAX_FILE_BYTES) return { skipped: "large" };
+
+  const buffer = fs.readFileSync(absolutePath);
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return { skipped: "binary" };
+
+  const lines = buffer.toString("utf8").split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return { lines };
+}
+
+function clipLine(text) {
+  return text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)} ...` : text;
+}
+
+/**
+ * Context lines around a match, numbered like read_file ("<n>| text")
+ */
+function contextLines(lines, from, to) {
+  const result = [];
+  for (let n = Math.max(1, from); n <= Math.min(lines.length, to); n++) {
+    result.push(`${n}| ${clipLine(lines[n - 1])}`);
+  }
+  return result;
+}
+
+/**
+ * Build the line matcher for literal/regex mode
+ * Returns { test(line) => column (1-based) | 0, word: RegExp } or { error }
+ */
+function createLineMatcher(query, mode, caseSensitive) {
+  let source = mode === "regex" ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let regex;
+  try {
+    regex = new RegExp(source, caseSensitive ? "" : "i");
+  } catch (err) {
+    return { error: `Invalid regex: ${err.message}` };
+  }
+
+  return {
+    test: (line) => {
+      const match = regex.exec(line);
+      return match ? match.index + 1 : 0;
+    },
+    // Used for ranking only
+    word: new RegExp(`(?:^|[^\\w$])(?:${source})(?:$|[^\\w$])`, caseSensitive ? "" : "i"),
+    exact: new RegExp(source),
+  };
+}
+
+/**
+ * Score a content match: declaration > whole word > exact case
+ */
+function scoreMatch(line, matcher) {
+  let score = 0;
+  if (filesystem.matchDeclaration(line.trim())) score += 4;
+  if (matcher.word.test(line)) score += 2;
+  if (matcher.exact.test(line)) score += 1;
+  return score;
+}
+
+/**
+ * Score a symbol match: exact name > prefix > substring; top-level and exported rank higher
+ */
+function scoreSymbol(declaration, query, topLevel) {
+  const name = declaration.name.toLowerCase();
+  const wanted = query.toLowerCase();
+  let score = name === wanted ? 8 : name.startsWith(wanted) ? 4 : 0;
+  if (declaration.name === query) score += 1;
+  if (topLevel) score += 2;
+  if (declaration.exported) score += 1;
+  return score;
+}
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: search_files
+ * Search file contents (mode "literal" | "regex") or JS/TS declarations
+ * (mode "symbol"). Results are ranked by file and paged with offset/limit.
+ */
+function search_files(query, options = {}) {
+  const {
+    path: searchPath = ".",
+    mode = "literal",
+    caseSensitive = false,
+    include,
+    exclude,
+    includeIgnored = false,
+    context = 0,
+    offset = 0,
+    limit = DEFAULT_LIMIT,
+  } = options;
+  console.log(`[TOOL:search_files] query="${query}" mode=${mode} path="${searchPath}" offset=${offset}`);
+
+  try {
+    const safe = filesystem.safePath(searchPath);
+    if (!safe.valid) {
+      return { success: false, error: safe.error };
+    }
+    if (!fs.existsSync(safe.path)) {
+      return { success: false, error: `Path not found: ${searchPath}` };
+    }
+
+    const matcher = mode === "symbol" ? null : createLineMatcher(query, mode, caseSensitive);
+    if (matcher?.error) {
+      return { success: false, error: matcher.error };
+    }
+
+    const files = [];
+    const skipped = { binary: 0, large: 0 };
+    let totalMatches = 0;
+
+    const walk = walkFiles(safe.path, { include, exclude, includeIgnored }, (absolute, relative) => {
+      if (totalMatches >= MAX_MATCHES) return;
+      if (mode === "symbol" && !filesystem.isOutlineFile(absolute)) return;
+
+      const file = readSearchable(absolute);
+      if (file.skipped) {
+        skipped[file.skipped]++;
+        return;
+      }
+
+      const matches = [];
+      file.lines.forEach((line, index) => {
+        if (totalMatches + matches.length >= MAX_MATCHES) return;
+
+        if (mode === "symbol") {
+          const trimmed = line.trimStart();
+          const declaration = filesystem.matchDeclaration(trimmed);
+          if (!declaration || !declaration.name.toLowerCase().includes(query.toLowerCase())) return;
+          const topLevel = trimmed.length === line.length;
+          matches.push({
+            line: index + 1,
+            kind: declaration.kind,
+            name: declaration.name,
+            exported: declaration.exported,
+            topLevel,
+            text: clipLine(line.trim()),
+            score: scoreSymbol(declaration, query, topLevel),
+          });
+          return;
+        }
+
+        const column = matcher.test(line);
+        if (!column) return;
+        matches.push({ line: index + 1, column, text: clipLine(line), score: scoreMatch(line, matcher) });
+      });
+
+      if (matches.length > 0) {
+        totalMatches += matches.length;
+        files.push({ relative, lines: file.lines, matches, best: Math.max(...matches.map((m) => m.score)) });
+      }
+    });
+
+    files.sort((a, b) => b.best - a.best || b.matches.length - a.matches.length || a.relative.localeCompare(b.relative));
+
+    const ranked = files.flatMap((file) => file.matches.map((match) => ({ file, match })));
+    const page = ranked.slice(offset, offset + limit).map(({ file, match }) => {
+      const { score, ...result } = match;
+      const entry = { path: file.relative, ...result };
+      if (context > 0) {
+        entry.before = contextLines(file.lines, match.line - context, match.line - 1);
+        entry.after = contextLines(file.lines, match.line + 1, match.line + context);
+      }
+      return entry;
+    });
+
+    const nextOffset = offset + page.length;
+    const capped = walk.limitReached || totalMatches >= MAX_MATCHES;
+
+    return {
+      success: true,
+      data: {
+        query,
+        mode,
+        results: page,
+        offset,
+        returned: page.length,
+        total: ranked.length,
+        filesMatched: files.length,
+        filesSearched: walk.filesVisited,
+        skipped,
+        ...(nextOffset < ranked.length ? { nextOffset } : {}),
+        ...(capped ? { note: `Search stopped early (limit of ${MAX_FILES} files / ${MAX_MATCHES} matches) - narrow it with path or include` } : {}),
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const globList = (description) => ({
+  type: ["string", "array"],
+  items: { type: "string", minLength: 1 },
+  description,
+});
+
+const descriptors = [
+  {
+    name: "search_files",
+    label: "Search files",
+    description: "Search file contents and get matching lines with line numbers (mode literal or regex), or find JS/TS declarations by name (mode symbol). Skips .gitignored, binary and node_modules files. Results are ranked and paged: pass nextOffset as offset to see more.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", minLength: 1, description: "Text, regular expression or symbol name to search for" },
+        mode: { type: "string", enum: ["literal", "regex", "symbol"], description: "literal (default), regex (JavaScript syntax) or symbol (declaration names, substring match)" },
+        path: { type: "string", description: "Directory or file to search (default \".\")" },
+        caseSensitive: { type: "boolean", description: "Match case (default false)" },
+        include: globList("Only search files matching these globs, e.g. \"*.tsx\" or \"src/**/*.{ts,tsx}\""),
+        exclude: globList("Skip files and directories matching these globs"),
+        includeIgnored: { type: "boolean", description: "Also search files matched by .gitignore (default false)" },
+        context: { type: "integer", minimum: 0, maximum: 10, description: "Lines of context before and after each match (default 0)" },
+        offset: { type: "integer", minimum: 0, description: "Skip this many ranked results (default 0)" },
+        limit: { type: "integer", minimum: 1, maximum: 200, description: `Results to return (default ${DEFAULT_LIMIT})` },
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+    handler: (args) => search_files(args.query, args),
+  },
+];
+
+module.exports = {
+  descriptors,
+  walkFiles,
+  search_files,
+};
@@ -0,0 +1,471 @@
+/**
+ * TEST TOOLS
+ *
+ * Runs the target repository's test suite and reports per-test results,
+ * so the agent can see which tests failed and where.
+ *
+ * RUNNERS (detected from package.json, see detectTestRunner):
+ * - vitest:     vitest run --reporter=json --outputFile=<tmp>
+ * - jest:       jest --json --outputFile=<tmp>
+ * - playwright: playwright test --reporter=json (PLAYWRIGHT_JSON_OUTPUT_NAME=<tmp>)
+ * - mocha:      mocha --reporter json (stdout)
+ * - node:       node --test --test-reporter=tap (stdout)
+ *
+ * Runners are started from node_modules/.bin, not through the "test"
+ * script, so the reporter and filters can be added. Results are
+ * normalized to { passed, failed, skipped, total, failures[] } where a
+ * failure is { file, name, message, location }.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const filesystem = require("./filesystem.js");
+const jobs = require("./jobs.js");
+const { stripAnsi } = require("./diagnostics.js");
+
+let PROJECT_ROOT = "/vercel/sandbox";
+
+// Overridable per run with configure()
+let TEST_TIMEOUT = 180000;
+const MAX_FAILURES = 20;
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_OUTPUT_CHARS = 4000;
+
+/**
+ * Initialize test tools with project root
+ */
+function initialize(root) {
+  PROJECT_ROOT = root;
+}
+
+/**
+ * Override the test timeout for this run: { timeout } in ms
+ */
+function configure({ timeout } = {}) {
+  if (Number.isFinite(timeout) && timeout > 0) TEST_TIMEOUT = timeout;
+}
+
+// ================================================================
+// DETECTION
+// ================================================================
+
+// Package that identifies each runner, in detection order
+const RUNNER_PACKAGES = [
+  ["vitest", "vitest"],
+  ["jest", "jest"],
+  ["@playwright/test", "playwright"],
+  ["mocha", "mocha"],
+];
+
+/**
+ * Detect the test runner from package.json
+ * The "test" script wins when it names a runner; otherwise the first
+ * runner found in the dependencies. Returns null when there is none.
+ */
+function detectTestRunner(root = PROJECT_ROOT) {
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+
+  const dependencies = { ...pkg.devDependencies, ...pkg.dependencies };
+  const testScript = pkg.scripts?.test || "";
+
+  if (/\bnode\b.*--test\b/.test(testScript)) return "node";
+  const named = RUNNER_PACKAGES.find(([, runner]) => new RegExp(`\\b${runner}\\b`).test(testScript));
+  if (named && dependencies[named[0]]) return named[1];
+
+  const installed = RUNNER_PACKAGES.find(([pkgName]) => dependencies[pkgName]);
+  return installed ? installed[1] : null;
+}
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+function tempFile(name) {
+  return path.join(os.tmpdir(), `agent-tests-${process.pid}-${Date.now()}-${name}`);
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * First JSON object in mixed output (reporters can be preceded by logs)
+ */
+function extractJson(text) {
+  const start = text.indexOf("{");
+  if (start === -1) return null;
+  try {
+    return JSON.parse(text.slice(start));
+  } catch {
+    return null;
+  }
+}
+
+function relativeFile(file) {
+  if (!file) return null;
+  const relative = path.isAbsolute(file) ? path.relative(PROJECT_ROOT, file) : file;
+  return relative.split(path.sep).join("/");
+}
+
+function cleanMessage(message) {
+  return stripAnsi(String(message || "")).trim().slice(0, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * First stack frame inside the project (not node_modules): "src/a.test.ts:12:5"
+ * Frames may be absolute, file:// URLs or relative to the project (mocha)
+ */
+function stackLocation(text) {
+  const frame = /(?:\(|at |^\s*)((?:file:\/\/)?[^\s()]+):(\d+):(\d+)\)?/gm;
+  let match;
+  while ((match = frame.exec(stripAnsi(String(text || "")))) !== null) {
+    const file = match[1].replace(/^file:\/\//, "");
+    if (file.startsWith("node:") || file.includes("node_modules")) continue;
+    if (path.isAbsolute(file) && !file.startsWith(PROJECT_ROOT + path.sep)) continue;
+    return `${relativeFile(file)}:${match[2]}:${match[3]}`;
+  }
+  return null;
+}
+
+// ================================================================
+// REPORT PARSERS
+// ================================================================
+
+/**
+ * Jest and Vitest share the Jest JSON format
+ */
+function parseJestReport(report) {
+  const failures = [];
+  let skipped = 0;
+
+  for (const file of report.testResults || []) {
+    for (const test of file.assertionResults || []) {
+      if (test.status === "pending" || test.status === "skipped" || test.status === "todo") skipped++;
+      if (test.status !== "failed") continue;
+      const message = (test.failureMessages || []).join("\n");
+      failures.push({
+        file: relativeFile(file.name),
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(" > "),
+        message: cleanMessage(message.split(/\n\s+at /)[0]),
+        location: stackLocation(message) || (test.location ? `${relativeFile(file.name)}:${test.location.line}:${test.location.column}` : null),
+      });
+    }
+    // A file that fails to load has no assertion results, only a message
+    if ((file.assertionResults || []).length === 0 && file.status === "failed") {
+      failures.push({
+        file: relativeFile(file.name),
+        name: "(test file failed to run)",
+        message: cleanMessage(file.message),
+        location: stackLocation(file.message),
+      });
+    }
+  }
+
+  return {
+    passed: report.numPassedTests || 0,
+    failed: Math.max(report.numFailedTests || 0, failures.length),
+    skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0) || skipped,
+    failures,
+  };
+}
+
+function parsePlaywrightReport(report) {
+  const failures = [];
+  const visit = (suite, titles) => {
+    for (const spec of suite.specs || []) {
+      for (const test of spec.tests || []) {
+        const last = (test.results || [])[test.results.length - 1];
+        if (!last || !["failed", "timedOut", "interrupted"].includes(last.status)) continue;
+        failures.push({
+          file: relativeFile(spec.file || suite.file),
+          name: [...titles, spec.title].filter(Boolean).join(" > ") + (test.projectName ? ` [${test.projectName}]` : ""),
+          message: cleanMessage(last.error?.message || last.status),
+          location: last.error?.location
+            ? `${relativeFile(last.error.location.file)}:${last.error.location.line}:${last.error.location.column}`
+            : `${relativeFile(spec.file || suite.file)}:${spec.line}:${spec.column}`,
+        });
+      }
+    }
+    for (const child of suite.suites || []) visit(child, [...titles, child.title]);
+  };
+  for (const suite of report.suites || []) visit(suite, []);
+
+  const stats = report.stats || {};
+  return {
+    passed: (stats.expected || 0) + (stats.flaky || 0),
+    failed: stats.unexpected ?? failures.length,
+    skipped: stats.skipped || 0,
+    failures,
+  };
+}
+
+function parseMochaReport(report) {
+  return {
+    passed: report.stats?.passes || 0,
+    failed: report.stats?.failures || 0,
+    skipped: report.stats?.pending || 0,
+    failures: (report.failures || []).map((test) => ({
+      file: relativeFile(test.file),
+      name: test.fullTitle || test.title,
+      message: cleanMessage(test.err?.message),
+      location: stackLocation(test.err?.stack),
+    })),
+  };
+}
+
+/**
+ * Node's TAP reporter: "not ok N - name" followed by an indented YAML block
+ */
+function parseTap(output) {
+  const lines = stripAnsi(output).split(/\r?\n/);
+  const counts = {};
+  const failures = [];
+
+  lines.forEach((line, index) => {
+    const count = line.match(/^# (pass|fail|skipped|todo) (\d+)$/);
+    if (count) counts[count[1]] = Number(count[2]);
+
+    const failed = line.match(/^(\s*)not ok \d+ - (.*?)(?:\s+#\s*(SKIP|TODO).*)?$/);
+    if (!failed || failed[3]) return;
+
+    // The YAML block that follows: location, error
+    const block = [];
+    for (let i = index + 1; i < lines.length && !/^\s*\.\.\.$/.test(lines[i]); i++) block.push(lines[i]);
+    const field = (name) => {
+      const at = block.findIndex((entry) => new RegExp(`^\\s*${name}:`).test(entry));
+      if (at === -1) return null;
+      const [, indent, value] = block[at].match(/^(\s*)\w+:\s*(.*)$/);
+      if (!/^[|>]-?$/.test(value)) return value.replace(/^'|'$/g, "");
+      // Block scalar: the following, more indented lines
+      const text = [];
+      for (let i = at + 1; i < block.length && (block[i].trim() === "" || block[i].match(/^\s*/)[0].length > indent.length); i++) {
+        text.push(block[i].trim());
+      }
+      return text.join("\n");
+    };
+
+    // Parent suites are reported as failed too ("1 subtest failed") - keep the leaf
+    if (field("failureType") === "subtestsFailed") return;
+
+    const located = field("location")?.match(/^(.*):(\d+):(\d+)$/);
+    failures.push({
+      file: located ? relativeFile(located[1]) : null,
+      name: failed[2],
+      message: cleanMessage(field("error") || "failed"),
+      location: stackLocation(field("stack")) || (located ? `${relativeFile(located[1])}:${located[2]}:${located[3]}` : null),
+    });
+  });
+
+  return {
+    passed: counts.pass || 0,
+    // "# fail" also counts the parent suites of a failing test
+    failed: failures.length || counts.fail || 0,
+    skipped: (counts.skipped || 0) + (counts.todo || 0),
+    failures,
+  };
+}
+
+// ================================================================
+// RUNNERS
+// ================================================================
+
+/**
+ * Command, environment and report reader for each runner
+ * files: paths/patterns to run; name: test name pattern
+ * The name is always passed as --flag=value so it can never become a flag itself.
+ */
+const RUNNERS = {
+  vitest: ({ files, name }) => {
+    const output = tempFile("vitest.json");
+    return {
+      bin: "vitest",
+      args: ["run", "--reporter=json", `--outputFile=${output}`, ...files, ...(name ? [`--testNamePattern=${name}`] : [])],
+      read: () => {
+        const report = readJsonFile(output);
+        return report && parseJestReport(report);
+      },
+    };
+  },
+  jest: ({ files, name }) => {
+    const output = tempFile("jest.json");
+    return {
+      bin: "jest",
+      args: ["--json", `--outputFile=${output}`, "--testLocationInResults", "--ci", ...files, ...(name ? [`--testNamePattern=${name}`] : [])],
+      read: () => {
+        const report = readJsonFile(output);
+        return report && parseJestReport(report);
+      },
+    };
+  },
+  playwright: ({ files, name }) => {
+    const output = tempFile("playwright.json");
+    return {
+      bin: "playwright",
+      args: ["test", "--reporter=json", ...files, ...(name ? [`--grep=${name}`] : [])],
+      env: { PLAYWRIGHT_JSON_OUTPUT_NAME: output },
+      read: () => {
+        const report = readJsonFile(output);
+        return report && parsePlaywrightReport(report);
+      },
+    };
+  },
+  mocha: ({ files, name }) => ({
+    bin: "mocha",
+    args: ["--reporter", "json", ...files, ...(name ? [`--grep=${name}`] : [])],
+    read: (stdout) => {
+      const report = extractJson(stdout);
+      return report && parseMochaReport(report);
+    },
+  }),
+  node: ({ files, name }) => ({
+    command: process.execPath,
+    args: ["--test", "--test-reporter=tap", ...(name ? [`--test-name-pattern=${name}`] : []), ...files],
+    read: (stdout) => (/^TAP version/m.test(stdout) ? parseTap(stdout) : null),
+  }),
+};
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: run_tests
+ * Run the test suite (or a subset) and return per-test results
+ */
+async function run_tests({ files = [], name, runner } = {}) {
+  const fileList = [].concat(files);
+  console.log(`[TOOL:run_tests] runner=${runner || "auto"} files=${fileList.join(",") || "all"}${name ? ` name="${name}"` : ""}`);
+
+  try {
+    // Files go into the runner's argv: no flags, nothing outside the project
+    for (const file of fileList) {
+      if (file.startsWith("-")) {
+        return { success: false, error: `Invalid test file "${file}" - files must be paths, not flags` };
+      }
+      const safe = filesystem.safePath(file);
+      if (!safe.valid) {
+        return { success: false, error: safe.error };
+      }
+    }
+
+    const detected = runner || detectTestRunner();
+    if (!detected) {
+      return {
+        success: false,
+        error: "No test runner found - package.json has no vitest, jest, @playwright/test or mocha dependency and no \"node --test\" test script",
+      };
+    }
+
+    const plan = RUNNERS[detected]({ files: fileList, name });
+    const command = plan.command || path.join(PROJECT_ROOT, "node_modules", ".bin", plan.bin);
+    if (!plan.command && !fs.existsSync(command)) {
+      return { success: false, error: `${detected} is not installed (node_modules/.bin/${plan.bin} missing) - run npm_install first` };
+    }
+
+    const displayCommand = `${plan.command ? "node" : plan.bin} ${plan.args.join(" ")}`;
+    console.log(`[TESTS] ${displayCommand}`);
+    const result = await jobs.run(command, plan.args, {
+      cwd: PROJECT_ROOT,
+      timeout: TEST_TIMEOUT,
+      // Stdout reporters (mocha) print one JSON document - keep all of it
+      maxOutput: 20 * 1024 * 1024,
+      label: displayCommand,
+      env: { CI: "true", FORCE_COLOR: "0", NO_COLOR: "1", ...plan.env },
+    });
+    const { exitCode, stdout, stderr, timedOut, durationMs } = result;
+
+    const report = plan.read(stdout);
+    if (!report) {
+      return {
+        success: false,
+        error: timedOut ? `Tests did not finish within ${TEST_TIMEOUT / 1000}s` : `Could not read ${detected} results`,
+        data: {
+          runner: detected,
+          command: displayCommand,
+          exitCode,
+          stdout: jobs.clipOutput(stripAnsi(stdout), MAX_OUTPUT_CHARS),
+          stderr: jobs.clipOutput(stripAnsi(stderr), MAX_OUTPUT_CHARS),
+        },
+      };
+    }
+
+    const success = report.failed === 0 && exitCode === 0;
+    const total = report.passed + report.failed + report.skipped;
+    return {
+      success,
+      data: {
+        runner: detected,
+        command: displayCommand,
+        exitCode,
+        passed: report.passed,
+        failed: report.failed,
+        skipped: report.skipped,
+        total,
+        durationMs,
+        failures: report.failures.slice(0, MAX_FAILURES),
+        ...(report.failures.length > MAX_FAILURES ? { failuresOmitted: report.failures.length - MAX_FAILURES } : {}),
+        // Non-zero exit without failed tests: setup error, coverage threshold, no tests matched...
+        ...(!success && report.failed === 0 ? { stderr: jobs.clipOutput(stripAnsi(stderr || stdout), MAX_OUTPUT_CHARS) } : {}),
+        summary: `${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped`,
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "run_tests",
+    label: "Run tests",
+    description: "Run the repository's tests (Vitest, Jest, Playwright, Mocha or node --test, detected from package.json), optionally only some files or test names. Returns pass/fail/skip counts and each failing test with its assertion message and location.",
+    sideEffect: "execute",
+    parameters: {
+      type: "object",
+      properties: {
+        files: {
+          type: ["string", "array"],
+          items: { type: "string", minLength: 1 },
+          description: "Test files or path patterns to run (default: the whole suite)",
+        },
+        name: { type: "string", minLength: 1, description: "Only run tests whose name matches this pattern" },
+        runner: { type: "string", enum: Object.keys(RUNNERS), description: "Override the detected runner" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => run_tests(args),
+    updateState: (state, result) => {
+      if (result.data?.total !== undefined) {
+        state.setTestStatus(result.success, result.data);
+      } else if (result.data?.runner) {
+        // The runner ran but left no readable report (timeout, crash)
+        state.setTestStatus(false, { runner: result.data.runner, failures: [] });
+      }
+      // Nothing ran (no runner, not installed, invalid arguments): status unchanged
+    },
+  },
+];
+
+module.exports = {
+  initialize,
+  configure,
+  descriptors,
+  detectTestRunner,
+  run_tests,
+};
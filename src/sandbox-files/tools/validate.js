@@ -0,0 +1,115 @@
+/**
+ * ARGUMENT VALIDATION
+ *
+ * Minimal JSON Schema validator for tool arguments.
+ * Runs before any tool executes so malformed calls are returned to the
+ * model as structured errors instead of failing inside the tool.
+ *
+ * SUPPORTED KEYWORDS:
+ * type (string or array), properties, required, additionalProperties (false),
+ * items, enum, minLength, minItems, minimum, maximum
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against a single schema type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of { path, message } errors (empty when valid)
+ */
+function validate(schema, value, pointer = "args") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: pointer, message: `expected ${types.join(" or ")}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: pointer, message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: pointer, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: pointer, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path: pointer, message: `must have at least ${schema.minItems} items` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validate(schema.items, item, `${pointer}[${i}]`));
+    });
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: `${pointer}.${name}`, message: "is required" });
+      }
+    }
+
+    for (const [name, propValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validate(properties[name], propValue, `${pointer}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        const allowed = Object.keys(properties);
+        errors.push({
+          path: `${pointer}.${name}`,
+          message: `unknown argument (allowed: ${allowed.length > 0 ? allowed.join(", ") : "none"})`,
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a tool call against a list of tool definitions
+ * Returns { valid: true } or { valid: false, errors: [{ path, message }] }
+ */
+function validateToolCall(definitions, toolName, args) {
+  const definition = definitions.find((def) => def.name === toolName);
+  if (!definition) {
+    return { valid: false, errors: [{ path: "tool", message: `Unknown tool: ${toolName}` }] };
+  }
+  const errors = validate(definition.parameters, args);
+  return errors.length === 0 ? { valid: true } : { valid: false, errors };
+}
+
+module.exports = {
+  validate,
+  validateToolCall,
+};
@@ -0,0 +1,42 @@
+/**
+ * TOOL ARGUMENT VALIDATION TESTS
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { validateToolCall } = require("./validate.js");
+
+const DEFINITIONS = [
+  {
+    name: "read_file",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", minLength: 1 },
+        startLine: { type: "integer", minimum: 1 },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+  },
+];
+
+test("accepts valid arguments", () => {
+  assert.deepStrictEqual(validateToolCall(DEFINITIONS, "read_file", { path: "a.js", startLine: 2 }), { valid: true });
+});
+
+test("rejects missing, mistyped and unknown arguments", () => {
+  const result = validateToolCall(DEFINITIONS, "read_file", { startLine: 0, extra: true });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map((error) => error.path), ["args.path", "args.startLine", "args.extra"]);
+});
+
+test("rejects arguments named after inherited object keys", () => {
+  for (const name of ["constructor", "toString", "hasOwnProperty", "__proto__"]) {
+    const args = JSON.parse(`{"path": "a.js", "${name}": "x"}`);
+    const result = validateToolCall(DEFINITIONS, "read_file", args);
+    assert.strictEqual(result.valid, false, name);
+    assert.match(result.errors[0].message, /unknown argument/, name);
+  }
+});
@@ -0,0 +1,409 @@
+/**
+ * VISUAL DIFF TOOLS
+ *
+ * Before/after screenshots of changed pages with a pixel diff.
+ * A green build says nothing about whether a section now looks broken;
+ * this shows exactly which regions of each route changed.
+ *
+ * WORKFLOW:
+ * 1. visual_baseline(routes): After git_stash_backup and before the first
+ *    write_file, screenshot each route on the running dev server
+ * 2. Make the changes, run the build
+ * 3. visual_diff(): Screenshot the same routes again and diff them against
+ *    the baseline - changed pixels, changed-region boxes and an overlay PNG
+ *
+ * Each diff is reported in the result's `visualDiffs`; the agent emits a
+ * "visual_diff" event per route and the host copies the three images
+ * (before, after, diff) into the run store. git_create_pr appends a
+ * "Visual changes" section built from the latest diffs to the PR body.
+ *
+ * DIFF:
+ * pngjs + pixelmatch (installed next to the browser on first use).
+ * Pages of different sizes are padded with white to the larger size.
+ * Diff pixels are grouped into CELL_SIZE cells and merged into connected
+ * regions, which are outlined on the overlay.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const browser = require("./browser.js");
+
+let PROJECT_ROOT = "/vercel/sandbox";
+
+const VISUAL_DIR = path.join(browser.SCREENSHOT_DIR, "visual");
+
+const PNG_PACKAGE = "pngjs@7.0.0";
+const PIXELMATCH_PACKAGE = "pixelmatch@5.3.0";
+
+// pixelmatch color distance threshold (0-1, lower = stricter)
+const DEFAULT_THRESHOLD = 0.1;
+const CELL_SIZE = 32;
+const MAX_REGIONS = 10;
+const REGION_COLOR = [0, 102, 255];
+const REGION_BORDER = 3;
+
+// route -> { route, name, path, status, capture: { fullPage, width, height } }
+// visual_diff recaptures with the same options so the images line up
+const BASELINES = new Map();
+
+// route -> latest diff result
+const DIFFS = new Map();
+
+/**
+ * Initialize visual diff tools with project root
+ */
+function initialize(root) {
+  PROJECT_ROOT = root;
+}
+
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * File-name-safe slug for a route ("/" -> "root-<hash>", "/about/team" -> "about-team-<hash>")
+ * The hash of the route keeps /about/team and /about-team apart.
+ */
+function routeSlug(route) {
+  const slug = route.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 40) || "root";
+  const hash = crypto.createHash("sha1").update(route).digest("hex").substring(0, 8);
+  return `${slug}-${hash}`;
+}
+
+function imageFor(route, role) {
+  const name = `visual-${routeSlug(route)}-${role}.png`;
+  return { name, path: path.join(VISUAL_DIR, name) };
+}
+
+/**
+ * Copy a PNG onto a white canvas of the given size
+ */
+function padTo(PNG, image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  padded.data.fill(255);
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Group diff pixels into connected regions of CELL_SIZE cells
+ * Returns bounding boxes, largest first
+ */
+function findRegions(diffData, width, height) {
+  const cols = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cells = new Uint8Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      // pixelmatch paints differing pixels pure red; unchanged pixels are grey
+      if (diffData[i] === 255 && diffData[i + 1] === 0 && diffData[i + 2] === 0) {
+        cells[Math.floor(y / CELL_SIZE) * cols + Math.floor(x / CELL_SIZE)] = 1;
+      }
+    }
+  }
+
+  const regions = [];
+  const seen = new Uint8Array(cols * rows);
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+
+    let minCol = cols, maxCol = 0, minRow = rows, maxRow = 0;
+    const queue = [start];
+    seen[start] = 1;
+
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = col + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+          const next = r * cols + c;
+          if (cells[next] && !seen[next]) {
+            seen[next] = 1;
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    const x = minCol * CELL_SIZE;
+    const y = minRow * CELL_SIZE;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxCol + 1) * CELL_SIZE, width) - x,
+      height: Math.min((maxRow + 1) * CELL_SIZE, height) - y,
+    });
+  }
+
+  return regions.sort((a, b) => b.width * b.height - a.width * a.height).slice(0, MAX_REGIONS);
+}
+
+/**
+ * Outline regions on the diff image
+ */
+function drawRegions(image, regions) {
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+    const i = (y * image.width + x) * 4;
+    image.data[i] = REGION_COLOR[0];
+    image.data[i + 1] = REGION_COLOR[1];
+    image.data[i + 2] = REGION_COLOR[2];
+    image.data[i + 3] = 255;
+  };
+
+  for (const { x, y, width, height } of regions) {
+    for (let t = 0; t < REGION_BORDER; t++) {
+      for (let px = x; px < x + width; px++) {
+        paint(px, y + t);
+        paint(px, y + height - 1 - t);
+      }
+      for (let py = y; py < y + height; py++) {
+        paint(x + t, py);
+        paint(x + width - 1 - t, py);
+      }
+    }
+  }
+}
+
+/**
+ * Pixel diff two PNG files, writing the overlay to diffPath
+ */
+async function computeDiff(beforePath, afterPath, diffPath, threshold) {
+  const { PNG } = await browser.requireBrowserPackage(PNG_PACKAGE);
+  const pixelmatch = await browser.requireBrowserPackage(PIXELMATCH_PACKAGE);
+
+  const rawBefore = PNG.sync.read(fs.readFileSync(beforePath));
+  const rawAfter = PNG.sync.read(fs.readFileSync(afterPath));
+  const width = Math.max(rawBefore.width, rawAfter.width);
+  const height = Math.max(rawBefore.height, rawAfter.height);
+
+  const before = padTo(PNG, rawBefore, width, height);
+  const after = padTo(PNG, rawAfter, width, height);
+  const diff = new PNG({ width, height });
+
+  const changedPixels = pixelmatch(before.data, after.data, diff.data, width, height, {
+    threshold,
+    includeAA: false,
+  });
+  const regions = findRegions(diff.data, width, height);
+  drawRegions(diff, regions);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  return {
+    width,
+    height,
+    changedPixels,
+    changedRatio: Number((changedPixels / (width * height)).toFixed(4)),
+    sizeChanged: rawBefore.width !== rawAfter.width || rawBefore.height !== rawAfter.height,
+    regions,
+  };
+}
+
+// ================================================================
+// TOOLS
+// ================================================================
+
+/**
+ * TOOL: visual_baseline
+ * Screenshot routes before any change; visual_diff compares against these
+ */
+async function visual_baseline({ routes, waitFor, fullPage = true, width, height }) {
+  console.log(`[TOOL:visual_baseline] ${routes.join(", ")}`);
+
+  const captured = [];
+  const failed = [];
+
+  for (const route of routes) {
+    const image = imageFor(route, "before");
+    const capture = { fullPage, width, height };
+    const result = await browser.capturePage({ path: route, waitFor, ...capture }, image.path);
+    if (result.success) {
+      BASELINES.set(route, { route, ...image, status: result.data.status, capture });
+      captured.push({ route, status: result.data.status });
+    } else {
+      failed.push({ route, error: result.error });
+    }
+  }
+
+  if (captured.length === 0) {
+    return { success: false, error: `No baseline captured: ${failed[0]?.error}`, data: { failed } };
+  }
+
+  return {
+    success: failed.length === 0,
+    error: failed.length > 0 ? `${failed.length} route(s) failed` : undefined,
+    data: { captured, failed },
+  };
+}
+
+/**
+ * TOOL: visual_diff
+ * Screenshot baseline routes again and pixel-diff them against the baseline
+ */
+async function visual_diff({ routes, waitFor, threshold = DEFAULT_THRESHOLD } = {}) {
+  const targets = routes || [...BASELINES.keys()];
+  console.log(`[TOOL:visual_diff] ${targets.join(", ")}`);
+
+  if (targets.length === 0) {
+    return { success: false, error: "No baseline - call visual_baseline before making changes" };
+  }
+
+  const visualDiffs = [];
+  const failed = [];
+
+  for (const route of targets) {
+    const baseline = BASELINES.get(route);
+    if (!baseline) {
+      failed.push({ route, error: "No baseline for this route" });
+      continue;
+    }
+
+    const after = imageFor(route, "after");
+    const diff = imageFor(route, "diff");
+    const capture = await browser.capturePage({ path: route, waitFor, ...baseline.capture }, after.path);
+    if (!capture.success) {
+      failed.push({ route, error: capture.error });
+      continue;
+    }
+
+    try {
+      const result = await computeDiff(baseline.path, after.path, diff.path, threshold);
+      const entry = {
+        route,
+        ...result,
+        images: {
+          before: { name: baseline.name, path: baseline.path },
+          after,
+          diff,
+        },
+      };
+      DIFFS.set(route, entry);
+      visualDiffs.push(entry);
+      console.log(`[VISUAL] ${route}: ${(result.changedRatio * 100).toFixed(2)}% changed, ${result.regions.length} region(s)`);
+    } catch (err) {
+      failed.push({ route, error: `Diff failed: ${err.message}` });
+    }
+  }
+
+  return {
+    success: failed.length === 0,
+    error: failed.length > 0 ? `${failed.length} route(s) failed: ${failed[0].error}` : undefined,
+    data: {
+      summary: visualDiffs.map((d) => ({
+        route: d.route,
+        changedRatio: d.changedRatio,
+        regions: d.regions.length,
+        sizeChanged: d.sizeChanged,
+      })),
+      visualDiffs,
+      failed,
+    },
+  };
+}
+
+/**
+ * Markdown section for the PR body (empty string when there are no diffs)
+ * Images are linked when the host exposes run assets at AGENT_ASSET_BASE_URL
+ */
+function formatPrSection() {
+  if (DIFFS.size === 0) return "";
+
+  const baseUrl = process.env.AGENT_ASSET_BASE_URL;
+  const runId = process.env.AGENT_RUN_ID;
+  const assetUrl = (name) => `${baseUrl.replace(/\/+$/, "")}/api/runs/${runId}/assets/${name}`;
+
+  const lines = [
+    "## Visual changes",
+    "",
+    "| Route | Changed | Regions |",
+    "| --- | --- | --- |",
+    ...[...DIFFS.values()].map((d) =>
+      `| \`${d.route}\` | ${(d.changedRatio * 100).toFixed(2)}%${d.sizeChanged ? " (page size changed)" : ""} | ${d.regions.length} |`
+    ),
+  ];
+
+  if (baseUrl && runId) {
+    for (const d of DIFFS.values()) {
+      lines.push(
+        "",
+        `### \`${d.route}\``,
+        "",
+        "| Before | After | Diff |",
+        "| --- | --- | --- |",
+        `| ![before](${assetUrl(d.images.before.name)}) | ![after](${assetUrl(d.images.after.name)}) | ![diff](${assetUrl(d.images.diff.name)}) |`
+      );
+    }
+  } else if (runId) {
+    lines.push("", `Screenshots are attached to agent run \`${runId}\`.`);
+  }
+
+  return lines.join("\n");
+}
+
+// ================================================================
+// TOOL DESCRIPTORS
+// ================================================================
+
+const descriptors = [
+  {
+    name: "visual_baseline",
+    label: "Visual baseline",
+    description: "Screenshot routes on the running dev server BEFORE changing any file, as the baseline for visual_diff.",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        routes: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1, description: "Routes the change affects, e.g. [\"/\"]" },
+        waitFor: { type: "string", minLength: 1, description: "Selector to wait for before capturing" },
+        fullPage: { type: "boolean", description: "Capture the full scrollable page (default true)" },
+        width: { type: "integer", minimum: 320, maximum: 3840, description: "Viewport width (default 1280)" },
+        height: { type: "integer", minimum: 320, maximum: 2160, description: "Viewport height (default 800)" },
+      },
+      required: ["routes"],
+      additionalProperties: false,
+    },
+    handler: (args) => visual_baseline(args),
+  },
+  {
+    name: "visual_diff",
+    label: "Visual diff",
+    description: "Screenshot the baseline routes again (same fullPage and viewport as the baseline) after the build passes and pixel-diff them against the baseline (changed %, changed regions).",
+    sideEffect: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        routes: { type: "array", items: { type: "string", minLength: 1 }, minItems: 1, description: "Routes to diff (default: all baseline routes)" },
+        waitFor: { type: "string", minLength: 1, description: "Selector to wait for before capturing" },
+        threshold: { type: "number", minimum: 0, maximum: 1, description: "Per-pixel color threshold (default 0.1)" },
+      },
+      additionalProperties: false,
+    },
+    handler: (args) => visual_diff(args),
+  },
+];
+
+// ================================================================
+// EXPORTS
+// ================================================================
+
+module.exports = {
+  initialize,
+  descriptors,
+  visual_baseline,
+  visual_diff,
+  formatPrSection,
+};